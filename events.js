@@ -3,8 +3,144 @@
    - Event structure: {id, name, check(ctx) => boolean, run(ctx) => void, description}
    - 使用 register/registerDefaultEvents/clear/checkRandomEvents
    - registerDefaultEvents 接受一个 ctx 对象（注入依赖：game, PROVINCES, 常量, utils, log）
+   - compileEvent/loadEventDefinitions/loadEventPack：声明式事件（可写成 JSON 事件包，见 EVENT_PACKS）
+
+   声明式事件格式：
+     { id, name, description,
+       when: {                                   触发条件，全部满足才进行概率判定
+         week: [10, 20],                         周数范围（含两端）
+         provinceType: ['强省', '普通省'],        省份类型
+         province: ['广东', '浙江'],              省份名（自动去掉“省/市”等后缀）
+         budget: { gte: 50000 }, reputation: { gte: 40, lt: 80 },
+         pressure: { gte: 70 },                  在队学生平均压力
+         flag: 'recentMedal'                     game 上的标记字段为真
+       },
+       chance: 0.05,                             基础触发概率
+       weights: [ { when: {...}, mul: 2 } ],     满足条件时概率乘以 mul（可叠加）
+       once: true,                               整局只触发一次（记录在 game.firedCustomEvents）
+       expenseLabel: '...',                      经费支出的账目名称（缺省为 name，选项中也可单独指定）
+       effects: {...}, message: '...',           无选项事件：直接生效并推送事件卡
+       prompt: '...', choices: [ { label, effects, message } ]   选项事件：通过 showChoiceModal 让玩家选择
+     }
+   effects 的取值可以是数字或 [min, max]（按 uniformInt 随机）：
+     budget（负数按 recordExpense 记支出）、reputation、以及作用于全体在队学生的
+     pressure / comfort（通过 modifier）、thinking / coding / mental、knowledge: { '数学': 5 }
+   message 中的 {budget} {reputation} 等会替换为实际数值。
 */
 (function(global){
+
+  /* ========== 声明式事件 ========== */
+  const EVENT_COMPARATORS = {
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b,
+    eq: (a, b) => a === b
+  };
+  const STUDENT_EFFECT_FIELDS = ['pressure', 'comfort', 'thinking', 'coding', 'mental'];
+
+  function normalizeProvinceName(c){
+    let prov = c.game.province_name;
+    if (typeof prov === 'number' && c.PROVINCES && c.PROVINCES[prov]) prov = c.PROVINCES[prov].name;
+    return ((prov || '') + '').replace(/(省|市|自治区|特别行政区)/g, '').trim();
+  }
+
+  function compareRange(value, range){
+    if(range === undefined || range === null) return true;
+    if(typeof range === 'number') return value === range;
+    for(const op of Object.keys(EVENT_COMPARATORS)){
+      if(range[op] !== undefined && !EVENT_COMPARATORS[op](value, Number(range[op]))) return false;
+    }
+    return true;
+  }
+
+  function averagePressure(game){
+    const active = (game.students || []).filter(s => s && s.active !== false);
+    if(!active.length) return 0;
+    return active.reduce((sum, s) => sum + (Number(s.pressure) || 0), 0) / active.length;
+  }
+
+  function matchesEventConditions(when, c){
+    if(!when) return true;
+    const game = c.game;
+    const asList = v => Array.isArray(v) ? v : [v];
+    if(when.week && !(game.week >= when.week[0] && game.week <= when.week[1])) return false;
+    if(when.provinceType && !asList(when.provinceType).includes(game.province_type)) return false;
+    if(when.province && !asList(when.province).includes(normalizeProvinceName(c))) return false;
+    if(!compareRange(Number(game.budget) || 0, when.budget)) return false;
+    if(!compareRange(Number(game.reputation) || 0, when.reputation)) return false;
+    if(when.pressure && !compareRange(averagePressure(game), when.pressure)) return false;
+    if(when.flag && !game[when.flag]) return false;
+    return true;
+  }
+
+  function rollEffectValue(v, utils){
+    if(Array.isArray(v)) return utils.uniformInt(Number(v[0]), Number(v[1]));
+    return Number(v) || 0;
+  }
+
+  // 执行 effects，返回用于替换 message 占位符的实际数值
+  function applyEventEffects(effects, c, sourceId, expenseLabel){
+    const values = {};
+    if(!effects) return values;
+    const game = c.game;
+    if(effects.budget !== undefined){
+      const amount = rollEffectValue(effects.budget, c.utils);
+      if(amount < 0) game.recordExpense(-amount, expenseLabel || sourceId);
+      else game.budget = (game.budget || 0) + amount;
+      values.budget = Math.abs(amount);
+    }
+    if(effects.reputation !== undefined){
+      const amount = rollEffectValue(effects.reputation, c.utils);
+      game.reputation = Math.max(0, Math.min(100, (game.reputation || 0) + amount));
+      values.reputation = Math.abs(amount);
+    }
+    // 学生属性按 effects 中的书写顺序依次生效
+    const studentFields = Object.keys(effects).filter(k => STUDENT_EFFECT_FIELDS.includes(k));
+    for(const s of game.students){
+      if(!s || s.active === false) continue;
+      for(const field of studentFields){
+        const amount = rollEffectValue(effects[field], c.utils);
+        values[field] = Math.abs(amount);
+        if(field === 'pressure'){
+          // 使用 modifier
+          s.pressure_modifier = (s.pressure_modifier || 0) + amount;
+          try{ if(typeof s.triggerTalents === 'function'){ s.triggerTalents('pressure_change', { source: sourceId, amount }); } }catch(e){ console.error('triggerTalents pressure_change', e); }
+        } else if(field === 'comfort'){
+          s.comfort_modifier = (s.comfort_modifier || 0) + amount;
+        } else {
+          s[field] = (s[field] || 0) + amount;
+        }
+      }
+      if(effects.knowledge && typeof s.addKnowledge === 'function'){
+        for(const topic of Object.keys(effects.knowledge)){
+          const amount = rollEffectValue(effects.knowledge[topic], c.utils);
+          values[topic] = Math.abs(amount);
+          s.addKnowledge(topic, amount);
+        }
+      }
+    }
+    return values;
+  }
+
+  function formatEventMessage(template, values){
+    return String(template || '').replace(/\{([^{}]+)\}/g, (m, key) => values[key] !== undefined ? values[key] : m);
+  }
+
+  function validateEventData(data){
+    const errors = [];
+    if(!data || typeof data !== 'object') return ['事件定义不是对象'];
+    if(!data.id) errors.push('缺少 id');
+    if(!data.name) errors.push('缺少 name');
+    if(data.chance === undefined) errors.push('缺少 chance');
+    if(data.when && data.when.week && !(Array.isArray(data.when.week) && data.when.week.length === 2)) errors.push('when.week 应为 [起始周, 结束周]');
+    if(data.choices !== undefined){
+      if(!Array.isArray(data.choices) || data.choices.length === 0) errors.push('choices 应为非空数组');
+      else data.choices.forEach((ch, i) => { if(!ch || !ch.label) errors.push(`第 ${i + 1} 个选项缺少 label`); });
+    }
+    return errors;
+  }
+
   const EventManager = {
     _events: [],
     _ctx: null,
@@ -15,6 +151,92 @@
     clear(){
       this._events = [];
     },
+
+    // 把声明式事件定义编译为 { id, name, description, check, run }；格式见文件头
+    compileEvent(data){
+      const errors = validateEventData(data);
+      if(errors.length) throw new Error(errors.join('；'));
+      const firedKey = 'firedCustomEvents';
+      return {
+        id: data.id,
+        name: data.name,
+        description: data.description || '',
+        source: data,
+        check: c => {
+          if(data.once && Array.isArray(c.game[firedKey]) && c.game[firedKey].includes(data.id)) return false;
+          if(!matchesEventConditions(data.when, c)) return false;
+          let p = Number(data.chance) || 0;
+          for(const w of (data.weights || [])){
+            if(w && w.mul !== undefined && matchesEventConditions(w.when, c)) p *= Number(w.mul);
+          }
+          return getRandom() < p;
+        },
+        run: c => {
+          if(data.once){
+            if(!Array.isArray(c.game[firedKey])) c.game[firedKey] = [];
+            c.game[firedKey].push(data.id);
+          }
+          if(Array.isArray(data.choices)){
+            const options = data.choices.map(ch => ({
+              label: ch.label,
+              effect: () => {
+                const values = applyEventEffects(ch.effects, c, data.id, ch.expenseLabel || data.expenseLabel || data.name);
+                const desc = formatEventMessage(ch.message || ch.label, values);
+                c.log && c.log(`[${data.name}] ${desc}`);
+                window.pushEvent && window.pushEvent({ name: '选择结果', description: desc, week: c.game.week });
+              }
+            }));
+            window.showChoiceModal && window.showChoiceModal({ name: data.name, description: data.prompt || data.description || '', week: c.game.week, options });
+            return null;
+          }
+          const values = applyEventEffects(data.effects, c, data.id, data.expenseLabel || data.name);
+          const msg = formatEventMessage(data.message || data.description, values);
+          c.log && c.log(`[${data.name}] ${msg}`);
+          window.pushEvent && window.pushEvent({ name: data.name, description: msg, week: c.game.week });
+          return null;
+        }
+      };
+    },
+
+    // 批量注册声明式事件：data 可为 JSON 文本、数组或 { events: [...] }，返回 { loaded, errors }
+    loadEventDefinitions(data){
+      let list = data;
+      if(typeof list === 'string') list = JSON.parse(list);
+      if(list && !Array.isArray(list) && Array.isArray(list.events)) list = list.events;
+      if(!Array.isArray(list)) throw new Error('事件包格式错误：应为数组或 { events: [...] }');
+      const loaded = [];
+      const errors = [];
+      for(const item of list){
+        try{
+          const evt = this.compileEvent(item);
+          // 同 id 的事件以后加载的为准
+          this._events = this._events.filter(e => e.id !== evt.id);
+          this.register(evt);
+          loaded.push(evt.id);
+        }catch(e){
+          errors.push(`${(item && item.id) || '?'}：${e.message}`);
+        }
+      }
+      if(errors.length) console.error('[事件] 部分事件加载失败', errors);
+      console.log(`[事件] 已加载 ${loaded.length} 个声明式事件`);
+      return { loaded, errors };
+    },
+
+    // 读取 JSON 事件包（如 EVENT_PACKS 中配置的文件）
+    loadEventPack(url){
+      return fetch(url)
+        .then(res => {
+          if(!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .then(json => this.loadEventDefinitions(json))
+        .catch(e => {
+          // 以 file:// 直接打开页面时浏览器不允许 fetch 本地文件
+          const hint = (typeof location !== 'undefined' && location.protocol === 'file:') ? '（页面以 file:// 打开，浏览器禁止读取本地文件，请通过本地 HTTP 服务器访问）' : '';
+          console.warn(`[事件] 事件包 ${url} 加载失败，其中的事件不会出现${hint}`, e);
+          return { loaded: [], errors: [e.message] };
+        });
+    },
     registerDefaultEvents(ctx){
       this.clear();
       this._ctx = ctx || {};
@@ -225,7 +447,7 @@
         check: c => getRandom() < 0.02 * (c.game.facilities.library || 1),
         run: c => {
           // 使用游戏中实际的知识类型（与 Student.addKnowledge 接口对齐）
-          const topics = ['数据结构','图论','字符串','数学','DP'];
+          const topics = listKnowledgeTopics();
           const topic = topics[c.utils.uniformInt(0, topics.length - 1)];
           
           // 资料库等级影响收益：等级越高，收益越大
@@ -243,11 +465,8 @@
             } else {
               // 向后兼容：直接操作字段（仅在 addKnowledge 方法不存在时）
               console.warn(`[优质网课] 学生 ${s.name} 缺少 addKnowledge 方法，使用兼容模式`);
-              if(topic === '数据结构') s.knowledge_ds = (s.knowledge_ds || 0) + totalGain;
-              else if(topic === '图论') s.knowledge_graph = (s.knowledge_graph || 0) + totalGain;
-              else if(topic === '字符串') s.knowledge_string = (s.knowledge_string || 0) + totalGain;
-              else if(topic === '数学') s.knowledge_math = (s.knowledge_math || 0) + totalGain;
-              else if(topic === 'DP') s.knowledge_dp = (s.knowledge_dp || 0) + totalGain;
+              const field = getKnowledgeField(topic);
+              s[field] = (s[field] || 0) + totalGain;
             }
           }
           
@@ -402,7 +621,9 @@
             s.mental = Math.max(0, (s.mental || 100) - c.utils.uniformInt(1, 3));
             try{ if(typeof s.triggerTalents === 'function'){ s.triggerTalents('pressure_change', { source: 'internal_conflict', amount: pressureInc }); } }catch(e){ console.error('triggerTalents pressure_change', e); }
           }
-          const msg = '团队内部矛盾爆发，舒适度和心理素质下降，压力上升';
+          // 矛盾会留下隔阂：全队两两好感度下降
+          c.game.changeGroupAffinity(c.game.students, AFFINITY_CONFLICT_LOSS);
+          const msg = '团队内部矛盾爆发，舒适度和心理素质下降，压力上升，队员之间关系变差';
           c.log && c.log(`[内部矛盾] ${msg}`);
           window.pushEvent && window.pushEvent({ name: '团队内部矛盾', description: msg, week: c.game.week });
           return null;
@@ -454,40 +675,18 @@
           return null;
         }
       });
-      // 选择导向事件：友校交流邀请
-      this.register({
+      // 选择导向事件：友校交流邀请（声明式写法示例）
+      this.register(this.compileEvent({
         id: 'exchange_invite',
         name: '友校交流邀请',
         description: '接受或拒绝友校交流邀请',
-        check: c => getRandom() < 0.02,
-        run: c => {
-          const options = [
-            { label: '接受邀请', effect: () => {
-                c.game.recordExpense(5000, '友校交流');
-                for (const s of c.game.students) if (s.active) {
-                  s.thinking = (s.thinking || 0) + 1;
-                  s.coding = (s.coding || 0) + 1;
-                  // 使用 modifier
-                  s.pressure_modifier = (s.pressure_modifier || 0) + 2;
-                  try{ if(typeof s.triggerTalents === 'function'){ s.triggerTalents('pressure_change', { source: 'exchange_invite', amount: 2 }); } }catch(e){ console.error('triggerTalents pressure_change', e); }
-                }
-                // 推送事件卡说明：显示选择结果和造成的影响
-                const desc = `接受友校交流：经费 -¥5000，学生能力小幅提升，压力略增`;
-                window.pushEvent && window.pushEvent({ name: '选择结果', description: desc, week: c.game.week });
-              }
-            },
-            { label: '婉拒邀请', effect: () => { 
-                c.game.reputation = Math.max(0, c.game.reputation - 1);
-                const desc = `婉拒友校交流：声誉 -1`;
-                window.pushEvent && window.pushEvent({ name: '选择结果', description: desc, week: c.game.week });
-              }
-            }
-          ];
-
-          window.showChoiceModal && window.showChoiceModal({ name: '友校交流邀请', description: '是否接受友校交流邀请？', week: c.game.week, options });
-          return null;
-        }
-      });
+        chance: 0.02,
+        prompt: '是否接受友校交流邀请？',
+        choices: [
+          { label: '接受邀请', effects: { budget: -5000, thinking: 1, coding: 1, pressure: 2 }, message: '接受友校交流：经费 -¥5000，学生能力小幅提升，压力略增' },
+          { label: '婉拒邀请', effects: { reputation: -1 }, message: '婉拒友校交流：声誉 -1' }
+        ]
+      }));
       // 选择导向事件：天才学生自荐
         this.register({
             id: 'genius_apply',
@@ -563,7 +762,7 @@
                                 s.knowledge_string = newKnowledgeString;
                                 s.knowledge_math = newKnowledgeMath;
                                 s.knowledge_dp = newKnowledgeDp;
-                                if (newStudentName == "珂朵莉") s.talents.add("世界上最幸福的女孩")
+                                if (newStudentName == "珂朵莉") TalentManager.grantTalent(s, "世界上最幸福的女孩");
 
                                 c.game.students.push(s);
 
@@ -783,13 +982,13 @@
             let successProb = 1.01;//百分百挽留成功
             const options = [
               { label: `消耗 ¥${cost}，全力挽留`, effect: () => {
-                  // charge cost (use game.recordExpense if available to apply COST_MULTIPLIER centrally)
+                  // charge cost (use game.recordExpense if available to apply the ruleset cost multiplier centrally)
                   let expense = 0;
                   try{
                     expense = c.game.recordExpense(cost, '挽留费用');
                   }catch(e){
-                    // fallback: apply COST_MULTIPLIER once here (avoid double-multiplying)
-                    const costMult = (typeof COST_MULTIPLIER !== 'undefined' ? COST_MULTIPLIER : 1.0);
+                    // fallback: apply the ruleset cost multiplier once here (avoid double-multiplying)
+                    const costMult = getRuleMultiplier('cost');
                     expense = Math.max(0, Math.round(cost * costMult));
                     c.game.budget = Math.max(0, (c.game.budget||0) - expense);
                   }
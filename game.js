@@ -51,8 +51,10 @@ function scaledPassCount(n){
 }
 
 // ===== 状态快照与差异汇总工具 =====
-function __createSnapshot(){
-  return {
+// opts.full 为 true 时额外附带完整存档（含随机数状态），可用于回溯
+function __createSnapshot(opts){
+  const snap = {
+    week: game.week,
     budget: game.budget || 0,
     reputation: game.reputation || 0,
     students: game.students.map(s=>({
@@ -69,6 +71,16 @@ function __createSnapshot(){
       knowledge: Number(s.getKnowledgeTotal?.() || ((s.knowledge_ds||0)+(s.knowledge_graph||0)+(s.knowledge_string||0)+(s_knowledge_math||0)+(s.knowledge_dp||0)))
     }))
   };
+  if(opts && opts.full){
+    snap.state = JSON.stringify(SaveManager.serialize(game));
+    snap.eventUid = _eventIdCounter;
+    // 选题去重记录不在存档中，但会影响之后的每周选题
+    snap.recentTasks = {
+      recommended: (window._recentRecommendedTasks || []).slice(),
+      random: (window._recentRandomTasks || []).slice()
+    };
+  }
+  return snap;
 }
 
 function __summarizeSnapshot(before, after, title, opts){
@@ -127,6 +139,54 @@ function __summarizeSnapshot(before, after, title, opts){
 window.__createSnapshot = __createSnapshot;
 window.__summarizeSnapshot = __summarizeSnapshot;
 
+// ===== 周快照环形缓冲（回溯） =====
+// 每周开始时（周推进完成且本周的选择事件都已处理）保存一份完整快照，最多保留 REWIND_HISTORY_SIZE 周。
+// 回溯时整体替换 game 并恢复随机数状态，之后的操作与原先一样可复现
+const weekHistory = [];
+
+function captureWeekSnapshot(){
+  try{
+    if(!game || game.seasonEndTriggered || !Array.isArray(game.students)) return;
+    if(hasPendingRequiredEvents()) return;
+    const last = weekHistory[weekHistory.length - 1];
+    if(last && last.week === game.week) return;
+    weekHistory.push(__createSnapshot({ full: true }));
+    while(weekHistory.length > REWIND_HISTORY_SIZE) weekHistory.shift();
+  }catch(e){ console.error('captureWeekSnapshot failed', e); }
+}
+
+function resetWeekHistory(){
+  weekHistory.length = 0;
+  captureWeekSnapshot();
+}
+
+// 回溯 n 周：恢复到第 (当前周 - n) 周开始时的状态（n = 0 表示重来本周）
+function rewindWeeks(n){
+  const target = currWeek() - Math.max(0, Number(n) || 0);
+  let idx = -1;
+  for(let i = weekHistory.length - 1; i >= 0; i--){
+    if(weekHistory[i].week <= target){ idx = i; break; }
+  }
+  if(idx < 0) return false;
+  const snap = weekHistory[idx];
+  const loaded = SaveManager.deserialize(snap.state);
+  weekHistory.length = idx + 1;
+  // 移除快照之后产生的事件卡片
+  for(let i = recentEvents.length - 1; i >= 0; i--){
+    if(recentEvents[i]._uid > snap.eventUid) recentEvents.splice(i, 1);
+  }
+  if(snap.recentTasks){
+    window._recentRecommendedTasks = snap.recentTasks.recommended.slice();
+    window._recentRandomTasks = snap.recentTasks.random.slice();
+  }
+  game = loaded;
+  window.game = game;
+  saveGame(true);
+  log(`回溯到第 ${game.week} 周开始`);
+  renderAll();
+  return true;
+}
+
 function hasPendingRequiredEvents(){
   try{
     return recentEvents.some(ev => ev && ev.options && ev.options.length > 0 && !ev._isHandled);
@@ -142,18 +202,20 @@ function handleEventChoice(event) {
 
   if (isNaN(eventUid) || isNaN(optionIndex)) return;
 
+  chooseEventOption(eventUid, optionIndex);
+}
+
+// 处理事件卡片上的选择（按钮点击与回放共用）
+function chooseEventOption(eventUid, optionIndex) {
   const targetEvent = recentEvents.find(e => e._uid === eventUid);
   if (!targetEvent || targetEvent._isHandled) return;
 
   targetEvent._isHandled = true;
 
-  const card = button.closest('.event-card');
-  if (card) {
-    card.querySelectorAll('.event-choice-btn').forEach(btn => {
-      btn.disabled = true;
-      btn.classList.add('disabled');
-    });
-  }
+  document.querySelectorAll(`.event-choice-btn[data-event-uid="${eventUid}"]`).forEach(btn => {
+    btn.disabled = true;
+    btn.classList.add('disabled');
+  });
 
   const option = targetEvent.options[optionIndex];
   try {
@@ -170,12 +232,34 @@ function handleEventChoice(event) {
     }
   } catch (err) {}
 
+  // 本周的选择事件处理完后补拍周快照
+  captureWeekSnapshot();
+
   renderEventCards();
   safeRenderAll();
 }
 
+// 按天赋在 pressure_change 中返回的 action 修正压力增量：取消 / 减半 / 按 factor 缩放 / 加倍
+function applyTalentPressureActions(amount, talentResults){
+  let result = amount;
+  for(const r of (talentResults || [])){
+    const out = r && r.result;
+    if(!out || typeof out !== 'object') continue;
+    if(out.action === 'moyu_cancel_pressure') result = 0;
+    else if(out.action === 'halve_pressure') result *= 0.5;
+    else if(out.action === 'scale_pressure') result *= Number(out.factor);
+    else if(out.action === 'double_pressure') result *= 2.0;
+  }
+  return result;
+}
+
 // 压力预计算函数：用于在训练前预测压力变化
-function calculateTrainingPressure(task, intensity) {
+// 预估训练后的压力：plan 为可选的个别安排 { 学生姓名: { task?, intensity?, rest? } }，
+// 返回整体风险标记与每名学生的预估 students: [{ name, increase, predicted, rest }]
+function calculateTrainingPressure(task, intensity, plan) {
+  // 预览会触发天赋处理器（如摸鱼大师会掷骰），结束后恢复随机数状态，
+  // 否则拖动滑块、重开训练窗口都会消耗回放记录之外的随机数
+  const rngState = getRandomState();
   try {
     let weather_factor = game.getWeatherFactor();
     let comfort = game.getComfort();
@@ -183,10 +267,19 @@ function calculateTrainingPressure(task, intensity) {
     
     let hasQuitRisk = false;
     let hasHighPressure = false;
+    const students = [];
     
     for(let s of game.students) {
       if(!s || s.active === false) continue;
       
+      const assign = (plan && plan[s.name]) || {};
+      if(assign.rest){
+        students.push({ name: s.name, increase: 0, predicted: Math.max(0, s.pressure - TRAINING_REST_PRESSURE_RELIEF), rest: true });
+        continue;
+      }
+      const sTask = assign.task || task;
+      const sIntensity = assign.intensity || intensity;
+      
       let personalComfort = comfort;
       
       if(s.talents && s.talents.has('天气敏感')){
@@ -203,19 +296,19 @@ function calculateTrainingPressure(task, intensity) {
       }
       
       const studentAbility = (s.thinking + s.coding) / 2.0;
-      let base_pressure = (intensity===1) ? 15 : (intensity===2) ? 25 : 40;
+      let base_pressure = (sIntensity===1) ? 15 : (sIntensity===2) ? 25 : 40;
       
-      const difficultyPressure = Math.max(0, (task.difficulty - studentAbility) * 0.2);
+      const difficultyPressure = Math.max(0, (sTask.difficulty - studentAbility) * 0.2);
       base_pressure += difficultyPressure;
       
-      if(intensity===3) base_pressure *= TRAINING_PRESSURE_MULTIPLIER_HEAVY;
-      else if(intensity===2) base_pressure *= TRAINING_PRESSURE_MULTIPLIER_MEDIUM;
+      if(sIntensity===3) base_pressure *= TRAINING_PRESSURE_MULTIPLIER_HEAVY;
+      else if(sIntensity===2) base_pressure *= TRAINING_PRESSURE_MULTIPLIER_MEDIUM;
       
       let canteen_reduction = game.facilities.getCanteenPressureReduction();
       let pressure_increase = base_pressure * weather_factor * canteen_reduction * comfort_factor;
       if(s.sick_weeks > 0) pressure_increase += 10;
       
-      pressure_increase *= (typeof PRESSURE_INCREASE_MULTIPLIER !== 'undefined' ? PRESSURE_INCREASE_MULTIPLIER : 1.0);
+      pressure_increase *= getRuleMultiplier('pressureIncrease');
       
       // 考虑天赋的压力修正
       let finalPressureIncrease = pressure_increase;
@@ -224,29 +317,17 @@ function calculateTrainingPressure(task, intensity) {
           const talentResults = s.triggerTalents('pressure_change', { 
             source: 'task_training', 
             amount: pressure_increase, 
-            task: task, 
-            intensity: intensity,
+            task: sTask, 
+            intensity: sIntensity,
             preview: true  // 标记为预览模式
           }) || [];
           
-          for(const r of talentResults){
-            if(!r || !r.result) continue;
-            const out = r.result;
-            if(typeof out === 'object'){
-              const act = out.action;
-              if(act === 'moyu_cancel_pressure'){
-                finalPressureIncrease = 0;
-              } else if(act === 'halve_pressure'){
-                finalPressureIncrease = finalPressureIncrease * 0.5;
-              } else if(act === 'double_pressure'){
-                finalPressureIncrease = finalPressureIncrease * 2.0;
-              }
-            }
-          }
+          finalPressureIncrease = applyTalentPressureActions(finalPressureIncrease, talentResults);
         }
       }catch(e){ /* ignore */ }
       
       const predictedPressure = s.pressure + finalPressureIncrease;
+      students.push({ name: s.name, increase: finalPressureIncrease, predicted: predictedPressure, rest: false });
       
       // 检查退队风险：
       // 1. 如果预测压力>=90，且学生已有退队倾向（quit_tendency_weeks >= 1），下周将退队
@@ -270,16 +351,21 @@ function calculateTrainingPressure(task, intensity) {
     
     return {
       hasQuitRisk: hasQuitRisk,
-      hasHighPressure: hasHighPressure
+      hasHighPressure: hasHighPressure,
+      students: students
     };
   } catch(e) {
     console.error('calculateTrainingPressure error', e);
-    return { hasQuitRisk: false, hasHighPressure: false };
+    return { hasQuitRisk: false, hasHighPressure: false, students: [] };
+  } finally {
+    setRandomState(rngState);
   }
 }
 
-function trainStudentsWithTask(task, intensity) {
-  log(`开始做题训练：${task.name}（难度${task.difficulty}，强度${intensity===1?'轻':intensity===2?'中':'重'}）`);
+// plan（可选）：个别训练安排 { 学生姓名: { task?, intensity?, rest? } }，未列出的学生按全队的 task / intensity 训练
+function trainStudentsWithTask(task, intensity, plan) {
+  const hasPlan = !!plan && Object.keys(plan).length > 0;
+  log(`开始做题训练：${task.name}（难度${task.difficulty}，强度${intensity===1?'轻':intensity===2?'中':'重'}）${hasPlan ? '，部分学生个别安排' : ''}`);
   const __before = typeof __createSnapshot === 'function' ? __createSnapshot() : null;
   
   let weather_factor = game.getWeatherFactor();
@@ -287,6 +373,7 @@ function trainStudentsWithTask(task, intensity) {
   let comfort_factor = 1.0 + Math.max(0.0, (50 - comfort) / 100.0);
   
   const trainingResults = [];
+  const trainedStudents = [];
   
   for(let s of game.students) {
   if(!s || s.active === false) continue;
@@ -314,13 +401,24 @@ function trainStudentsWithTask(task, intensity) {
     
     s.comfort = personalComfort;
     
+    // 个别安排：休息的学生本周不训练；其余学生可单独指定题目与强度
+    const assign = (plan && plan[s.name]) || {};
+    if(assign.rest){
+      s.pressure = Math.max(0, s.pressure - TRAINING_REST_PRESSURE_RELIEF);
+      trainingResults.push({ name: s.name, rest: true });
+      continue;
+    }
+    const sTask = assign.task || task;
+    const sIntensity = assign.intensity || intensity;
+    trainedStudents.push(s);
+    
     let sick_penalty = (s.sick_weeks > 0) ? 0.7 : 1.0;
     
     const studentAbility = (s.thinking + s.coding) / 2.0;
     
-    const boostMultiplier = calculateBoostMultiplier(studentAbility, task.difficulty);
+    const boostMultiplier = calculateBoostMultiplier(studentAbility, sTask.difficulty);
     
-    const results = applyTaskBoosts(s, task);
+    const results = applyTaskBoosts(s, sTask);
     
     const libraryLevel = game.facilities.library;
     let libraryBonus = 0;
@@ -332,7 +430,7 @@ function trainStudentsWithTask(task, intensity) {
     
     const libraryMultiplier = 1.0 + libraryBonus;
     
-    const intensityFactor = intensity === 1 ? 0.7 : intensity === 3 ? 1.3 : 1.0;
+    const intensityFactor = sIntensity === 1 ? 0.7 : sIntensity === 3 ? 1.3 : 1.0;
     
     // 应用知识点增加：基础效率加成 + 图书馆加成 + 强度系数 + 生病惩罚
     for(const boost of results.boosts) {
@@ -354,27 +452,27 @@ function trainStudentsWithTask(task, intensity) {
     const computerMultiplier = 1.0 + computerBonus;
     
     const abilityGainBase = boostMultiplier * intensityFactor * (1 - Math.min(0.6, s.pressure/200.0));
-    const thinkingGain = uniform(0.6, 1.5) * abilityGainBase * computerMultiplier * (typeof TRAINING_EFFECT_MULTIPLIER !== 'undefined' ? TRAINING_EFFECT_MULTIPLIER : 1.0);
-    const codingGain = uniform(1, 2.5) * abilityGainBase * computerMultiplier * (typeof TRAINING_EFFECT_MULTIPLIER !== 'undefined' ? TRAINING_EFFECT_MULTIPLIER : 1.0);
+    const thinkingGain = uniform(0.6, 1.5) * abilityGainBase * computerMultiplier * getRuleMultiplier('trainingEffect');
+    const codingGain = uniform(1, 2.5) * abilityGainBase * computerMultiplier * getRuleMultiplier('trainingEffect');
     
     s.thinking += thinkingGain;
     s.coding += codingGain;
     s.thinking = (s.thinking || 0);
     s.coding = (s.coding || 0);
     
-    let base_pressure = (intensity===1) ? 15 : (intensity===2) ? 25 : 40;
+    let base_pressure = (sIntensity===1) ? 15 : (sIntensity===2) ? 25 : 40;
     
-    const difficultyPressure = Math.max(0, (task.difficulty - studentAbility) * 0.2);
+    const difficultyPressure = Math.max(0, (sTask.difficulty - studentAbility) * 0.2);
     base_pressure += difficultyPressure;
     
-    if(intensity===3) base_pressure *= TRAINING_PRESSURE_MULTIPLIER_HEAVY;
-    else if(intensity===2) base_pressure *= TRAINING_PRESSURE_MULTIPLIER_MEDIUM;
+    if(sIntensity===3) base_pressure *= TRAINING_PRESSURE_MULTIPLIER_HEAVY;
+    else if(sIntensity===2) base_pressure *= TRAINING_PRESSURE_MULTIPLIER_MEDIUM;
     
     let canteen_reduction = game.facilities.getCanteenPressureReduction();
     let pressure_increase = base_pressure * weather_factor * canteen_reduction * comfort_factor;
     if(s.sick_weeks > 0) pressure_increase += 10;
     
-    pressure_increase *= (typeof PRESSURE_INCREASE_MULTIPLIER !== 'undefined' ? PRESSURE_INCREASE_MULTIPLIER : 1.0);
+    pressure_increase *= getRuleMultiplier('pressureIncrease');
     
     let finalPressureIncrease = pressure_increase;
     try{
@@ -382,24 +480,11 @@ function trainStudentsWithTask(task, intensity) {
         const talentResults = s.triggerTalents('pressure_change', { 
           source: 'task_training', 
           amount: pressure_increase, 
-          task: task, 
-          intensity: intensity 
+          task: sTask, 
+          intensity: sIntensity 
         }) || [];
         
-        for(const r of talentResults){
-          if(!r || !r.result) continue;
-          const out = r.result;
-          if(typeof out === 'object'){
-            const act = out.action;
-            if(act === 'moyu_cancel_pressure'){
-              finalPressureIncrease = 0;
-            } else if(act === 'halve_pressure'){
-              finalPressureIncrease = finalPressureIncrease * 0.5;
-            } else if(act === 'double_pressure'){
-              finalPressureIncrease = finalPressureIncrease * 2.0;
-            }
-          }
-        }
+        finalPressureIncrease = applyTalentPressureActions(finalPressureIncrease, talentResults);
       }
     }catch(e){ console.error('triggerTalents pressure_change', e); }
     
@@ -414,24 +499,40 @@ function trainStudentsWithTask(task, intensity) {
     
     trainingResults.push({
       name: s.name,
+      task: sTask,
+      intensity: sIntensity,
       multiplier: boostMultiplier,
       boosts: results.boosts
     });
   }
   
   game.weeks_since_entertainment += 1;
+  // 一起训练增进感情（休息的学生不计）
+  game.changeGroupAffinity(trainedStudents, AFFINITY_TRAINING_GAIN);
   
   log(`训练结束。题目：${task.name}`);
 
   try{
     if(typeof window !== 'undefined' && window.TalentManager && typeof window.TalentManager.tryAcquireTalent === 'function'){
-  for(let s of game.students){ if(s && s.active !== false) try{ window.TalentManager.tryAcquireTalent(s, (typeof intensity !== 'undefined' ? (intensity===3?0.8:(intensity===2?0.4:0.2)) : 0.4)); }catch(e){} }
+  for(let s of game.students){
+    if(!s || s.active === false) continue;
+    const assign = (plan && plan[s.name]) || {};
+    if(assign.rest) continue;
+    const sIntensity = assign.intensity || intensity;
+    try{ window.TalentManager.tryAcquireTalent(s, (typeof sIntensity !== 'undefined' ? (sIntensity===3?0.8:(sIntensity===2?0.4:0.2)) : 0.4)); }catch(e){}
+  }
     }
   }catch(e){ console.error('post-task-training tryAcquireTalent error', e); }
   for(const result of trainingResults) {
+    if(result.rest){
+      log(`  ${result.name}: 休息，压力-${TRAINING_REST_PRESSURE_RELIEF}`);
+      continue;
+    }
+    const own = (result.task.name !== task.name || result.intensity !== intensity)
+      ? `（${result.task.name}，${result.intensity===1?'轻':result.intensity===2?'中':'重'}）` : '';
     const boostStrs = result.boosts.map(b => `${b.type}+${b.actualAmount}`).join(', ');
     const effPercent = Math.round(result.multiplier * 100);
-    log(`  ${result.name}: 效率${effPercent}% [${boostStrs}]`);
+    log(`  ${result.name}${own}: 效率${effPercent}% [${boostStrs}]`);
   }
   
   const __after = typeof __createSnapshot === 'function' ? __createSnapshot() : null;
@@ -513,9 +614,9 @@ function extraTrainStudentsWithTask(task, intensity) {
         const computerMultiplier = 1.0 + computerBonus;
 
         const abilityGainBase = boostMultiplier * intensityFactor * (1 - Math.min(0.6, s.pressure / 200.0));
-        const thinkingGain = uniform(0.6, 1.5) * abilityGainBase * computerMultiplier * (typeof TRAINING_EFFECT_MULTIPLIER !== 'undefined' ? TRAINING_EFFECT_MULTIPLIER : 1.0);
+        const thinkingGain = uniform(0.6, 1.5) * abilityGainBase * computerMultiplier * getRuleMultiplier('trainingEffect');
 
-        const codingGain = uniform(1, 2.5) * abilityGainBase * computerMultiplier * (typeof TRAINING_EFFECT_MULTIPLIER !== 'undefined' ? TRAINING_EFFECT_MULTIPLIER : 1.0);
+        const codingGain = uniform(1, 2.5) * abilityGainBase * computerMultiplier * getRuleMultiplier('trainingEffect');
 
         s.thinking += thinkingGain;
         s.coding += codingGain;
@@ -534,7 +635,7 @@ function extraTrainStudentsWithTask(task, intensity) {
         let pressure_increase = base_pressure * weather_factor * canteen_reduction * comfort_factor;
         if (s.sick_weeks > 0) pressure_increase += 10;
 
-        pressure_increase *= (typeof PRESSURE_INCREASE_MULTIPLIER !== 'undefined' ? PRESSURE_INCREASE_MULTIPLIER : 1.0);
+        pressure_increase *= getRuleMultiplier('pressureIncrease');
         // 加训特殊处理：压力增加50%
         pressure_increase *= 1.5;
 
@@ -548,20 +649,7 @@ function extraTrainStudentsWithTask(task, intensity) {
                     intensity: intensity
                 }) || [];
 
-                for (const r of talentResults) {
-                    if (!r || !r.result) continue;
-                    const out = r.result;
-                    if (typeof out === 'object') {
-                        const act = out.action;
-                        if (act === 'moyu_cancel_pressure') {
-                            finalPressureIncrease = 0;
-                        } else if (act === 'halve_pressure') {
-                            finalPressureIncrease = finalPressureIncrease * 0.5;
-                        } else if (act === 'double_pressure') {
-                            finalPressureIncrease = finalPressureIncrease * 2.0;
-                        }
-                    }
-                }
+                finalPressureIncrease = applyTalentPressureActions(finalPressureIncrease, talentResults);
             }
         } catch (e) { console.error('triggerTalents pressure_change', e); }
 
@@ -575,6 +663,7 @@ function extraTrainStudentsWithTask(task, intensity) {
     }
 
     game.weeks_since_entertainment += 1;
+    game.changeGroupAffinity(game.students, AFFINITY_TRAINING_GAIN);
 
     log(`加训结束。题目：${task.name}`);
 
@@ -597,7 +686,7 @@ function extraTrainStudentsWithTask(task, intensity) {
     try { checkRandomEvents(); } catch (e) { console.error('post-extra-training checkRandomEvents failed', e); }
 }
 function simulateHiddenMockScore(s, diffIdx){
-  const knowledge_types = ["数据结构","图论","字符串","数学","动态规划"];
+  const knowledge_types = listKnowledgeTopics();
   let total = 0;
   for(let qi=0; qi<4; qi++){
     const num_tags = uniformInt(1,3);
@@ -735,20 +824,17 @@ function outingTrainingWithSelection(difficulty_choice, province_choice, selecte
       pressure_multiplier = 2.0;
     }
 
-    const outfitEffectMult = (typeof OUTFIT_EFFECT_MULTIPLIER !== 'undefined' ? OUTFIT_EFFECT_MULTIPLIER : 1.0);
+    const outfitEffectMult = getRuleMultiplier('outfitEffect');
     const knowledge_gain = Math.floor(uniformInt(knowledge_min, knowledge_max) * knowledge_modifier * outfitEffectMult);
-    s.knowledge_ds += knowledge_gain; 
-    s.knowledge_graph += knowledge_gain; 
-    s.knowledge_string += knowledge_gain; 
-    s.knowledge_math += knowledge_gain; 
-    s.knowledge_dp += knowledge_gain;
+    // 经 addKnowledge 计入，记录最近增长周并享受复习加成
+    for(const topic of listKnowledgeTopics()) s.addKnowledge(topic, knowledge_gain);
     
     const ability_gain = uniform(ability_min, ability_max) * ability_modifier * outfitEffectMult;
     s.thinking = (s.thinking || 0) + ability_gain;
     s.coding = (s.coding || 0) + ability_gain;
     s.mental = Math.min(100, s.mental + ability_gain * 0.5);
 
-    const pressure_delta = Math.floor(pressure_gain * (mismatch ? pressure_multiplier : 1.0) * (typeof PRESSURE_INCREASE_MULTIPLIER !== 'undefined' ? PRESSURE_INCREASE_MULTIPLIER : 1.0));
+    const pressure_delta = Math.floor(pressure_gain * (mismatch ? pressure_multiplier : 1.0) * getRuleMultiplier('pressureIncrease'));
     s.pressure = Math.min(100, Number(s.pressure||0) + pressure_delta);
     s.comfort -= 10;
 
@@ -764,9 +850,8 @@ function outingTrainingWithSelection(difficulty_choice, province_choice, selecte
     
     if(inspireTalents && inspireTalents.length > 0){
       for(const talentName of inspireTalents){
-        if(Math.random() < 0.3){
-          if(!s.talents.has(talentName)){
-            s.talents.add(talentName);
+        if(getRandom() < 0.3){
+          if(TalentManager.grantTalent(s, talentName)){
             pushEvent({ 
               name: '天赋激发成功', 
               description: `${s.name} 在集训中获得了天赋「${talentName}」！`, 
@@ -789,6 +874,8 @@ function outingTrainingWithSelection(difficulty_choice, province_choice, selecte
   }
 
   game.weeks_since_entertainment += 1;
+  // 同行的学生之间增进感情
+  game.changeGroupAffinity(selectedStudents, AFFINITY_OUTING_GAIN);
   log("外出集训完成（1周）。");
 
     safeWeeklyUpdate(1);
@@ -896,13 +983,9 @@ function overseasTrainingWithSelection(difficulty_choice, country_choice, select
             pressure_multiplier = 2.0;
         }
 
-        const outfitEffectMult = (typeof OUTFIT_EFFECT_MULTIPLIER !== 'undefined' ? OUTFIT_EFFECT_MULTIPLIER : 1.0);
+        const outfitEffectMult = getRuleMultiplier('outfitEffect');
         const knowledge_gain = Math.floor(uniformInt(knowledge_min, knowledge_max) * knowledge_modifier * outfitEffectMult);
-        s.knowledge_ds += knowledge_gain;
-        s.knowledge_graph += knowledge_gain;
-        s.knowledge_string += knowledge_gain;
-        s.knowledge_math += knowledge_gain;
-        s.knowledge_dp += knowledge_gain;
+        for (const topic of listKnowledgeTopics()) s.addKnowledge(topic, knowledge_gain);
 
 
         const ability_gain = uniform(ability_min, ability_max) * ability_modifier * outfitEffectMult;
@@ -910,7 +993,7 @@ function overseasTrainingWithSelection(difficulty_choice, country_choice, select
         s.coding = (s.coding || 0) + ability_gain;
         s.mental = Math.min(100, s.mental + ability_gain * 0.5);
 
-        const pressure_delta = Math.floor(pressure_gain * (mismatch ? pressure_multiplier : 1.0) * (typeof PRESSURE_INCREASE_MULTIPLIER !== 'undefined' ? PRESSURE_INCREASE_MULTIPLIER : 1.0));
+        const pressure_delta = Math.floor(pressure_gain * (mismatch ? pressure_multiplier : 1.0) * getRuleMultiplier('pressureIncrease'));
         s.pressure = Math.min(100, Number(s.pressure || 0) + pressure_delta);
         s.comfort -= 10;
 
@@ -928,10 +1011,8 @@ function overseasTrainingWithSelection(difficulty_choice, country_choice, select
             for (const talentName of inspireTalents) {
                 // 隐藏天赋的激发概率略高（35%）
                 const probability = HIDDEN_TALENTS.includes(talentName) ? 0.25 : 0.3;
-                if (Math.random() < probability) {
-                    if (!s.talents.has(talentName)) {
-                        s.talents.add(talentName);
-
+                if (getRandom() < probability) {
+                    if (TalentManager.grantTalent(s, talentName)) {
                         pushEvent({
                             name: '天赋激发成功',
                             description: `${s.name} 在出境集训中获得了天赋「${talentName}」！`,
@@ -954,18 +1035,19 @@ function overseasTrainingWithSelection(difficulty_choice, country_choice, select
     }
 
     game.weeks_since_entertainment += 1;
+    game.changeGroupAffinity(selectedStudents, AFFINITY_OUTING_GAIN);
     log("出境集训完成（1周）。");
 
     const __after = __createSnapshot?.();
     if (__before && __after) __summarizeSnapshot(__before, __after, `出境集训：${target.name} 难度${difficulty_choice}`);
     // 最简单的事件触发 - 直接根据概率触发
 
-    if (Math.random() < CHUJINGFAZHI) {
+    if (getRandom() < CHUJINGFAZHI) {
         switch (target.name) {
             case '泰国':
                 const thaiParticipants = game.students.filter(s => s.active && selectedNames.includes(s.name));
                 if (thaiParticipants.length > 0) {
-                    const targetStudent = thaiParticipants[Math.floor(Math.random() * thaiParticipants.length)];
+                    const targetStudent = thaiParticipants[Math.floor(getRandom() * thaiParticipants.length)];
                     targetStudent.femaleTeamPath = true;
                     pushEvent({
                         name: '女队道路',
@@ -979,7 +1061,7 @@ function overseasTrainingWithSelection(difficulty_choice, country_choice, select
             case '香港':
                 const hkParticipants = game.students.filter(s => s.active && selectedNames.includes(s.name));
                 if (hkParticipants.length > 0) {
-                    const targetStudent = hkParticipants[Math.floor(Math.random() * hkParticipants.length)];
+                    const targetStudent = hkParticipants[Math.floor(getRandom() * hkParticipants.length)];
                     const shoppingCost = uniformInt(1000, 5000);
 
                     game.budget -= shoppingCost;
@@ -996,7 +1078,7 @@ function overseasTrainingWithSelection(difficulty_choice, country_choice, select
             case '澳门':
                 const macauParticipants = game.students.filter(s => s.active && selectedNames.includes(s.name));
                 if (macauParticipants.length > 0) {
-                    const targetStudent = macauParticipants[Math.floor(Math.random() * macauParticipants.length)];
+                    const targetStudent = macauParticipants[Math.floor(getRandom() * macauParticipants.length)];
                     const gamblingResult = uniformInt(-10000, 10000);
 
                     game.budget += gamblingResult;
@@ -1021,7 +1103,7 @@ function overseasTrainingWithSelection(difficulty_choice, country_choice, select
             case '匈牙利':
                 const hungaryParticipants = game.students.filter(s => s.active && selectedNames.includes(s.name));
                 if (hungaryParticipants.length > 0) {
-                    const targetStudent = hungaryParticipants[Math.floor(Math.random() * hungaryParticipants.length)];
+                    const targetStudent = hungaryParticipants[Math.floor(getRandom() * hungaryParticipants.length)];
                     targetStudent.knowledge_graph += 10;
                     pushEvent({
                         name: '匈牙利算法',
@@ -1034,8 +1116,8 @@ function overseasTrainingWithSelection(difficulty_choice, country_choice, select
             case '美国':
                 const usParticipants = game.students.filter(s => s.active && selectedNames.includes(s.name));
                 if (usParticipants.length > 0) {
-                    const targetStudent = usParticipants[Math.floor(Math.random() * usParticipants.length)];
-                    if (Math.random() < 0.1) {
+                    const targetStudent = usParticipants[Math.floor(getRandom() * usParticipants.length)];
+                    if (getRandom() < 0.1) {
                         targetStudent.thinking += 30;
                         targetStudent.coding += 30;
                         targetStudent.mental += 30;
@@ -1061,7 +1143,7 @@ function overseasTrainingWithSelection(difficulty_choice, country_choice, select
             case '日本':
                 const japanParticipants = game.students.filter(s => s.active && selectedNames.includes(s.name));
                 if (japanParticipants.length > 0) {
-                    const targetStudent = japanParticipants[Math.floor(Math.random() * japanParticipants.length)];
+                    const targetStudent = japanParticipants[Math.floor(getRandom() * japanParticipants.length)];
                         targetStudent.pressure = 0;
                         pushEvent({
                             name: '文化体验',
@@ -1352,7 +1434,7 @@ function overseasTrainingWithSelection(difficulty_choice, country_choice, select
     safeWeeklyUpdate(1);
 }
 
-const KP_OPTIONS = [{id:1,name:"数据结构"},{id:2,name:"图论"},{id:3,name:"字符串"},{id:4,name:"数学"},{id:5,name:"动态规划"}];
+const KP_OPTIONS = listKnowledgeTopics().map((name, i) => ({ id: i + 1, name }));
 
 function checkRandomEvents(){
   if(window.EventManager && typeof window.EventManager.checkRandomEvents === 'function'){
@@ -1439,6 +1521,8 @@ function weeklyUpdate(weeks=1){
     }
     
     let pressure_recovery = RECOVERY_RATE * (personalComfort/100.0) * weeks;
+    // 团队关系：与队友平均好感度越高，压力恢复越快（关系差则变慢）
+    pressure_recovery *= 1 + AFFINITY_RECOVERY_EFFECT * game.getAverageAffinity(s) / AFFINITY_MAX;
     
     if(s.talents && s.talents.has('乐天派')){
       pressure_recovery += 3 * weeks;
@@ -1459,6 +1543,11 @@ function weeklyUpdate(weeks=1){
     game.recordExpense(weeklyAdj, '周维护费用');
     game.week++;
     game.updateWeather();
+    // 知识遗忘：长期未训练的知识点逐周衰减
+    const decayRate = game.getKnowledgeDecayRate();
+    if(decayRate > 0){
+      for(const s of game.students){ if(s && s.active !== false) s.decayKnowledge(game.week, decayRate); }
+    }
     
     // 在每周开始时选择本周的训练题目（7道：5推荐+2随机）
     if (typeof selectRandomTasks === 'function') {
@@ -1539,10 +1628,12 @@ function weeklyUpdate(weeks=1){
   }catch(e){ console.error('weeklyUpdate trigger talents failed', e); }
 
   checkRandomEvents();
+  if(window.PluginManager) window.PluginManager.emit('weeklyUpdate', { game, weeks });
   if (checkAndTriggerEnding()) {
     return;
   }
   
+  captureWeekSnapshot();
   renderAll();
 }
 
@@ -1680,6 +1771,7 @@ function resignUI(){
   if(confirmBtn) confirmBtn.onclick = () => {
     try{
       closeModal();
+      if(window.ReplayJournal) ReplayJournal.record('resign', []);
       log("教练选择辞职，赛季提前结束");
       setTimeout(() => {
         triggerGameEnding('辞职');
@@ -1699,6 +1791,13 @@ function triggerGameEnding(reason) {
       description: `游戏结束原因：${normalized}`, 
       week: game.week 
     });
+    if(window.PluginManager) window.PluginManager.emit('gameEnd', { game, reason: normalized });
+    
+    // 回放模式：不保存、不跳转结算页，直接比对结果
+    if(window.ReplayJournal && ReplayJournal.isReplaying()){
+      ReplayJournal.finishReplay(normalized);
+      return;
+    }
     
     console.log('【DEBUG】 triggerGameEnding saving careerCompetitions:', game.careerCompetitions);
     if(typeof saveGame === 'function') {
@@ -1714,7 +1813,7 @@ function triggerGameEnding(reason) {
   try{ console.debug('即将跳转到 end.html, oi_coach_save exists: ' + (localStorage.getItem('oi_coach_save') !== null) + ', length: ' + (localStorage.getItem('oi_coach_save') || '').length); }catch(e){}
         try{
           const payload = {
-            oi_coach_save: (function(){ try{ return sessionStorage.getItem('oi_coach_save') || localStorage.getItem('oi_coach_save') || ''; }catch(e){ return localStorage.getItem('oi_coach_save') || ''; } })(),
+            oi_coach_save: SaveManager.readCurrentRaw() || '',
             oi_coach_ending_reason: (function(){ try{ return sessionStorage.getItem('oi_coach_ending_reason') || localStorage.getItem('oi_coach_ending_reason') || ''; }catch(e){ return localStorage.getItem('oi_coach_ending_reason') || ''; } })()
           };
           try{ window.name = JSON.stringify(payload); }catch(e){}
@@ -1789,15 +1888,22 @@ function upgradeFacility(f){
   if(confirmBtn) confirmBtn.onclick = () => {
     try{
       if(game.budget < costAdj){ alert("经费不足"); closeModal(); return; }
-      game.recordExpense(costAdj, `设施升级：${f}`);
-      game.facilities.upgrade(f);
-      log(`设施升级：${f} 到等级 ${current+1}（基础 ¥${cost}，调整后 ¥${costAdj}）`);
       closeModal();
-      renderAll();
+      applyFacilityUpgrade(f);
     }catch(e){ console.error('upgrade confirm handler error', e); }
   };
 }
 
+function applyFacilityUpgrade(f){
+  let current = game.facilities.getCurrentLevel(f);
+  let cost = game.facilities.getUpgradeCost(f);
+  const costAdj = Math.round(cost * (game.getExpenseMultiplier ? game.getExpenseMultiplier() : 1));
+  game.recordExpense(costAdj, `设施升级：${f}`);
+  game.facilities.upgrade(f);
+  log(`设施升级：${f} 到等级 ${current+1}（基础 ¥${cost}，调整后 ¥${costAdj}）`);
+  renderAll();
+}
+
 function showFacilityUpgradeModal(){
   const facilities = ['computer', 'library', 'ac', 'dorm', 'canteen'];
   const facilityNames = {
@@ -1885,24 +1991,10 @@ function rest1Week(){
 }
 
 function saveGame(silent = false){ 
+  // 回放模式下不覆盖玩家的当前进度
+  if(window.ReplayJournal && ReplayJournal.isReplaying()) return;
   try{
-    const saveData = JSON.parse(JSON.stringify(game, (key, value) => {
-      if(value instanceof Set){
-        return Array.from(value);
-      }
-      return value;
-    }));
-  const savedStr = JSON.stringify(saveData);
-  try{ sessionStorage.setItem('oi_coach_save', savedStr); }catch(e){ console.warn('sessionStorage unavailable for save', e); }
-  try{ sessionStorage.setItem('oi_coach_save_diag', savedStr); }catch(e){}
-  try{ localStorage.setItem('oi_coach_save', savedStr); }catch(e){}
-    try{
-      const verify = localStorage.getItem('oi_coach_save');
-      const len = verify ? verify.length : 0;
-      const prefix = verify ? verify.slice(0, 200) : '';
-      const suffix = verify ? verify.slice(Math.max(0, verify.length-200)) : '';
-
-    }catch(e){ if(!silent) alert('DEBUG: saveGame 写入后校验失败: '+e.message); }
+    SaveManager.saveCurrent(game);
   }catch(e){ 
     if (!silent) {
       alert("保存失败："+e);
@@ -1910,24 +2002,25 @@ function saveGame(silent = false){
     console.error("Save game failed:", e);
   }
 }
-function loadGame(){ try{ 
-    let raw = null;
-    try{ raw = sessionStorage.getItem('oi_coach_save'); }catch(e){ raw = null; }
-    try{ if(!raw) raw = localStorage.getItem('oi_coach_save'); }catch(e){}
-    if(!raw){ alert("无存档"); return; }
-    let o = JSON.parse(raw);
-    game = Object.assign(new GameState(), o);
+
+// 用载入的 GameState 替换当前游戏
+// 返回 false 表示需要重新载入页面（已跳转），调用方不应继续使用当前页面状态
+function applyLoadedGame(loaded){
+  // 页面内无法停用插件：存档未启用的插件正在运行时，重新载入页面，由 silentLoad 按存档的列表启用
+  const wanted = Array.isArray(loaded.enabledPlugins) ? loaded.enabledPlugins : [];
+  const extra = window.PluginManager ? window.PluginManager.getActiveIds().filter(id => !wanted.includes(id)) : [];
+  if(extra.length > 0){
+    console.log(`[插件] 存档未启用 ${extra.join('、')}，重新载入页面`);
+    try{ sessionStorage.setItem('oi_game_active_session', 'true'); }catch(e){}
+    window.location.href = 'game.html';
+    return false;
+  }
+  // 按存档启用赛季（官方赛季为 null）
+  if(window.SeasonManager) window.SeasonManager.apply(loaded.season || null);
+  game = loaded;
   window.game = game;
-  game.facilities = Object.assign(new Facilities(), o.facilities);
-  game.students = (o.students || []).map(s => {
-    const student = Object.assign(new Student(), s);
-    if(s.talents && Array.isArray(s.talents)){
-      student.talents = new Set(s.talents);
-    } else if(s.talents && typeof s.talents === 'object'){
-      student.talents = new Set(Object.keys(s.talents).filter(k => s.talents[k]));
-    }
-    return student;
-  });
+  // 按存档中记录的列表启用插件（旧存档没有该字段，视为不启用）
+  activatePlugins(game.enabledPlugins);
   
   // 恢复本周题目：如果存档中没有或已失效，重新选择
   if (!game.weeklyTasks || !Array.isArray(game.weeklyTasks) || game.weeklyTasks.length === 0) {
@@ -1935,29 +2028,195 @@ function loadGame(){ try{
       game.weeklyTasks = selectRandomTasks(7);
     }
   }
-  
-  renderAll(); alert("已载入存档"); }catch(e){ alert("载入失败："+e); } }
+  resetWeekHistory();
+  return true;
+}
+
+function loadGame(){ try{ 
+    const loaded = SaveManager.loadCurrent();
+    if(!loaded){ alert("无存档"); return; }
+    if(!applyLoadedGame(loaded)) return;
+    renderAll(); alert("已载入存档"); }catch(e){ alert("载入失败："+e.message); } }
 
 function silentLoad(){ try{ 
-  let raw = null;
-  try{ raw = sessionStorage.getItem('oi_coach_save'); }catch(e){ raw = null; }
-  try{ if(!raw) raw = localStorage.getItem('oi_coach_save'); }catch(e){}
-  if(!raw) return false; let o = JSON.parse(raw); game = Object.assign(new GameState(), o); window.game = game; game.facilities = Object.assign(new Facilities(), o.facilities); game.students = (o.students || []).map(s => { const student = Object.assign(new Student(), s); if(s.talents && Array.isArray(s.talents)){ student.talents = new Set(s.talents); } else if(s.talents && typeof s.talents === 'object'){ student.talents = new Set(Object.keys(s.talents).filter(k => s.talents[k])); } return student; }); 
-  
-  // 恢复本周题目：如果存档中没有或已失效，重新选择
-  if (!game.weeklyTasks || !Array.isArray(game.weeklyTasks) || game.weeklyTasks.length === 0) {
-    if (typeof selectRandomTasks === 'function') {
-      game.weeklyTasks = selectRandomTasks(7);
-    }
+  const loaded = SaveManager.loadCurrent();
+  if(!loaded) return false;
+  applyLoadedGame(loaded);
+  return true; }catch(e){ console.error('silentLoad failed', e); return false; } }
+
+function saveSlotsUI(){
+  const inGame = !!document.getElementById('action-train');
+  const slots = SaveManager.listSlots();
+  const esc = (str) => String(str).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+  const diffNames = {1:'简单', 2:'普通', 3:'困难'};
+
+  let rowsHtml = '';
+  slots.forEach((m, idx) => {
+    const when = m.savedAt ? new Date(m.savedAt).toLocaleString() : '-';
+    rowsHtml += `
+      <div style="display:flex; align-items:center; gap:8px; padding:6px 0; border-bottom:1px solid #eee;">
+        <div style="flex:1">
+          <div><strong>${esc(m.name)}</strong></div>
+          <div class="small muted">第 ${m.week || '-'} 周 · ${esc(m.province_name || '-')} · ${diffNames[m.difficulty] || '-'} · ${when}</div>
+        </div>
+        <button class="btn btn-ghost slot-load" data-idx="${idx}">读取</button>
+        <button class="btn btn-ghost slot-delete" data-idx="${idx}">删除</button>
+      </div>`;
+  });
+  if(!rowsHtml) rowsHtml = '<div class="small muted">暂无存档</div>';
+
+  const saveRowHtml = inGame ? `
+    <div style="display:flex; gap:8px; margin-top:12px;">
+      <input type="text" id="slot-name-input" maxlength="30" placeholder="存档名" value="${esc(game.province_name || '存档')} 第${game.week}周" style="flex:1;padding:6px;border:1px solid #ddd;border-radius:6px;" />
+      <button class="btn" id="slot-save-btn">保存到此存档</button>
+    </div>` : '';
+
+  showModal(`
+    <h3>存档管理</h3>
+    <div style="max-height:320px; overflow:auto; margin-top:8px;">${rowsHtml}</div>
+    ${saveRowHtml}
+    <div style="display:flex; gap:8px; margin-top:12px;">
+      ${inGame ? '<button class="btn btn-ghost" id="slot-export-btn">导出存档文件</button>' : ''}
+      <button class="btn btn-ghost" id="slot-import-btn">导入存档文件</button>
+      <input type="file" id="slot-import-file" accept=".json,application/json" style="display:none" />
+    </div>
+    <div class="modal-actions" style="margin-top:12px">
+      <button class="btn btn-ghost" id="slot-close-btn">关闭</button>
+    </div>`);
+
+  const closeBtn = document.getElementById('slot-close-btn');
+  if(closeBtn) closeBtn.onclick = () => { closeModal(); };
+
+  const saveBtn = document.getElementById('slot-save-btn');
+  if(saveBtn) saveBtn.onclick = () => {
+    try{
+      const name = document.getElementById('slot-name-input').value;
+      if(SaveManager.listSlots().some(m => m.name === String(name).trim()) && !confirm('同名存档已存在，是否覆盖？')) return;
+      const meta = SaveManager.saveToSlot(name, game);
+      log(`已保存到存档「${meta.name}」`);
+      closeModal();
+    }catch(e){ alert("保存失败：" + e.message); }
+  };
+
+  const exportBtn = document.getElementById('slot-export-btn');
+  if(exportBtn) exportBtn.onclick = () => {
+    try{
+      const fileName = SaveManager.exportToFile(game);
+      log(`已导出存档文件 ${fileName}`);
+    }catch(e){ alert("导出失败：" + e.message); }
+  };
+
+  const importBtn = document.getElementById('slot-import-btn');
+  const importInput = document.getElementById('slot-import-file');
+  if(importBtn && importInput){
+    importBtn.onclick = () => { importInput.click(); };
+    importInput.onchange = () => {
+      const file = importInput.files && importInput.files[0];
+      if(!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        let data, loaded;
+        try{
+          data = SaveManager.parseImportFile(String(reader.result || ''));
+        }catch(e){ alert("导入失败：" + e.message); return; }
+        if(inGame && !confirm(`导入存档（${data.province_name || '-'} 第${data.week}周）将覆盖当前进度，确认导入？`)) return;
+        try{
+          loaded = SaveManager.deserialize(data);
+        }catch(e){ alert("导入失败：" + e.message); return; }
+        // 外部文件可能被修改过，操作记录不再保证能复现
+        if(loaded.replayLog && !loaded.replayLog.tainted) loaded.replayLog.tainted = '导入存档文件';
+        SaveManager.saveCurrent(loaded);
+        closeModal();
+        if(inGame){
+          loadGame();
+        } else {
+          try{ sessionStorage.setItem('oi_game_active_session', 'true'); }catch(e){}
+          window.location.href = 'game.html';
+        }
+      };
+      reader.onerror = () => { alert("读取文件失败"); };
+      reader.readAsText(file);
+    };
   }
-  
-  return true; }catch(e){ return false; } }
+
+  document.querySelectorAll('.slot-load').forEach(btn => {
+    btn.onclick = () => {
+      const meta = slots[Number(btn.dataset.idx)];
+      if(!meta) return;
+      if(inGame && !confirm(`读取存档「${meta.name}」将覆盖当前进度，确认读取？`)) return;
+      try{
+        const loaded = SaveManager.loadFromSlot(meta.name);
+        SaveManager.saveCurrent(loaded);
+        closeModal();
+        if(inGame){
+          if(!applyLoadedGame(loaded)) return;
+          log(`已读取存档「${meta.name}」`);
+          renderAll();
+        } else {
+          try{ sessionStorage.setItem('oi_game_active_session', 'true'); }catch(e){}
+          window.location.href = 'game.html';
+        }
+      }catch(e){ alert("载入失败：" + e.message); }
+    };
+  });
+
+  document.querySelectorAll('.slot-delete').forEach(btn => {
+    btn.onclick = () => {
+      const meta = slots[Number(btn.dataset.idx)];
+      if(!meta || !confirm(`确认删除存档「${meta.name}」？`)) return;
+      SaveManager.deleteSlot(meta.name);
+      closeModal();
+      saveSlotsUI();
+    };
+  });
+}
+
+function rewindUI(){
+  if(window.ReplayJournal && ReplayJournal.isReplaying()){ alert('回放中不能回溯'); return; }
+  if(window.__contest_live_modal_active){ alert('比赛进行中不能回溯'); return; }
+  const options = weekHistory.slice().reverse().map(snap => {
+    const n = currWeek() - snap.week;
+    const label = n === 0 ? '重来本周' : `回溯 ${n} 周`;
+    return `<option value="${n}">${label}（第 ${snap.week} 周开始，经费 ¥${snap.budget}，声誉 ${snap.reputation}）</option>`;
+  }).join('');
+  if(!options){ alert('暂无可回溯的周快照'); return; }
+  showModal(`<h3>回溯</h3>
+    <div class="small muted" style="margin-top:6px">恢复到所选周开始时的完整状态（含随机数），之后的进度将被丢弃。最多保留最近 ${REWIND_HISTORY_SIZE} 周。</div>
+    <select id="rewind-select" style="width:100%;margin-top:10px;padding:6px">${options}</select>
+    <div class="modal-actions" style="margin-top:12px">
+      <button class="btn btn-ghost" onclick="closeModal()">取消</button>
+      <button class="btn" id="rewind-confirm">确认回溯</button>
+    </div>`);
+  const confirmBtn = document.getElementById('rewind-confirm');
+  if(confirmBtn) confirmBtn.onclick = () => {
+    try{
+      const n = parseInt(document.getElementById('rewind-select').value, 10);
+      closeModal();
+      if(!rewindWeeks(n)) alert('回溯失败：没有对应的周快照');
+    }catch(e){
+      console.error('rewind handler error', e);
+      alert('回溯失败：' + e.message);
+    }
+  };
+}
+
+// 启用插件：页面内已启用的插件无法停用，返回当前已启用的插件 id 列表
+function activatePlugins(ids){
+  if(!window.PluginManager) return [];
+  return window.PluginManager.activate(Array.isArray(ids) ? ids : []);
+}
 
 function startFromStartPage(){
   let diff = parseInt(document.getElementById('start-diff').value);
   let provBtn = document.querySelector('#start-prov-grid .prov-btn.selected');
   let prov = provBtn ? parseInt(provBtn.dataset.val) : 1;
   let count = clampInt(parseInt(document.getElementById('start-stu').value),3,10);
+  const decayEl = document.getElementById('start-decay');
+  const decay = decayEl ? decayEl.checked : true;
+  const rulesetEl = document.getElementById('start-ruleset');
+  const ruleset = getRuleset(rulesetEl ? rulesetEl.value : DEFAULT_RULESET).id;
+  const seasonEl = document.getElementById('start-season');
+  const season = seasonEl ? seasonEl.value : '';
   
   try {
     sessionStorage.setItem('oi_game_active_session', 'true');
@@ -1965,16 +2224,24 @@ function startFromStartPage(){
     console.error('无法设置 sessionStorage:', e);
   }
   
-  const url = `game.html?new=1&d=${encodeURIComponent(diff)}&p=${encodeURIComponent(prov)}&c=${encodeURIComponent(count)}`;
+  const url = `game.html?new=1&d=${encodeURIComponent(diff)}&p=${encodeURIComponent(prov)}&c=${encodeURIComponent(count)}${decay ? '' : '&kd=0'}${ruleset === DEFAULT_RULESET ? '' : '&r=' + encodeURIComponent(ruleset)}${season ? '&s=' + encodeURIComponent(season) : ''}`;
   window.location.href = url;
 }
 
-function initGame(difficulty, province_choice, student_count){
+function initGame(difficulty, province_choice, student_count, options){
+  // 自定义赛季须在创建 GameState 之前启用（晋级资格按 COMPETITION_ORDER 初始化）；未指定时恢复官方赛季
+  const season = window.SeasonManager ? window.SeasonManager.apply(options && options.season || null) : null;
   game = new GameState();
   window.game = game;
   game.difficulty = clampInt(difficulty,1,3);
+  // 开局选项：knowledgeDecay 为 false 时关闭知识遗忘
+  game.knowledgeDecay = !(options && options.knowledgeDecay === false);
+  // 规则预设：未知 id 按经典规则处理（须在招生扣费、选题之前设置）
+  game.ruleset = getRuleset(options && options.ruleset).id;
+  game.season = season;
   let prov = PROVINCES[province_choice] || PROVINCES[1];
   game.province_id = province_choice;
+  game.enabledPlugins = window.PluginManager ? window.PluginManager.getActiveIds() : [];
   game.province_name = prov.name; game.province_type = prov.type; game.is_north = prov.isNorth; game.budget = prov.baseBudget; game.base_comfort = prov.isNorth?BASE_COMFORT_NORTH:BASE_COMFORT_SOUTH;
   try{ game.province_climate = prov.climate || null; }catch(e){ game.province_climate = null; }
   if(game.difficulty===1){ game.budget = Math.floor(game.budget * EASY_MODE_BUDGET_MULTIPLIER); }
@@ -2041,6 +2308,89 @@ function initGame(difficulty, province_choice, student_count){
   log("初始化完成，开始游戏！");
 }
 
+// 用回放文件中的种子与开局设置重新开局（操作由 ReplayJournal 逐个重放）
+function startReplayGame(replay){
+  const setup = replay.setup || {};
+  setRandomSeed(replay.seed);
+  activatePlugins(setup.plugins);
+  try{
+    if(setup.recruited) sessionStorage.setItem('oi_recruited_students', setup.recruited);
+    else sessionStorage.removeItem('oi_recruited_students');
+  }catch(e){}
+  initGame(setup.difficulty, setup.province, setup.count, { knowledgeDecay: setup.knowledgeDecay, ruleset: setup.ruleset, season: setup.season });
+  if(setup.daily){
+    game.isDailyChallenge = true;
+    game.dailyChallengeSeed = replay.seed;
+    if(setup.dailyDate) game.dailyChallengeDate = setup.dailyDate;
+  }
+  console.log(`[回放] 已按种子 ${replay.seed} 重新开局`);
+}
+
+// 注册可录制的玩家操作（回放时按相同顺序重新调用）
+function installReplayRecording(){
+  const RJ = window.ReplayJournal;
+  if(!RJ) return;
+  RJ.register('train', 'trainStudentsWithTask');
+  RJ.register('extra_train', 'executeExtraTraining');
+  RJ.register('weekly_update', 'safeWeeklyUpdate');
+  RJ.register('entertainment', 'applyEntertainment');
+  RJ.register('mock_contest', 'startMockContest');
+  RJ.register('outing', 'outingTrainingWithSelection');
+  RJ.register('overseas', 'overseasTrainingWithSelection');
+  RJ.register('part_time', 'executePartTimeJobWithSelection');
+  RJ.register('facility_upgrade', 'applyFacilityUpgrade');
+  RJ.register('evict', 'evictSingle');
+  RJ.register('competition', 'holdCompetitionModalNew', {
+    toArgs: args => [ { name: args[0] && args[0].name, week: args[0] && args[0].week } ],
+    fromArgs: args => {
+      const ref = args[0] || {};
+      const comp = (competitions || []).find(c => c.name === ref.name && c.week === ref.week);
+      return comp ? [comp] : null;
+    }
+  });
+  // 事件卡片的 uid 每次加载页面都会重新编号，因此按事件名称 + 选项序号记录
+  RJ.register('event_choice', 'chooseEventOption', {
+    toArgs: args => {
+      const ev = recentEvents.find(e => e._uid === args[0]);
+      return [ ev ? ev.name : null, args[1] ];
+    },
+    fromArgs: args => {
+      const ev = recentEvents.find(e => e && e.name === args[0] && e.options && e.options.length > 0 && !e._isHandled);
+      return ev ? [ev._uid, args[1]] : null;
+    }
+  });
+  RJ.registerHandler('resign', () => { triggerGameEnding('辞职'); });
+  // 国家集训队选择弹窗：等按钮绑定后模拟点击
+  const clickWhenReady = id => () => {
+    const btn = document.getElementById(id);
+    if(!btn || typeof btn.onclick !== 'function') return false;
+    btn.click();
+    return true;
+  };
+  RJ.registerHandler('national_team_accept', clickWhenReady('national-team-accept'), { canRunWithModal: true });
+  RJ.registerHandler('national_team_decline', clickWhenReady('national-team-decline'), { canRunWithModal: true });
+  // 赛前部署弹窗：按记录设置各学生策略后点击“开始比赛”
+  RJ.registerHandler('contest_setup', args => {
+    const btn = document.getElementById('contest-setup-start');
+    if(!btn) return false;
+    const chosen = args[0] || {};
+    document.querySelectorAll('#modal-root .contest-strategy-select').forEach(sel => {
+      const row = sel.closest('tr');
+      const name = row && row.cells[0] ? row.cells[0].textContent : '';
+      if(chosen[name]) sel.value = chosen[name];
+    });
+    btn.click();
+    return true;
+  }, { canRunWithModal: true });
+  // 赛中教练指导已在开赛时按 tick 预约到模拟器，这里只需跳过
+  RJ.registerHandler('coach_intervene', () => true, { canRunWithModal: true });
+  RJ.registerHandler('coach_speech', args => {
+    const text = String(args[0] || '');
+    const hash = (typeof CryptoJS !== 'undefined') ? CryptoJS.SHA256(text).toString(CryptoJS.enc.Hex) : '';
+    document.dispatchEvent(new CustomEvent('coach-speech', { detail: { text: text, hash: hash } }));
+  });
+}
+
 window.onload = ()=>{
   if(window.EventManager && typeof window.EventManager.registerDefaultEvents === 'function'){
     try{
@@ -2059,23 +2409,43 @@ window.onload = ()=>{
         log: log
       });
     }catch(e){ console.error('registerDefaultEvents failed', e); }
+    if(typeof EVENT_PACKS !== 'undefined' && Array.isArray(EVENT_PACKS)){
+      for(const url of EVENT_PACKS) window.EventManager.loadEventPack(url);
+    }
   }
   
   if(window.TalentManager && typeof window.TalentManager.registerDefaultTalents === 'function'){
     try{
       window.TalentManager.registerDefaultTalents(game, { uniform, uniformInt, normal, clamp });
     }catch(e){ console.error('registerDefaultTalents failed', e); }
+    if(typeof TALENT_PACKS !== 'undefined' && Array.isArray(TALENT_PACKS)){
+      for(const url of TALENT_PACKS) window.TalentManager.loadTalentPack(url);
+    }
   }
   
   if(document.getElementById('action-train')){
     const qs = (function(){ try{ return new URLSearchParams(window.location.search); }catch(e){ return null; } })();
+    let pendingReplay = null;
     if(qs && qs.get('new') === '1'){
+      // 开局前按开始页的选择启用插件（插件可能新增省份）；今日挑战不启用插件，保证所有人条件一致
+      activatePlugins(qs.get('daily') === '1' ? [] : window.PluginManager && window.PluginManager.getPreferredIds());
       const diff = clampInt(parseInt(qs.get('d')||2),1,3);
       const prov = clampInt(parseInt(qs.get('p')||1),1,Object.keys(PROVINCES).length);
       const count = clampInt(parseInt(qs.get('c')||5),3,10);
+      const knowledgeDecay = qs.get('kd') !== '0';
       
       const isDaily = qs.get('daily') === '1';
+      // 今日挑战固定使用经典规则，保证所有人条件一致
+      const ruleset = isDaily ? DEFAULT_RULESET : getRuleset(qs.get('r')).id;
+      // 自定义赛季从本地赛季库按名称读取；今日挑战固定使用官方赛季
+      let season = null;
+      if(!isDaily && qs.get('s') && window.SeasonManager){
+        season = SeasonManager.getSaved(qs.get('s'));
+        if(!season) console.warn(`[赛季] 本地赛季库中没有「${qs.get('s')}」，使用官方赛季`);
+      }
       const seed = qs.get('seed') ? parseInt(qs.get('seed')) : null;
+      let recruitedRaw = null;
+      try{ recruitedRaw = sessionStorage.getItem('oi_recruited_students'); }catch(e){}
       
       if(isDaily && seed !== null){
         if(typeof setRandomSeed === 'function'){
@@ -2084,7 +2454,7 @@ window.onload = ()=>{
         } else {
           console.warn('[今日挑战] setRandomSeed 函数未定义，种子设置失败');
         }
-        initGame(diff, prov, count);
+        initGame(diff, prov, count, { knowledgeDecay, ruleset, season });
         game.isDailyChallenge = true;
         game.dailyChallengeSeed = seed;
         try{
@@ -2093,13 +2463,35 @@ window.onload = ()=>{
         }catch(e){}
         console.log(`[今日挑战] 游戏初始化完成，省份: ${prov}, 种子: ${seed}`);
       } else {
+        // 普通开局同样使用随机种子，配合操作记录即可完整回放
         if(typeof setRandomSeed === 'function'){
-          setRandomSeed(null);
+          setRandomSeed(Math.floor(Math.random() * 1000000000));
         }
-        initGame(diff, prov, count);
+        initGame(diff, prov, count, { knowledgeDecay, ruleset, season });
       }
       
-      try{ localStorage.setItem('oi_coach_save', JSON.stringify(game)); }catch(e){}
+      if(window.ReplayJournal){
+        const rngState = (typeof getRandomState === 'function') ? getRandomState() : null;
+        ReplayJournal.begin(game, {
+          seed: isDaily && seed !== null ? seed : (rngState ? rngState.seed : null),
+          difficulty: diff,
+          province: prov,
+          count: count,
+          recruited: recruitedRaw,
+          daily: isDaily && seed !== null,
+          dailyDate: game.dailyChallengeDate || null,
+          plugins: game.enabledPlugins,
+          knowledgeDecay: game.knowledgeDecay,
+          ruleset: game.ruleset,
+          season: game.season
+        });
+      }
+      
+      saveGame(true);
+    } else if(qs && qs.get('replay') === '1' && window.ReplayJournal){
+      pendingReplay = ReplayJournal.loadPendingReplay();
+      if(!pendingReplay){ window.location.href = 'start.html'; return; }
+      startReplayGame(pendingReplay);
     } else {
       const ok = silentLoad();
       if(!ok){ window.location.href = 'start.html'; return; }
@@ -2120,6 +2512,10 @@ window.onload = ()=>{
     const actionEvictBtn = document.getElementById('action-evict');
     if(actionEvictBtn) actionEvictBtn.onclick = ()=>{ evictStudentUI(); };
     
+    captureWeekSnapshot();
+    installReplayRecording();
+    if(pendingReplay) ReplayJournal.beginReplay(pendingReplay);
+    
     // 暴露设施升级界面函数到全局作用域
     window.showFacilityUpgradeModal = showFacilityUpgradeModal;
     // 暴露压力预计算函数到全局作用域
@@ -2132,7 +2528,13 @@ window.onload = ()=>{
         window.tutorialManager.start();
       }, 500);
     }
+  } else if(document.getElementById('start-prov-grid')){
+    // 开始页：按偏好启用插件（可能新增省份）后重新渲染省份，并显示插件面板
+    activatePlugins(window.PluginManager && window.PluginManager.getPreferredIds());
+    if(typeof renderStartPageUI === 'function') renderStartPageUI();
+    if(typeof renderPluginPanel === 'function') renderPluginPanel();
+    if(typeof renderSeasonPicker === 'function') renderSeasonPicker();
   } else {
-    // not index page: do nothing. start.html will call renderStartPageUI; end.html will call renderEndSummary.
+    // not index page: do nothing. end.html will call renderEndSummary.
   }
 };
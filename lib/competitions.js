@@ -6,7 +6,8 @@
    - 学生在每个时间片(10分钟)进行：选题 -> 思考/尝试 -> 可能跳题
    - 分数实时累积，最终得到比赛总分
    
-   时间流逝：网页1秒 = 比赛10分钟
+   时间流逝：1x 速度下网页1秒 = 比赛10分钟，直播可切换 2x / 5x / 瞬间，或 skipToEnd() 直接跳到结果
+   （runToCompletion() 为无界面模式，同步跑完全部tick）
    
    比赛时长：
    - CSP-S1: 120分钟 (12个tick)
@@ -27,6 +28,8 @@
   };
 
   const TICK_INTERVAL = 10; // 每个tick代表10分钟
+  const LIVE_TICK_DELAY = 1000; // 1x 速度下每个tick的真实间隔（毫秒）
+  const LIVE_SPEEDS = [1, 2, 5, 'instant']; // 直播可选速度，'instant' 为不等待逐tick推进
 
   /* ========== 部分分（Subtask）生成 ========== */
   /**
@@ -103,6 +106,78 @@
     return subtasks;
   }
 
+  /* ========== 比赛策略 ========== */
+  // 教练可以为每名学生指定比赛策略（student.contestStrategy），模拟器在选题、跳题、放弃时询问策略。
+  // 策略可实现以下任意方法，返回 undefined 表示沿用默认逻辑：
+  //   selectProblem(ctx) -> 题目id      ctx.unsolved 为当前可选题目
+  //   selectSubtask(ctx) -> 档位下标    ctx.prob 为当前题目状态
+  //   shouldSkip(ctx)    -> boolean     卡题时是否暂时跳过当前题
+  //   giveUp(ctx)        -> boolean     跳题时是否彻底放弃该题（本场不再回来）
+  // ctx 还包含 sim（ContestSimulator）、state（StudentContestState）、student
+  const CONTEST_STRATEGIES = {};
+
+  function registerContestStrategy(id, def){
+    CONTEST_STRATEGIES[id] = Object.assign({ id: id }, def);
+  }
+
+  function getContestStrategy(id){
+    return CONTEST_STRATEGIES[id] || CONTEST_STRATEGIES.default;
+  }
+
+  // 题目最简单档位的难度
+  function easiestDifficulty(prob){
+    return prob.subtasks.reduce((min, st) => Math.min(min, st.difficulty), Infinity);
+  }
+
+  // 分数高于当前已得分的最低一档（即下一档部分分），没有则返回 -1
+  function nextSubtaskIndex(prob){
+    let best = -1;
+    prob.subtasks.forEach((st, idx) => {
+      if(st.score > prob.maxScore && (best < 0 || st.score < prob.subtasks[best].score)) best = idx;
+    });
+    return best;
+  }
+
+  registerContestStrategy('default', {
+    name: '均衡',
+    desc: '按难度和题目顺序综合选题，卡题一段时间后跳题'
+  });
+
+  registerContestStrategy('easiest_first', {
+    name: '先易后难',
+    desc: '总是先开最简单的题，明显做不动的题直接放弃',
+    selectProblem: ({ unsolved }) => unsolved.slice().sort((a, b) => easiestDifficulty(a) - easiestDifficulty(b) || a.id - b.id)[0].id,
+    giveUp: ({ sim, student, prob }) => {
+      const ability = student.getComprehensiveAbility ? student.getComprehensiveAbility() : 50;
+      const effectiveAbility = ability + sim.getKnowledgeForProblem(student, prob) * 0.5;
+      return easiestDifficulty(prob) - effectiveAbility > 30;
+    }
+  });
+
+  registerContestStrategy('subtask_farming', {
+    name: '部分分优先',
+    desc: '先把每道题的低档部分分拿到手，再逐档往上冲',
+    selectProblem: ({ unsolved }) => {
+      const untouched = unsolved.filter(p => p.maxScore === 0);
+      const pool = untouched.length > 0 ? untouched : unsolved;
+      const nextDiff = p => { const idx = nextSubtaskIndex(p); return idx < 0 ? Infinity : p.subtasks[idx].difficulty; };
+      return pool.slice().sort((a, b) => nextDiff(a) - nextDiff(b) || a.id - b.id)[0].id;
+    },
+    selectSubtask: ({ prob }) => {
+      const idx = nextSubtaskIndex(prob);
+      return idx < 0 ? undefined : idx;
+    },
+    shouldSkip: ({ state }) => state.thinkingTime >= 30
+  });
+
+  registerContestStrategy('hardest_first', {
+    name: '冲击难题',
+    desc: '从最难的题开始先想正解，想不出再退回部分分，卡很久才换题',
+    selectProblem: ({ unsolved }) => unsolved.slice().sort((a, b) => easiestDifficulty(b) - easiestDifficulty(a) || b.id - a.id)[0].id,
+    selectSubtask: ({ state, prob }) => state.thinkingTime < 30 ? prob.subtasks.length - 1 : undefined,
+    shouldSkip: ({ state }) => state.thinkingTime < 60 ? false : undefined
+  });
+
   /* ========== 学生比赛状态 ========== */
   class StudentContestState {
     constructor(student, problems){
@@ -110,6 +185,7 @@
       this.problems = problems.map(p => ({
         id: p.id,
         tags: p.tags,
+        subtopics: p.subtopics,
         subtasks: p.subtasks,
         currentSubtask: 0, // 当前尝试的档位索引
         maxScore: 0, // 该题已获得的最高分
@@ -120,6 +196,10 @@
       this.totalScore = 0;
       this.thinkingTime = 0; // 当前题目已思考时间（分钟）
       this.recentlySkippedProblems = new Set(); // 最近跳过的题目ID集合，暂时不做
+      this.abandonedProblems = new Set(); // 按策略彻底放弃的题目ID集合，本场不再尝试
+      this.coachSubtask = null; // 教练建议的档位 {problemId, idx}
+      this.coachMistakeFactor = 1; // 教练提醒后的失误概率系数
+      this.strategy = (student && student.contestStrategy) || 'default';
     }
 
     // 获取题目状态
@@ -147,7 +227,7 @@
     // 获取未完成的题目列表
     // 优先返回未跳过的题目，如果所有未完成题目都被跳过了，则清空跳过列表
     getUnsolvedProblems(){
-      const unsolved = this.problems.filter(p => !p.solved);
+      const unsolved = this.problems.filter(p => !p.solved && !this.abandonedProblems.has(p.id));
       
       // 如果没有未完成的题目，直接返回
       if(unsolved.length === 0) return [];
@@ -177,6 +257,17 @@
       this.finishCallbacks = [];
       this.logs = []; // 比赛日志：记录技能发动、重要事件等
       this.logCallbacks = []; // 日志回调（用于实时显示）
+      this.headless = false; // 无界面模式：不调度 setTimeout，也不刷新游戏面板
+      this.speed = 1; // 直播速度，见 LIVE_SPEEDS
+      this.tickDelay = LIVE_TICK_DELAY;
+      this._tickTimer = null;
+      // 教练场外指导：剩余预算、各指导的冷却结束 tick、已执行记录、预约记录（回放用）
+      this.coachBudget = (typeof COACH_INTERVENTION_BUDGET !== 'undefined') ? COACH_INTERVENTION_BUDGET : 0;
+      this.coachCooldowns = {};
+      this.interventions = [];
+      this.scheduledInterventions = [];
+      // 每个 tick 结束时的紧凑快照（tickSnapshots[k] 为第 k 个 tick 之后的状态），供比赛回看使用
+      this.tickSnapshots = [];
     }
 
     // 添加日志条目
@@ -185,7 +276,7 @@
         tick: this.currentTick,
         time: this.currentTick * TICK_INTERVAL, // 比赛时间（分钟）
         message: message,
-        type: type, // 'info', 'talent', 'solve', 'select', 'skip'
+        type: type, // 'info', 'talent', 'solve', 'select', 'skip', 'coach'
         studentName: studentName,
         timestamp: Date.now()
       };
@@ -219,6 +310,40 @@
     // 开始模拟
     start(){
       this.isRunning = true;
+      this.prepareContest();
+      this.runTick();
+    }
+
+    /**
+     * 无界面同步模式：立即跑完全部tick（不经过 setTimeout），用于脚本中批量模拟
+     * @param {Object} options - {seed?: number} 传入 seed 时先调用 setRandomSeed，保证同一输入得到同一结果
+     * @returns {{students: Array<StudentContestState>, logs: Array, config: Object}}
+     */
+    runToCompletion(options = {}){
+      if(options.seed !== undefined && options.seed !== null && typeof setRandomSeed === 'function'){
+        setRandomSeed(options.seed);
+      }
+      this.headless = true;
+      this.isRunning = true;
+      this.prepareContest();
+      while(this.currentTick < this.maxTicks){
+        this.advanceTick();
+      }
+      this.finish();
+      return { students: this.students, logs: this.logs, config: this.config };
+    }
+
+    // 记录当前 tick 的快照：每名选手为 [总分, 当前题id(-1为未选题), 思考时间, 各题得分...]
+    recordTickSnapshot(){
+      this.tickSnapshots[this.currentTick] = this.students.map(st => [
+        st.totalScore,
+        st.currentTarget === null ? -1 : st.currentTarget,
+        st.thinkingTime
+      ].concat(st.problems.map(p => p.maxScore)));
+    }
+
+    // 比赛开始前的准备：初始化 constmental 并触发 contest_start
+    prepareContest(){
       // initialize per-contest constmental for each student (copy of base mental)
       for(let st of this.students){
         const s = st.student;
@@ -230,6 +355,21 @@
         }catch(e){ /* ignore */ }
       }
 
+      // 团队关系：多人参赛时，与同场队友的平均好感度影响比赛内心理
+      const game = this.game || (typeof window !== 'undefined' ? window.game : null);
+      if(game && typeof game.getAverageAffinity === 'function' && this.students.length > 1){
+        const teammates = this.students.map(st => st.student);
+        for(let st of this.students){
+          const s = st.student;
+          try{
+            const delta = AFFINITY_CONTEST_MENTAL * game.getAverageAffinity(s, teammates) / AFFINITY_MAX;
+            if(Math.abs(delta) < 0.5) continue;
+            s._talent_state.constmental = Math.max(0, Math.min(100, Number(s._talent_state.constmental) + delta));
+            this.addLog(`团队氛围${delta > 0 ? '融洽' : '紧张'}，${s.name} 心理 ${delta > 0 ? '+' : ''}${delta.toFixed(1)}`, 'info', s.name);
+          }catch(e){ console.error('team chemistry', e); }
+        }
+      }
+
       // 触发比赛开始事件（供天赋使用）
       for(let st of this.students){
         const s = st.student;
@@ -245,12 +385,50 @@
           }catch(e){ console.error('triggerTalents contest_start', e); }
         }
       }
-      this.runTick();
+      this.recordTickSnapshot();
     }
 
     // 暂停模拟
     pause(){
       this.isRunning = false;
+      this.clearTickTimer();
+    }
+
+    // 从暂停中恢复
+    resume(){
+      if(this._finished) return;
+      this.isRunning = true;
+      this.scheduleNextTick();
+    }
+
+    /**
+     * 设置直播速度
+     * @param {number|string} speed - 1 / 2 / 5 倍速，或 'instant'（不等待）
+     */
+    setSpeed(speed){
+      const instant = speed === 'instant';
+      const mult = Number(speed);
+      if(!instant && !(mult > 0)) return;
+      this.speed = instant ? 'instant' : mult;
+      this.tickDelay = instant ? 0 : Math.round(LIVE_TICK_DELAY / mult);
+      // 已在等待下一tick时按新速度重新计时
+      if(this.isRunning && this._tickTimer) this.scheduleNextTick();
+    }
+
+    // 安排下一次 runTick（同一时间只保留一个计时器，避免暂停/继续后出现两条推进链）
+    scheduleNextTick(){
+      this.clearTickTimer();
+      this._tickTimer = setTimeout(() => {
+        this._tickTimer = null;
+        this.runTick();
+      }, this.tickDelay);
+    }
+
+    clearTickTimer(){
+      if(this._tickTimer){
+        clearTimeout(this._tickTimer);
+        this._tickTimer = null;
+      }
     }
 
     // 单次tick模拟
@@ -261,12 +439,41 @@
         return;
       }
 
+      this.advanceTick();
+
+      // 按当前速度继续下一tick
+      if(this.isRunning && !this.headless){
+        this.scheduleNextTick();
+      }
+    }
+
+    // 连续推进最多 n 个tick（快进用），只在最后一个tick触发GUI回调；到达终点时结束比赛
+    advanceTicks(n){
+      const count = Math.max(0, Math.min(n, this.maxTicks - this.currentTick));
+      for(let i = 0; i < count; i++){
+        this.advanceTick(i === count - 1);
+      }
+      if(this.currentTick >= this.maxTicks) this.finish();
+    }
+
+    // 跳到结果：同步跑完剩余全部tick并结束比赛
+    skipToEnd(){
+      this.clearTickTimer();
+      this.advanceTicks(this.maxTicks - this.currentTick);
+    }
+
+    // 推进一个tick：模拟所有学生，notify 为 false 时不触发tick回调（不负责调度下一次）
+    advanceTick(notify = true){
+      this.applyScheduledInterventions();
+
       // 对每个学生进行一次模拟
       for(let state of this.students){
         this.simulateStudentTick(state);
       }
 
       this.currentTick++;
+      this.recordTickSnapshot();
+      if(!notify) return;
 
       // 触发GUI回调
       for(let cb of this.tickCallbacks){
@@ -276,11 +483,6 @@
           console.error('Tick callback error:', e);
         }
       }
-
-      // 继续下一tick（1秒后）
-      if(this.isRunning){
-        setTimeout(() => this.runTick(), 1000);
-      }
     }
 
     // 模拟单个学生的一个时间片
@@ -294,8 +496,13 @@
       if(needsNewTarget){
         const selected = this.selectProblem(state, s);
         if(selected === null){
-          // 所有题目都已完成，学生本轮无操作
-          this.addLog(`${s.name} 已 AK`, 'info', s.name);
+          // 所有题目都已完成（或按策略放弃），学生本轮无操作
+          if(state.abandonedProblems.size > 0){
+            if(!state._gaveUpLogged) this.addLog(`${s.name} 放弃了剩余题目，开始检查代码`, 'skip', s.name);
+            state._gaveUpLogged = true;
+          } else {
+            this.addLog(`${s.name} 已 AK`, 'info', s.name);
+          }
           return;
         }
         state.currentTarget = selected;
@@ -385,11 +592,22 @@
       let subtaskIdxToTry;
       
       // 如果学生为激进（talent 标记），则只尝试最后一档
-      if(s.hasTalent && s.hasTalent('激进')){
+      const coachIdx = (state.coachSubtask && state.coachSubtask.problemId === prob.id) ? state.coachSubtask.idx : null;
+      if(coachIdx !== null && prob.subtasks[coachIdx] && prob.subtasks[coachIdx].score > prob.maxScore){
+        // 教练建议的档位优先
+        subtaskIdxToTry = coachIdx;
+      } else if(s.hasTalent && s.hasTalent('激进')){
+        state.coachSubtask = null;
         subtaskIdxToTry = prob.subtasks.length - 1;
       } else {
-        // 传入思考时间，以便在卡题时调整策略
-        subtaskIdxToTry = this.selectBestSubtask(s, prob, state.thinkingTime);
+        state.coachSubtask = null;
+        const strategyIdx = this.callStrategy(state, 'selectSubtask', { prob: prob });
+        if(Number.isInteger(strategyIdx) && strategyIdx >= 0 && strategyIdx < prob.subtasks.length){
+          subtaskIdxToTry = strategyIdx;
+        } else {
+          // 传入思考时间，以便在卡题时调整策略
+          subtaskIdxToTry = this.selectBestSubtask(s, prob, state.thinkingTime);
+        }
       }
       
       // 如果 selectBestSubtask 返回 null，说明没有可用档位，强制跳题
@@ -436,11 +654,8 @@
           try{
             const solvedProb = prob; // prob 是当前题目的状态对象，包含 tags
             const tags = Array.isArray(solvedProb && solvedProb.tags) ? solvedProb.tags : [];
-            if(tags.includes('数据结构')) knowledgeType = 'knowledge_ds';
-            else if(tags.includes('图论')) knowledgeType = 'knowledge_graph';
-            else if(tags.includes('字符串')) knowledgeType = 'knowledge_string';
-            else if(tags.includes('数学')) knowledgeType = 'knowledge_math';
-            else if(tags.includes('DP')) knowledgeType = 'knowledge_dp';
+            const main = listKnowledgeTopics().find(t => tags.includes(t));
+            if(main) knowledgeType = getKnowledgeField(main);
           }catch(e){ knowledgeType = null; }
 
           const talentResults = s.triggerTalents('contest_pass_subtask', {
@@ -487,12 +702,17 @@
         // prob.attemptedSubtasks.add(subtaskIdxToTry); // 移除此行
         
         // 3. 未成功，检查是否基于时间跳题
-        const shouldSkip = this.shouldSkipProblem(state, s);
+        const strategySkip = this.callStrategy(state, 'shouldSkip', { prob: prob });
+        const shouldSkip = (typeof strategySkip === 'boolean') ? strategySkip : this.shouldSkipProblem(state, s);
         if(shouldSkip){
-          this.addLog(`${s.name} 在 T${state.currentTarget + 1} 上卡住太久，决定跳题`, 'skip', s.name);
-          
-          // 将当前题目标记为最近跳过，暂时不做（但不是永久跳过）
-          state.recentlySkippedProblems.add(state.currentTarget);
+          if(this.callStrategy(state, 'giveUp', { prob: prob }) === true){
+            this.addLog(`${s.name} 判断 T${state.currentTarget + 1} 做不出来，彻底放弃`, 'skip', s.name);
+            state.abandonedProblems.add(state.currentTarget);
+          } else {
+            this.addLog(`${s.name} 在 T${state.currentTarget + 1} 上卡住太久，决定跳题`, 'skip', s.name);
+            // 将当前题目标记为最近跳过，暂时不做（但不是永久跳过）
+            state.recentlySkippedProblems.add(state.currentTarget);
+          }
           
           state.currentTarget = null;
           state.thinkingTime = 0;
@@ -518,8 +738,20 @@
       }
     }
 
-    // 选题策略（预留接口，可被天赋系统override）
-    // 策略：概率性顺序开题，简单题被选中概率更高
+    // 调用学生比赛策略的某个决策方法；策略未实现或出错时返回 undefined
+    callStrategy(state, method, extra){
+      const strategy = getContestStrategy(state.strategy);
+      if(!strategy || typeof strategy[method] !== 'function') return undefined;
+      try{
+        return strategy[method](Object.assign({ sim: this, state: state, student: state.student }, extra));
+      }catch(e){
+        console.error(`[比赛策略] ${strategy.id}.${method} 出错`, e);
+        return undefined;
+      }
+    }
+
+    // 选题：天赋优先，其次学生的比赛策略，最后是默认策略
+    // 默认策略：概率性顺序开题，简单题被选中概率更高
     selectProblem(state, student){
       const unsolved = state.getUnsolvedProblems();
       if(unsolved.length === 0) return null;
@@ -530,6 +762,9 @@
         return ordered[0].id;
       }
 
+      const picked = this.callStrategy(state, 'selectProblem', { unsolved: unsolved });
+      if(picked !== undefined && unsolved.some(p => p.id === picked)) return picked;
+
       // 计算每个题目的权重
       const scored = unsolved.map(p => {
         // 获取该题最简单档位作为难度参考（不再过滤已尝试）
@@ -1046,16 +1281,18 @@
       return false;
     }
 
-    // 获取学生对某题的知识值
+    // 获取学生对某题的知识值（题目指定了子知识点时按学生在该子知识点上的掌握度修正）
     getKnowledgeForProblem(student, problem){
       if(!problem.tags || problem.tags.length === 0) return 0;
       
       let totalKnowledge = 0;
-      for(let tag of problem.tags){
+      const subtopics = problem.subtopics || [];
+      problem.tags.forEach((tag, i) => {
         if(typeof student.getKnowledgeByType === 'function'){
-          totalKnowledge += student.getKnowledgeByType(tag);
+          const factor = (subtopics[i] && typeof student.getSubtopicFactor === 'function') ? student.getSubtopicFactor(subtopics[i]) : 1;
+          totalKnowledge += student.getKnowledgeByType(tag) * factor;
         }
-      }
+      });
       return totalKnowledge / problem.tags.length;
     }
 
@@ -1066,9 +1303,11 @@
         console.warn('Contest already finished, skipping duplicate finish()');
         return;
       }
+      this.applyScheduledInterventions();
       this._finished = true;
       
       this.isRunning = false;
+      this.clearTickTimer();
       
       // 清理日志回调以释放内存
       try{
@@ -1095,6 +1334,8 @@
       if(mistakeApplicableContests.includes(this.config.name)){
         this.applyMistakeSystem();
       }
+      // 最后一个快照反映失误扣分后的最终成绩
+      this.recordTickSnapshot();
 
       // 调用完成回调
       for(let cb of this.finishCallbacks){
@@ -1106,7 +1347,7 @@
       }
 
       // 尝试刷新游戏面板（如果存在 renderAll）以移除临时提升的可视化效果
-      if(typeof window !== 'undefined' && typeof window.renderAll === 'function'){
+      if(!this.headless && typeof window !== 'undefined' && typeof window.renderAll === 'function'){
         try{ window.renderAll(); }catch(e){ console.error('renderAll failed', e); }
       }
     }
@@ -1127,10 +1368,11 @@
         
         // 计算学生的失误概率（基于代码能力）
         const coding = Math.max(0, Math.min(200, Number(s.coding || 0))); // 限制在0-200范围
+        // 教练提醒过（如 long long）的学生按系数降低失误概率
         const mistakeProbability = Math.max(
           MISTAKE_MIN_PROBABILITY,
           MISTAKE_BASE_PROBABILITY - coding * MISTAKE_CODING_FACTOR
-        );
+        ) * (st.coachMistakeFactor || 1);
         
         // 遍历每道题，判断是否失误
         for(let prob of st.problems){
@@ -1160,7 +1402,7 @@
             
             // 推送事件卡片
             try{
-              if(typeof window !== 'undefined' && window.pushEvent){
+              if(!this.headless && typeof window !== 'undefined' && window.pushEvent){
                 window.pushEvent({
                   name: '比赛失误',
                   description: `【${this.config.name}】${s.name} 在 T${prob.id + 1} 中，由于${reason}，挂分 ${penalty} `,
@@ -1175,6 +1417,78 @@
       }
     }
 
+    /* ---------- 教练场外指导 ---------- */
+    // 检查某项指导当前能否使用，返回 {ok, reason}
+    canCoachIntervene(action){
+      const def = (typeof COACH_INTERVENTIONS !== 'undefined') ? COACH_INTERVENTIONS[action] : null;
+      if(!def) return { ok: false, reason: '未知的指导' };
+      if(this._finished) return { ok: false, reason: '比赛已结束' };
+      if(this.coachBudget < def.cost) return { ok: false, reason: '指导预算不足' };
+      const readyAt = this.coachCooldowns[action] || 0;
+      if(this.currentTick < readyAt) return { ok: false, reason: `冷却中，还需 ${(readyAt - this.currentTick) * TICK_INTERVAL} 分钟` };
+      return { ok: true };
+    }
+
+    /**
+     * 执行一次教练指导，立即作用于模拟器状态
+     * @param {string} action - COACH_INTERVENTIONS 中的键：calm / subtask / long_long
+     * @param {string} studentName - 目标学生
+     * @param {Object} opts - {subtask: 档位下标}（仅 subtask 需要）
+     * @returns {{ok: boolean, reason?: string, record?: Object}}
+     */
+    coachIntervene(action, studentName, opts = {}){
+      const check = this.canCoachIntervene(action);
+      if(!check.ok) return check;
+      const state = this.students.find(st => st.student.name === studentName);
+      if(!state) return { ok: false, reason: '找不到该学生' };
+      const def = COACH_INTERVENTIONS[action];
+      const s = state.student;
+      let message = '';
+
+      if(action === 'calm'){
+        s._talent_state = s._talent_state || {};
+        const before = Number(s._talent_state.constmental !== undefined ? s._talent_state.constmental : (s.mental || 50));
+        s._talent_state.constmental = Math.min(100, before + def.mentalBoost);
+        message = `教练安抚了 ${s.name}，心态回稳（心理 ${Math.round(before)} → ${Math.round(s._talent_state.constmental)}）`;
+      } else if(action === 'subtask'){
+        const prob = state.currentTarget !== null ? state.getProblem(state.currentTarget) : null;
+        if(!prob || prob.solved) return { ok: false, reason: `${s.name} 当前没有在做的题` };
+        const idx = Number(opts.subtask);
+        if(!Number.isInteger(idx) || !prob.subtasks[idx] || prob.subtasks[idx].score <= prob.maxScore){
+          return { ok: false, reason: '该档位无效或已经拿到' };
+        }
+        state.coachSubtask = { problemId: prob.id, idx: idx };
+        message = `教练建议 ${s.name} 在 T${prob.id + 1} 上改写第 ${idx + 1} 档（${prob.subtasks[idx].score} 分）`;
+      } else if(action === 'long_long'){
+        if(state.coachMistakeFactor < 1) return { ok: false, reason: `已经提醒过 ${s.name}` };
+        state.coachMistakeFactor = def.mistakeFactor;
+        message = `教练提醒 ${s.name} 检查 long long 和数组大小，失误概率降低`;
+      }
+
+      this.coachBudget -= def.cost;
+      this.coachCooldowns[action] = this.currentTick + def.cooldown;
+      const record = { tick: this.currentTick, action: action, student: s.name, subtask: action === 'subtask' ? Number(opts.subtask) : null };
+      this.interventions.push(record);
+      this.addLog(message, 'coach', s.name);
+      return { ok: true, record: record };
+    }
+
+    // 预约在指定 tick 执行的指导（回放时使用）
+    scheduleIntervention(record){
+      if(record && typeof record.tick === 'number') this.scheduledInterventions.push(record);
+    }
+
+    // 执行所有已到期的预约指导
+    applyScheduledInterventions(){
+      if(this.scheduledInterventions.length === 0) return;
+      const due = this.scheduledInterventions.filter(r => r.tick <= this.currentTick);
+      this.scheduledInterventions = this.scheduledInterventions.filter(r => r.tick > this.currentTick);
+      for(const r of due){
+        const res = this.coachIntervene(r.action, r.student, { subtask: r.subtask });
+        if(!res.ok) console.warn('[教练指导] 预约的指导未能执行：', res.reason);
+      }
+    }
+
     // 获取当前进度百分比
     getProgress(){
       return (this.currentTick / this.maxTicks) * 100;
@@ -1193,23 +1507,26 @@
    * @returns {Object} - {name, duration, problems}
    */
   function buildContestConfig(contestDef){
-    const duration = CONTEST_DURATION[contestDef.name] || 240;
+    const duration = contestDef.duration || CONTEST_DURATION[contestDef.name] || 240;
     const problems = [];
 
     for(let i = 0; i < contestDef.numProblems; i++){
       const problemScore = Math.floor(contestDef.maxScore / contestDef.numProblems);
       
-      // 题目标签
-      let tags = [];
+      // 题目标签：tags 为大类，subtopics[j] 为 tags[j] 考察的子知识点（可为 null）
+      let tags = [], subtopics = [];
       if(contestDef.tags && contestDef.tags[i]){
-        tags = contestDef.tags[i];
+        ({ tags, subtopics } = normalizeProblemTags(contestDef.tags[i]));
       } else {
-        // 默认随机标签
-        const allTags = ["数据结构", "图论", "字符串", "数学", "动态规划"];
+        // 默认随机标签：先选大类，再选其下的一个子知识点
+        const allTags = listKnowledgeTopics();
         const numTags = 1 + Math.floor(getRandom() * 2); // 1-2个标签
         for(let j = 0; j < numTags; j++){
           const tag = allTags[Math.floor(getRandom() * allTags.length)];
-          if(!tags.includes(tag)) tags.push(tag);
+          if(tags.includes(tag)) continue;
+          const subs = listSubtopics(tag);
+          tags.push(tag);
+          subtopics.push(subs.length ? subs[Math.floor(getRandom() * subs.length)] : null);
         }
       }
 
@@ -1293,6 +1610,7 @@
       problems.push({
         id: i,
         tags: tags,
+        subtopics: subtopics,
         difficulty: problemDifficulty,
         maxScore: problemScore,
         subtasks: subtasks
@@ -1374,14 +1692,107 @@
     return factors;
   }
 
+  /* ========== 比赛日志导出 ========== */
+  const CONTEST_LOG_VERSION = 1;
+
+  /**
+   * 将一场比赛的日志与逐题/逐档得分整理为可 JSON 化的对象（随 careerCompetitions 记录保存）
+   * @param {ContestSimulator} simulator - 已结束的模拟器
+   * @param {Object} options - {include?: (state) => boolean} 只导出满足条件的选手（如排除 IOI 国际选手）
+   * @returns {Object} {version, name, duration, problems, students, logs, interventions, snapshots}
+   */
+  function buildContestLog(simulator, options = {}){
+    const include = typeof options.include === 'function' ? options.include : () => true;
+    const keep = simulator.students.map(st => !!include(st));
+    const states = simulator.students.filter((st, i) => keep[i]);
+    const displayNames = new Set(states.map(st => st.student.name));
+    const problems = (simulator.config.problems || []).map(p => ({
+      id: p.id,
+      tags: p.tags || [],
+      subtopics: p.subtopics || [],
+      subtasks: p.subtasks.map(st => ({ score: st.score, difficulty: Math.round(st.difficulty) }))
+    }));
+    return {
+      version: CONTEST_LOG_VERSION,
+      name: simulator.config.name,
+      duration: simulator.config.duration,
+      ticks: simulator.maxTicks,
+      problems: problems,
+      students: states.map(st => ({
+        // IOI 中国队选手比赛期间名字带前缀，这里记录原名以便与生涯记录对应
+        name: st.student.originalName || st.student.name,
+        displayName: st.student.name,
+        strategy: st.strategy,
+        totalScore: st.totalScore,
+        problems: st.problems.map(prob => ({
+          id: prob.id,
+          score: prob.maxScore,
+          solved: !!prob.solved,
+          passedSubtasks: prob.subtasks.map(sub => (prob.originalScore !== undefined ? prob.originalScore : prob.maxScore) >= sub.score),
+          mistake: prob.mistakeReason ? { reason: prob.mistakeReason, penalty: prob.mistakePenalty } : null
+        }))
+      })),
+      logs: simulator.logs
+        .filter(l => !l.studentName || displayNames.has(l.studentName))
+        .map(l => ({ tick: l.tick, time: l.time, type: l.type, student: l.studentName, message: l.message })),
+      interventions: (simulator.interventions || []).slice(),
+      // snapshots[k][i] 对应 students[i] 在第 k 个 tick 之后的状态，格式见 recordTickSnapshot
+      snapshots: (simulator.tickSnapshots || []).map(snap => (snap || []).filter((row, i) => keep[i]))
+    };
+  }
+
+  function padLeft(str, len){
+    str = String(str);
+    while(str.length < len) str = ' ' + str;
+    return str;
+  }
+
+  // 把 buildContestLog 的结果格式化为纯文本
+  function formatContestLogText(log, header){
+    if(!log) return '';
+    const lines = [];
+    lines.push(`【${header || log.name}】比赛日志（时长 ${log.duration} 分钟）`);
+    lines.push('');
+    lines.push('== 题目 ==');
+    for(const p of log.problems){
+      const tags = p.tags && p.tags.length ? ` [${formatProblemTags(p)}]` : '';
+      lines.push(`T${p.id + 1}${tags} 部分分 ${p.subtasks.map(st => st.score).join('/')}（难度 ${p.subtasks.map(st => st.difficulty).join('/')}）`);
+    }
+    lines.push('');
+    lines.push('== 成绩 ==');
+    const ranked = log.students.slice().sort((a, b) => b.totalScore - a.totalScore);
+    for(const st of ranked){
+      const strategy = CONTEST_STRATEGIES[st.strategy] ? `，策略：${CONTEST_STRATEGIES[st.strategy].name}` : '';
+      lines.push(`${st.name}  总分 ${st.totalScore}${strategy}`);
+      for(const prob of st.problems){
+        const def = log.problems.find(p => p.id === prob.id);
+        const marks = def ? def.subtasks.map((sub, i) => `${sub.score}${prob.passedSubtasks[i] ? '✓' : '✗'}`).join(' ') : '';
+        const mistake = prob.mistake ? `  失误：${prob.mistake.reason} -${prob.mistake.penalty}` : '';
+        lines.push(`  T${prob.id + 1} ${padLeft(prob.score, 3)}${prob.solved ? ' AC' : '   '}  档位：${marks}${mistake}`);
+      }
+    }
+    lines.push('');
+    lines.push('== 过程 ==');
+    for(const l of log.logs){
+      lines.push(`[${padLeft(Math.floor(l.time), 3)}分] ${l.message}`);
+    }
+    return lines.join('\n');
+  }
+
   /* ========== 导出到全局 ========== */
   const CompetitionEngine = {
     ContestSimulator,
     StudentContestState,
+    CONTEST_STRATEGIES,
+    registerContestStrategy,
+    getContestStrategy,
+    buildContestLog,
+    formatContestLogText,
     buildContestConfig,
     generateSubtasks,
     CONTEST_DURATION,
-    TICK_INTERVAL
+    TICK_INTERVAL,
+    LIVE_SPEEDS
   };
 
   if(typeof window !== 'undefined'){
@@ -29,7 +29,7 @@ const COMPETITION_SCHEDULE = [
   {week:17, name:"CSP-S2", difficulty:145, maxScore:400, numProblems:4},
   {week:25, name:"NOIP", difficulty:205, maxScore:400, numProblems:4},
   {week:40, name:"省选", difficulty:340, maxScore:600, numProblems:6},
-  {week:52, name:"NOI", difficulty:440, maxScore:700, numProblems:7},
+  {week:52, name:"NOI", difficulty:440, maxScore:700, numProblems:7, medals:true},
   // 国家集训队比赛（仅在第二年NOI金牌且接受后才会生效）
   // 这些比赛会在接受国家集训队后动态添加到competitions数组，这里的week仅作参考
   // 实际week计算：NOI结束后 + 2周（CTT-day1-2）、+3周（CTT-day3-4）、+4周（CTS）、CTS后+1周（IOI）
@@ -58,6 +58,11 @@ const COMPETITION_DIFFICULTY_FACTORS = {
 // 国家集训队比赛不在此列表中，因为它们的晋级逻辑是特殊的
 const COMPETITION_ORDER = ["CSP-S1","CSP-S2","NOIP","省选","NOI"];
 
+// 是否为颁发奖牌的比赛（medals: true，官方赛季为 NOI）：奖牌线按晋级线计算，晋级线不浮动
+function isMedalContest(name){
+  return COMPETITION_SCHEDULE.some(c => c.name === name && c.medals);
+}
+
 const OTHER_CONTRY_MIN_ABILITY = 130;
 // IOI奖牌线（相对总分的百分比）
 const IOI_GOLD_THRESHOLD = 0.80;
@@ -166,10 +171,16 @@ const TRAINING_PRESSURE_MULTIPLIER_LIGHT = 1.0;
 const TRAINING_PRESSURE_MULTIPLIER_MEDIUM = 1.5;
 const TRAINING_PRESSURE_MULTIPLIER_HEAVY = 2.5;
 const COMPOSITE_TRAINING_PRESSURE_BONUS = 1.2;
+// 个别训练安排中“休息”的学生本周不训练，压力额外下降该值
+const TRAINING_REST_PRESSURE_RELIEF = 8;
 // 每次训练/外出集训后，学生有机会获得天赋的总体概率门槛（0.0 - 1.0）。
 // 若 Math.random() < GET_TALENT_Probability 则该学生有机会获得最多 1 个天赋。
 // 默认值为 0.5，可在页面脚本中覆盖该常量以调整概率。
 const GET_TALENT_Probability = 0.15;
+// 额外加载的声明式天赋包（JSON 文件路径，格式见 lib/talent.js 文件头），在内置天赋之后注册
+const TALENT_PACKS = [];
+// 额外加载的声明式事件包（JSON 文件路径，格式见 events.js 文件头）；需通过 HTTP 访问页面，file:// 下无法读取
+const EVENT_PACKS = ['events_adden.json'];
 
 /* 比赛/模拟赛增幅上限配置 */
 // 参考基准：
@@ -274,6 +285,114 @@ ZIJIANXUESHENGSHILI = 1929;//自荐学生最大实力
 CHUJINGFAZHI = 1.5;//出境触发特殊事件概率
 /* 劝退消耗声誉 */
 const EVICT_REPUTATION_COST = 10;
+/* 知识遗忘（开始页可关闭） */
+// 某知识点连续超过该周数没有增长即“生疏”，此后每周按难度对应的比例衰减（0 表示该难度不遗忘）
+const KNOWLEDGE_DECAY_GRACE_WEEKS = 3;
+const KNOWLEDGE_DECAY_RATE_BY_DIFFICULTY = { 1: 0, 2: 0.01, 3: 0.02 };
+// 遗忘最多让知识降到历史最高值的该比例
+const KNOWLEDGE_DECAY_FLOOR = 0.75;
+// 复习：低于历史最高值时增幅额外 +50%（额外部分不超过遗忘掉的量）
+const KNOWLEDGE_RELEARN_BONUS = 0.5;
+/* 回溯：最多保留最近多少周的完整快照 */
+const REWIND_HISTORY_SIZE = 10;
+/* 训练计划：自动执行时，任一学生压力达到该值即暂停（可在计划面板中修改） */
+const PLANNER_PRESSURE_THRESHOLD = 80;
+/* 训练计划面板一次最多安排的周数 */
+const PLANNER_MAX_WEEKS = 8;
+
+/* =========== 知识点注册表 =========== */
+// 五大知识点（对应学生的 knowledge_* 字段）及其子知识点。子知识点的增长计入所属大类，
+// 同时单独记录在 student.subKnowledge；比赛题目按子知识点出题，学生在该子知识点上的掌握度影响本题知识值
+const KNOWLEDGE_TOPICS = [
+  { name: '数据结构', field: 'knowledge_ds', short: 'DS', subtopics: ['线段树', '树状数组', '平衡树', '并查集', '单调结构'] },
+  { name: '图论', field: 'knowledge_graph', short: '图论', subtopics: ['最短路', '网络流', '树上问题', '连通性'] },
+  { name: '字符串', field: 'knowledge_string', short: '字符串', subtopics: ['KMP', '字符串哈希', 'AC自动机', 'SAM'] },
+  { name: '数学', field: 'knowledge_math', short: '数学', subtopics: ['数论', '组合计数', '概率期望', '线性代数'] },
+  { name: '动态规划', field: 'knowledge_dp', short: 'DP', subtopics: ['背包', '区间DP', '状压DP', '数位DP', 'DP优化'] }
+];
+// 旧名称 / 简称
+const KNOWLEDGE_TOPIC_ALIASES = { 'DP': '动态规划' };
+// 子知识点掌握度 = 该子知识点累计增长 / 同类子知识点平均累计增长；对题目知识值的修正为
+// 1 + (掌握度 - 1) * WEIGHT，并限制在 [MIN, MAX]（只练大类时各子知识点均匀增长，修正恒为 1）
+const SUBTOPIC_FACTOR_WEIGHT = 0.5;
+const SUBTOPIC_FACTOR_MIN = 0.8;
+const SUBTOPIC_FACTOR_MAX = 1.2;
+
+// 按名称（大类、别名或子知识点）查找所属大类，找不到返回 null
+function getKnowledgeTopic(name){
+  const key = KNOWLEDGE_TOPIC_ALIASES[name] || name;
+  return KNOWLEDGE_TOPICS.find(t => t.name === key || t.subtopics.includes(key)) || null;
+}
+// 所属大类名称（大类本身返回自身）
+function getTopicParent(name){
+  const t = getKnowledgeTopic(name);
+  return t ? t.name : null;
+}
+function isSubtopic(name){
+  return KNOWLEDGE_TOPICS.some(t => t.subtopics.includes(name));
+}
+// 对应的学生字段（如 'knowledge_ds'）
+function getKnowledgeField(name){
+  const t = getKnowledgeTopic(name);
+  return t ? t.field : null;
+}
+function listKnowledgeTopics(){
+  return KNOWLEDGE_TOPICS.map(t => t.name);
+}
+function listKnowledgeFields(){
+  return KNOWLEDGE_TOPICS.map(t => t.field);
+}
+// 某大类的子知识点；不传则返回全部
+function listSubtopics(parent){
+  if(parent === undefined) return KNOWLEDGE_TOPICS.reduce((all, t) => all.concat(t.subtopics), []);
+  const t = getKnowledgeTopic(parent);
+  return t ? t.subtopics.slice() : [];
+}
+// 新增子知识点（插件使用），名称不能与已有知识点重复
+function registerSubtopic(parent, name){
+  const t = getKnowledgeTopic(parent);
+  if(!t || !name) throw new Error(`未知的知识点大类 ${parent}`);
+  if(getKnowledgeTopic(name)) return false;
+  t.subtopics.push(name);
+  return true;
+}
+// 把题目标签（可混用大类与子知识点）拆成大类标签与对应的子知识点：{ tags, subtopics }
+function normalizeProblemTags(list){
+  const tags = [], subtopics = [];
+  for(const name of (Array.isArray(list) ? list : [list])){
+    const parent = getTopicParent(name);
+    if(!parent || tags.includes(parent)) continue;
+    tags.push(parent);
+    subtopics.push(isSubtopic(name) ? name : null);
+  }
+  return { tags, subtopics };
+}
+// 题目标签的显示文字，如 “数据结构·线段树/数学”
+function formatProblemTags(problem, sep){
+  const tags = (problem && problem.tags) || [];
+  const subs = (problem && problem.subtopics) || [];
+  return tags.map((t, i) => subs[i] ? `${t}·${subs[i]}` : t).join(sep || '/');
+}
+
+/* =========== 团队关系 =========== */
+// 两两好感度范围 [-100, 100]，初始为 0；按学生姓名成对记录在 game.affinity
+const AFFINITY_MIN = -100;
+const AFFINITY_MAX = 100;
+const AFFINITY_TRAINING_GAIN = 1;        // 一起训练一周
+const AFFINITY_OUTING_GAIN = 4;          // 一起外出 / 出境集训
+const AFFINITY_ENTERTAINMENT_GAIN = 3;   // 集体娱乐
+const AFFINITY_CONFLICT_LOSS = -10;      // 团队内部矛盾
+const AFFINITY_RECOVERY_EFFECT = 0.3;    // 平均好感度 ±100 时每周压力恢复 ±30%
+const AFFINITY_CONTEST_MENTAL = 8;       // 平均好感度 ±100 时比赛内心理 ±8（仅多人参赛）
+
+/* =========== 教练场外指导 =========== */
+// 正式比赛中教练可消耗预算点数进行指导；cooldown 单位为 tick（1 tick = 比赛 10 分钟）
+const COACH_INTERVENTION_BUDGET = 4;
+const COACH_INTERVENTIONS = {
+  calm:      { name: '安抚情绪', cost: 1, cooldown: 3, mentalBoost: 15 },   // 比赛内心理（constmental）+15
+  subtask:   { name: '建议换档', cost: 1, cooldown: 2 },                    // 指定当前题改写的档位
+  long_long: { name: '提醒开 long long', cost: 2, cooldown: 6, mistakeFactor: 0.5 } // 赛后失误概率 ×0.5
+};
 
 /* =========== 失误系统 =========== */
 // 失误概率基础参数
@@ -313,14 +432,38 @@ const HIDDEN_TALENTS = [
     '__talent_cleanup__'
 ];
 
-/* =========== 全局增幅变量 =========== */
-// 这些增幅在最终应用影响时作为乘数，默认为1.000
-TRAINING_EFFECT_MULTIPLIER = 1.000;      // 训练效果增幅（训练后属性增加）
-OUTFIT_EFFECT_MULTIPLIER = 1.000;        // 集训效果增幅（集训后属性增加）
-PRESSURE_INCREASE_MULTIPLIER = 1.000;    // 压力增加量增幅
-PASS_LINE_MULTIPLIER = 1.000;            // 分数线增幅
-DIFFICULTY_MULTIPLIER = 1.000;           // 题目难度增幅
-COST_MULTIPLIER = 1.000;                 // 经费消耗增幅
+/* =========== 规则预设 =========== */
+// 开局时在开始页选择，规则 id 写入存档（game.ruleset），结算页与分享链接中显示，便于比较成绩
+// multipliers 在最终应用影响时作为乘数：
+//   trainingEffect 训练效果（训练后属性增加）  outfitEffect 集训效果（集训后属性增加）
+//   pressureIncrease 压力增加量  passLine 分数线  difficulty 题目难度  cost 经费消耗
+const DEFAULT_RULESET = 'classic';
+const RULESETS = Object.freeze({
+  classic: Object.freeze({
+    id: 'classic', name: '经典', desc: '标准规则，今日挑战固定使用',
+    multipliers: Object.freeze({ trainingEffect: 1.0, outfitEffect: 1.0, pressureIncrease: 1.0, passLine: 1.0, difficulty: 1.0, cost: 1.0 })
+  }),
+  hardcore: Object.freeze({
+    id: 'hardcore', name: '硬核', desc: '训练收益更低，压力、分数线、题目难度与开销更高',
+    multipliers: Object.freeze({ trainingEffect: 0.9, outfitEffect: 0.9, pressureIncrease: 1.2, passLine: 1.1, difficulty: 1.1, cost: 1.2 })
+  }),
+  sandbox: Object.freeze({
+    id: 'sandbox', name: '沙盒', desc: '训练收益翻倍，压力与开销减半，适合试玩各种打法',
+    multipliers: Object.freeze({ trainingEffect: 2.0, outfitEffect: 2.0, pressureIncrease: 0.5, passLine: 0.9, difficulty: 1.0, cost: 0.5 })
+  })
+});
+
+// 按 id 取规则预设，未知 id 视为经典规则
+function getRuleset(id){
+  return RULESETS[id] || RULESETS[DEFAULT_RULESET];
+}
+
+// 当前对局规则中的乘数（未开局或旧存档没有 ruleset 字段时使用经典规则）
+function getRuleMultiplier(key){
+  const g = (typeof window !== 'undefined') ? window.game : null;
+  const value = getRuleset(g && g.ruleset).multipliers[key];
+  return (typeof value === 'number') ? value : 1.0;
+}
 
 /* =========== 省份数据 =========== */
 const PROVINCES = {
@@ -478,6 +621,7 @@ for(const k in PROVINCES){
 // 导出到全局 window 对象
 if (typeof window !== 'undefined') {
     window.COMPETITION_BASE_CUTOFF = COMPETITION_BASE_CUTOFF;
+    window.COMPETITION_ORDER = COMPETITION_ORDER; // 自定义赛季会原地改写晋级链
     window.CUTOFF_FLUCTUATION = CUTOFF_FLUCTUATION;
     window.COUNTRIES = COUNTRIES; // 新增此行
 }
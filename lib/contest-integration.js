@@ -192,7 +192,7 @@
       const count = (typeof window.uniformInt === 'function') ? window.uniformInt(1,2) : (Math.random() < 0.5 ? 1 : 2);
       for(let i=0;i<count;i++){
         // 在范围内随机一个比例
-        const ratio = minRatio + Math.random() * (maxRatio - minRatio);
+        const ratio = minRatio + getRandom() * (maxRatio - minRatio);
         
         // 确保各维度至少为中国平均的设定比例且不低于60
         const ability = Math.max(OTHER_CONTRY_MIN_ABILITY, Math.floor(avgAbility * ratio));
@@ -206,8 +206,8 @@
           thinking,
           coding,
           knowledge: {},
-          pressure: Math.random() * 20,
-          mental: 70 + Math.random() * 20,
+          pressure: getRandom() * 20,
+          mental: 70 + getRandom() * 20,
           active: true,
           isInternational: true,
           // methods expected by simulator
@@ -238,7 +238,10 @@
         // 根据难度分配天赋（简单1个，普通和专家2个）
         const talents = pickTalents(talentCount, student);
         if(!(student.talents instanceof Set)) student.talents = new Set();
-        for(const t of talents) student.talents.add(t);
+        for(const t of talents){
+          if(window.TalentManager) window.TalentManager.grantTalent(student, t);
+          else student.talents.add(t);
+        }
 
         internationalStudents.push(student);
       }
@@ -489,38 +492,65 @@
       return;
     }
 
-    // 构建比赛配置（包含题目、部分分等）
-    const contestConfig = window.CompetitionEngine.buildContestConfig(comp);
-    
-    // 合并参赛选手列表（中国队 + 国际选手）
-    const allParticipants = eligibleStudents.concat(internationalStudents);
-    
-    // 创建模拟器（包含所有参赛选手）
-    const simulator = new window.CompetitionEngine.ContestSimulator(
-      contestConfig,
-      allParticipants,
-      game
-    );
+    // 赛前部署：教练为本队学生指定比赛策略后再开赛
+    const startContest = () => {
+      // 构建比赛配置（包含题目、部分分等）
+      const contestConfig = window.CompetitionEngine.buildContestConfig(comp);
+      
+      // 合并参赛选手列表（中国队 + 国际选手）
+      const allParticipants = eligibleStudents.concat(internationalStudents);
+      
+      // 创建模拟器（包含所有参赛选手）
+      const simulator = new window.CompetitionEngine.ContestSimulator(
+        contestConfig,
+        allParticipants,
+        game
+      );
+
+      // 回放：赛中的教练指导记录在开赛操作之后，按原 tick 预约到模拟器中
+      if(window.ReplayJournal && window.ReplayJournal.isReplaying()){
+        window.ReplayJournal.upcomingActions('coach_intervene', ['contest_setup'])
+          .forEach(args => simulator.scheduleIntervention(args[0]));
+      }
 
-    // 显示实时比赛界面
-    window.ContestUI.showContestLiveModal(simulator, (studentStates, config) => {
-      // 比赛结束回调：处理结果、晋级、奖励等
-      handleCompetitionResults(studentStates, config, comp, ineligibleStudents, internationalStudents);
-    });
+      if(window.PluginManager) window.PluginManager.emit('contestStart', { game, comp, simulator, mock: false });
 
-    // 启动模拟
-    simulator.start();
+      // 显示实时比赛界面
+      window.ContestUI.showContestLiveModal(simulator, (studentStates, config) => {
+        // 比赛结束回调：处理结果、晋级、奖励等
+        handleCompetitionResults(studentStates, config, comp, ineligibleStudents, internationalStudents, simulator);
+        if(window.PluginManager) window.PluginManager.emit('contestFinish', { game, comp, simulator, results: studentStates, mock: false });
+      });
+
+      // 启动模拟
+      simulator.start();
+    };
+
+    if(typeof window.ContestUI.showContestSetupModal === 'function'){
+      window.ContestUI.showContestSetupModal(comp, eligibleStudents, startContest);
+    } else {
+      startContest();
+    }
   }
 
   /**
    * 处理比赛结果
    * @param {Array} ineligibleStudents - 没有晋级资格的学生列表
    * @param {Array} internationalStudents - 国际选手列表（仅IOI）
+   * @param {ContestSimulator} simulator - 本场模拟器（用于导出比赛日志，可省略）
    */
-  function handleCompetitionResults(studentStates, config, originalComp, ineligibleStudents, internationalStudents){
+  function handleCompetitionResults(studentStates, config, originalComp, ineligibleStudents, internationalStudents, simulator){
     const game = window.game;
     ineligibleStudents = ineligibleStudents || [];
     internationalStudents = internationalStudents || [];
+
+    // 比赛日志（IOI 只保留中国队选手），在恢复中国队选手名字之前整理
+    let contestLog = null;
+    if(simulator && typeof window.CompetitionEngine.buildContestLog === 'function'){
+      try{
+        contestLog = window.CompetitionEngine.buildContestLog(simulator, { include: st => !st.student.isInternational });
+      }catch(e){ console.error('[比赛日志] 整理失败', e); }
+    }
     
     // IOI特殊处理：恢复中国队选手名字
     if(originalComp.name === 'IOI' && originalComp.nationalTeam){
@@ -572,7 +602,7 @@
 
         // update base pressure/mental for pass/fail
         // 应用全局压力增加量增幅（减压不受影响，只影响增加压力）
-        const pressureMult = (typeof PRESSURE_INCREASE_MULTIPLIER !== 'undefined' ? PRESSURE_INCREASE_MULTIPLIER : 1.0);
+        const pressureMult = getRuleMultiplier('pressureIncrease');
         if(passed){
           s.pressure = Math.max(0, Number(s.pressure || 0) - 10);
           s.mental = Math.min(100, Number(s.mental || 0) + 3);
@@ -604,9 +634,9 @@
         }
 
         // record final result (after pressure updates)
-        // medal field: 'gold'|'silver'|'bronze'|null - only used for NOI and IOI
+        // medal field: 'gold'|'silver'|'bronze'|null - only used for medal contests (NOI) and IOI
         let medal = null;
-        if(originalComp && originalComp.name === 'NOI'){
+        if(originalComp && isMedalContest(originalComp.name)){
           // medal thresholds are based on the passLine: 100%, 70%, 50% of passLine
           try{
             const pl = Number(state.passLine || passLine || 0);
@@ -702,8 +732,8 @@
     };
     
     // 根据比赛等级和成绩计算声誉增加
-    if(originalComp.name === 'NOI'){
-      // NOI：金牌+8，银牌+5，铜牌+3，晋级+1
+    if(isMedalContest(originalComp.name)){
+      // NOI（及自定义赛季中颁发奖牌的比赛）：金牌+8，银牌+5，铜牌+3，晋级+1
       reputationGain = medalCount.gold * 8 + medalCount.silver * 5 + medalCount.bronze * 3 + passedCount * 1;
     } else if(originalComp.name === '省选'){
       // 省选：晋级+3
@@ -717,6 +747,9 @@
     } else if(originalComp.name === 'CSP-S1'){
       // CSP-S1：晋级+1（但系数较低）
       reputationGain = Math.floor(passedCount * 0.5);
+    } else if(!originalComp.nationalTeam){
+      // 自定义赛季的其他比赛：晋级+1
+      reputationGain = passedCount * 1;
     }
     
     // IOI 特殊处理：金牌+15，银牌+10，铜牌+5
@@ -737,7 +770,7 @@
       // 记录声誉变化日志
       if(typeof window.log === 'function'){
         let desc = '';
-        if(originalComp.name === 'NOI'){
+        if(isMedalContest(originalComp.name)){
           desc = `获得 🥇${medalCount.gold} 🥈${medalCount.silver} 🥉${medalCount.bronze}`;
         } else if(originalComp.name === 'IOI' && originalComp.nationalTeam){
           desc = `获得 🥇${medalCount.gold} 🥈${medalCount.silver} 🥉${medalCount.bronze}`;
@@ -772,7 +805,7 @@
 
     // 将记录的 extraPressure 统一应用：实际增加的压力 = 记录值 * 2（只对参赛学生）
     // 应用全局压力增加量增幅
-    const pressureMult = (typeof PRESSURE_INCREASE_MULTIPLIER !== 'undefined' ? PRESSURE_INCREASE_MULTIPLIER : 1.0);
+    const pressureMult = getRuleMultiplier('pressureIncrease');
     for(let r of results){
       // 跳过未参赛学生
       if(r.notParticipated) continue;
@@ -895,7 +928,8 @@
         passed: r.passed,
         medal: r.medal || null,
         remark: r.remark || ''
-      }))
+      })),
+      log: contestLog
     });
     console.log('【DEBUG】 handleCompetitionResults pushed record, careerCompetitions:', game.careerCompetitions);
 
@@ -965,11 +999,11 @@
       console.log(`[晋级线计算] 使用默认值: ${basePercentage}`);
     }
     
-    // NOI的分数线没有浮动，其他比赛应用浮动（±5%）
+    // NOI（颁发奖牌的比赛）的分数线没有浮动，其他比赛应用浮动（±5%）
     let cutoffPercentage = basePercentage;
-    if(compName !== 'NOI'){
+    if(!isMedalContest(compName)){
       const fluctuation = window.CUTOFF_FLUCTUATION || 0.05;
-      const randomFactor = 1.0 + (Math.random() * 2 - 1) * fluctuation; // 0.95 ~ 1.05
+      const randomFactor = 1.0 + (getRandom() * 2 - 1) * fluctuation; // 0.95 ~ 1.05
       cutoffPercentage = basePercentage * randomFactor;
       console.log(`[晋级线计算] 应用浮动后: ${cutoffPercentage}`);
     } else {
@@ -983,7 +1017,7 @@
     let cutoffScore = totalMax * cutoffPercentage;
     
     // 应用全局分数线增幅
-    const passLineMult = (typeof PASS_LINE_MULTIPLIER !== 'undefined' ? PASS_LINE_MULTIPLIER : 1.0);
+    const passLineMult = getRuleMultiplier('passLine');
     cutoffScore = cutoffScore * passLineMult;
     
     console.log(`[晋级线计算] 最终分数线: ${Math.floor(cutoffScore)} (${(cutoffPercentage * 100).toFixed(1)}%)`);
@@ -1064,7 +1098,7 @@
       if(!r.passed || r.notParticipated) continue;
 
       let reward = 0;
-      if(compName === 'NOI'){
+      if(isMedalContest(compName)){
         reward = window.uniformInt ? 
           window.uniformInt(window.NOI_REWARD_MIN || 30000, window.NOI_REWARD_MAX || 50000) : 40000;
       } else if(compName === 'NOIP'){
@@ -1182,7 +1216,7 @@
     if(config.problems && config.problems.length > 0){
       for(let prob of config.problems){
   // 显示为两个维度的难度：思维难度 / 代码难度（使用该题最后一档的值代表题目总体难度）
-        const tagsLabel = (prob.tags && prob.tags.length > 0) ? prob.tags.join(',') : '';
+        const tagsLabel = (prob.tags && prob.tags.length > 0) ? formatProblemTags(prob, ',') : '';
         let thinking = '?';
         let tcoding = '?';
         try{
@@ -1285,7 +1319,7 @@
         // IOI 仍按奖牌显示；若无奖牌则显示“未获得奖牌”。
         const compName = config && config.name ? String(config.name).toUpperCase() : '';
         const compNameOriginal = config && config.name ? String(config.name) : '';
-        const isNOIOrAbove = compName === 'NOI' || compName === 'IOI';
+        const isNOIOrAbove = isMedalContest(compNameOriginal) || compName === 'IOI';
         // 使用 originalComp 来检查 nationalTeam 属性
         const isNationalTeamSelection = originalComp && originalComp.nationalTeam && (compNameOriginal === 'CTT-day1-2' || compNameOriginal === 'CTT-day3-4' || compNameOriginal === 'CTS');
         
@@ -1524,7 +1558,7 @@
 
     // 推送事件
     if(typeof window.pushEvent === 'function'){
-      if(config && config.name === 'NOI'){
+      if(config && isMedalContest(config.name)){
         const gold = results.filter(r => !r.notParticipated && r.medal === 'gold').length;
         const silver = results.filter(r => !r.notParticipated && r.medal === 'silver').length;
         const bronze = results.filter(r => !r.notParticipated && r.medal === 'bronze').length;
@@ -1609,9 +1643,12 @@
       try{ if(typeof s.triggerTalents === 'function') s.triggerTalents('mock_start', { contestName: '模拟赛' }); }catch(e){ console.error('triggerTalents mock_start', e); }
     }
 
+    if(window.PluginManager) window.PluginManager.emit('contestStart', { game, comp: mockDef, simulator, mock: true });
+
     // 显示实时界面
     window.ContestUI.showContestLiveModal(simulator, (studentStates, config) => {
       handleMockContestResults(studentStates, config, isPurchased, difficultyConfig);
+      if(window.PluginManager) window.PluginManager.emit('contestFinish', { game, comp: mockDef, simulator, results: studentStates, mock: true });
     });
 
     simulator.start();
@@ -1730,9 +1767,12 @@
 
         if(perTagGain <= 0) continue;
 
-        for(let tag of tags){
+        const subtopics = prob.subtopics || [];
+        for(let j = 0; j < tags.length; j++){
+          const tag = tags[j];
           if(typeof s.addKnowledge === 'function'){
-            s.addKnowledge(tag, perTagGain);
+            // 题目考察了子知识点时，增幅记到该子知识点（同样计入所属大类）
+            s.addKnowledge(subtopics[j] || tag, perTagGain);
           } else {
             // 兼容：直接修改字段
             if(tag === '数据结构') s.knowledge_ds = (s.knowledge_ds || 0) + perTagGain;
@@ -1885,7 +1925,7 @@
     let problemHeaders = '';
     if(config.problems && config.problems.length > 0){
       for(let prob of config.problems){
-        const tagsLabel = (prob.tags && prob.tags.length > 0) ? prob.tags.join(',') : '';
+        const tagsLabel = (prob.tags && prob.tags.length > 0) ? formatProblemTags(prob, ',') : '';
         let thinking = '?';
         let tcoding = '?';
         try{
@@ -2063,6 +2103,7 @@
     window.getCompetitionCutoff = getCompetitionCutoff;
     window.getPassRateForCompetition = getPassRateForCompetition; // 兼容性保留
     window.calculatePassLine = calculatePassLine;
+    window.updateQualifications = updateQualifications;
   }
 
 })(window);
@@ -1,5 +1,5 @@
 /* contest-ui.js - 比赛模拟GUI组件
-   提供实时比赛进度显示、学生状态监控等UI功能
+   提供赛前策略部署、实时比赛进度显示、学生状态监控、教练场外指导、赛后回看等UI功能
 */
 
 (function(global){
@@ -13,6 +13,22 @@
     });
   }
 
+  const SPEED_STORAGE_KEY = 'oi_coach_contest_speed';
+  const SPEED_LABELS = { 1: '1x', 2: '2x', 5: '5x', instant: '瞬间' };
+
+  function renderSpeedOptions(){
+    const speeds = (window.CompetitionEngine && window.CompetitionEngine.LIVE_SPEEDS) || [1];
+    return speeds.map(v => `<option value="${v}">${SPEED_LABELS[v] || (v + 'x')}</option>`).join('');
+  }
+
+  function readSavedSpeed(){
+    let v = null;
+    try{ v = localStorage.getItem(SPEED_STORAGE_KEY); }catch(e){}
+    if(v === 'instant') return 'instant';
+    const speeds = (window.CompetitionEngine && window.CompetitionEngine.LIVE_SPEEDS) || [1];
+    return speeds.includes(Number(v)) ? Number(v) : 1;
+  }
+
   /**
    * 创建比赛实时监控弹窗
    * @param {ContestSimulator} simulator - 比赛模拟器实例
@@ -63,8 +79,12 @@
                 <button id="contest-pause-btn" class="btn">暂停比赛</button>
                 <button id="contest-resume-btn" class="btn" style="display:none">继续比赛</button>
                 <button id="contest-skip-btn" class="btn">快进10轮</button>
+                <button id="contest-skip-end-btn" class="btn">跳到结果</button>
+                <select id="contest-speed-select" title="比赛速度">${renderSpeedOptions()}</select>
                 <button id="contest-finish-btn" class="btn" style="display:none">结束比赛</button>
               </div>
+
+              ${renderCoachPanel(simulator)}
             </div>
 
             <!-- 右侧：比赛日志面板 -->
@@ -99,13 +119,25 @@
 
     // 初始化学生面板
     renderStudentPanels(simulator);
+    bindCoachPanel(simulator);
 
     // 绑定控制按钮
     const pauseBtn = document.getElementById('contest-pause-btn');
     const resumeBtn = document.getElementById('contest-resume-btn');
     const skipBtn = document.getElementById('contest-skip-btn');
+    const skipEndBtn = document.getElementById('contest-skip-end-btn');
+    const speedSelect = document.getElementById('contest-speed-select');
     const finishBtn = document.getElementById('contest-finish-btn');
 
+    // 沿用上次选择的速度
+    simulator.setSpeed(readSavedSpeed());
+    speedSelect.value = String(simulator.speed);
+    speedSelect.addEventListener('change', () => {
+      const v = speedSelect.value === 'instant' ? 'instant' : Number(speedSelect.value);
+      simulator.setSpeed(v);
+      try{ localStorage.setItem(SPEED_STORAGE_KEY, String(v)); }catch(e){}
+    });
+
     pauseBtn.addEventListener('click', () => {
       simulator.pause();
       pauseBtn.style.display = 'none';
@@ -115,41 +147,16 @@
     resumeBtn.addEventListener('click', () => {
       resumeBtn.style.display = 'none';
       pauseBtn.style.display = 'inline-block';
-      simulator.isRunning = true;
-      setTimeout(() => simulator.runTick(), 1000);
+      simulator.resume();
     });
 
     skipBtn.addEventListener('click', () => {
-      // 快进10轮（如果剩余不足10轮则为剩余轮数）
-      const remaining = simulator.maxTicks - simulator.currentTick;
-      const skipCount = Math.min(10, remaining);
-      
-      if(skipCount > 0 && simulator.isRunning){
-        // 快速执行多轮，不等待动画
-        for(let i = 0; i < skipCount; i++){
-          // 对每个学生进行一次模拟
-          for(let state of simulator.students){
-            simulator.simulateStudentTick(state);
-          }
-          simulator.currentTick++;
-          
-          // 更新UI（仅最后一次）
-          if(i === skipCount - 1){
-            for(let cb of simulator.tickCallbacks){
-              try{
-                cb(simulator.currentTick, simulator.maxTicks, simulator.students);
-              }catch(e){
-                console.error('Tick callback error:', e);
-              }
-            }
-          }
-        }
-        
-        // 检查是否结束
-        if(simulator.currentTick >= simulator.maxTicks){
-          simulator.finish();
-        }
-      }
+      // 快进10轮（如果剩余不足10轮则为剩余轮数），不等待动画，只在最后一轮刷新界面
+      if(simulator.isRunning) simulator.advanceTicks(10);
+    });
+
+    skipEndBtn.addEventListener('click', () => {
+      simulator.skipToEnd();
     });
 
     finishBtn.addEventListener('click', () => {
@@ -160,6 +167,7 @@
     simulator.onTick((tick, maxTicks, students) => {
       updateContestProgress(tick, maxTicks, simulator);
       updateStudentPanels(students, simulator);
+      updateCoachPanel(simulator);
     });
 
     // 注册日志回调 - 实时显示日志
@@ -171,7 +179,11 @@
     simulator.onFinish((students, config) => {
       pauseBtn.style.display = 'none';
       resumeBtn.style.display = 'none';
+      skipBtn.style.display = 'none';
+      skipEndBtn.style.display = 'none';
+      speedSelect.style.display = 'none';
       finishBtn.style.display = 'inline-block';
+      updateCoachPanel(simulator);
       
       // 防止重复触发完成回调
       if(simulator._finishCallbackTriggered){
@@ -226,7 +238,11 @@
             window.__deferred_week_advances = 0;
             console.log('Flushing deferred weekly advances after contest:', deferred);
             // advance weeks and render
-            try{ safeWeeklyUpdate(deferred); }catch(e){ console.error('Error flushing deferred weeks', e); }
+            // 推迟的周推进在录制时已记为一次操作，这里不再重复记录
+            try{
+              if(window.ReplayJournal) window.ReplayJournal.silent(() => safeWeeklyUpdate(deferred));
+              else safeWeeklyUpdate(deferred);
+            }catch(e){ console.error('Error flushing deferred weeks', e); }
           }
         }catch(e){ /* ignore */ }
 
@@ -239,6 +255,85 @@
     });
   }
 
+  /* ========== 教练场外指导 ========== */
+  // 只能指导本队学生（IOI 的国际选手不在 game.students 中）
+  function getCoachableStates(simulator){
+    const team = (window.game && Array.isArray(window.game.students)) ? window.game.students : [];
+    return simulator.students.filter(st => team.includes(st.student));
+  }
+
+  function renderCoachPanel(simulator){
+    const defs = (typeof COACH_INTERVENTIONS !== 'undefined') ? COACH_INTERVENTIONS : null;
+    const states = getCoachableStates(simulator);
+    if(!defs || states.length === 0 || typeof simulator.coachIntervene !== 'function') return '';
+    const options = states.map(st => `<option value="${escapeHtml(st.student.name)}">${escapeHtml(st.student.name)}</option>`).join('');
+    const btn = (id) => `<button class="btn btn-ghost" data-coach-action="${id}">${escapeHtml(defs[id].name)}（${defs[id].cost}点）</button>`;
+    return `
+      <div id="contest-coach-panel" style="margin-top:10px;padding:8px 10px;border:1px solid #ddd;border-radius:4px;background:#fcfcfc;">
+        <div><strong>教练指导</strong> <span class="small muted" id="contest-coach-budget"></span></div>
+        <div style="display:flex;gap:6px;flex-wrap:wrap;align-items:center;margin-top:6px;">
+          <select id="contest-coach-student">${options}</select>
+          ${btn('calm')}
+          <select id="contest-coach-subtask"></select>
+          ${btn('subtask')}
+          ${btn('long_long')}
+        </div>
+        <div class="small muted" id="contest-coach-msg" style="margin-top:4px;"></div>
+      </div>
+    `;
+  }
+
+  function bindCoachPanel(simulator){
+    const panel = document.getElementById('contest-coach-panel');
+    if(!panel) return;
+    const studentSel = document.getElementById('contest-coach-student');
+    const msgEl = document.getElementById('contest-coach-msg');
+    if(studentSel) studentSel.addEventListener('change', () => updateCoachPanel(simulator));
+    panel.querySelectorAll('[data-coach-action]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const action = btn.dataset.coachAction;
+        const subtaskSel = document.getElementById('contest-coach-subtask');
+        const opts = action === 'subtask' ? { subtask: Number(subtaskSel && subtaskSel.value) } : {};
+        const res = simulator.coachIntervene(action, studentSel.value, opts);
+        if(res.ok){
+          if(window.ReplayJournal) window.ReplayJournal.record('coach_intervene', [res.record]);
+          if(msgEl) msgEl.textContent = '';
+        } else if(msgEl){
+          msgEl.textContent = res.reason || '暂时无法指导';
+        }
+        updateCoachPanel(simulator);
+      });
+    });
+    updateCoachPanel(simulator);
+  }
+
+  // 刷新预算、冷却与“建议换档”的可选档位
+  function updateCoachPanel(simulator){
+    const panel = document.getElementById('contest-coach-panel');
+    if(!panel) return;
+    const replaying = !!(window.ReplayJournal && window.ReplayJournal.isReplaying());
+    const budgetEl = document.getElementById('contest-coach-budget');
+    if(budgetEl) budgetEl.textContent = replaying ? '回放中，按录制重现' : `剩余预算 ${simulator.coachBudget} 点`;
+
+    const studentSel = document.getElementById('contest-coach-student');
+    const state = simulator.students.find(st => studentSel && st.student.name === studentSel.value);
+    const subtaskSel = document.getElementById('contest-coach-subtask');
+    if(subtaskSel){
+      const prob = (state && state.currentTarget !== null) ? state.getProblem(state.currentTarget) : null;
+      const prev = subtaskSel.value;
+      subtaskSel.innerHTML = (prob && !prob.solved)
+        ? prob.subtasks.map((st, idx) => st.score > prob.maxScore ? `<option value="${idx}">T${prob.id + 1} 第${idx + 1}档（${st.score}分）</option>` : '').join('')
+        : '<option value="">未在做题</option>';
+      if(prev && subtaskSel.querySelector(`option[value="${prev}"]`)) subtaskSel.value = prev;
+    }
+
+    panel.querySelectorAll('[data-coach-action]').forEach(btn => {
+      const check = simulator.canCoachIntervene(btn.dataset.coachAction);
+      btn.disabled = replaying || !check.ok;
+      btn.title = check.ok ? '' : (check.reason || '');
+    });
+  }
+
   /**
    * 渲染学生面板
    */
@@ -492,6 +587,10 @@
         color = '#f59e0b'; // 橙色 - 跳题
         icon = '↷';
         break;
+      case 'coach':
+        color = '#0d9488'; // 青色 - 教练指导
+        icon = '✚';
+        break;
       case 'info':
       default:
         color = '#666';
@@ -543,9 +642,210 @@
     logPanel.scrollTop = logPanel.scrollHeight;
   }
 
+  /**
+   * 比赛准备界面：为每名参赛学生指定比赛策略
+   * 选择写回 student.contestStrategy（随存档保存），下一场比赛默认沿用
+   * @param {Object} comp - 比赛定义
+   * @param {Array} students - 本队参赛学生
+   * @param {Function} onStart - 点击“开始比赛”后的回调
+   */
+  function showContestSetupModal(comp, students, onStart){
+    const modalRoot = document.getElementById('modal-root');
+    const engine = window.CompetitionEngine;
+    if(!modalRoot || !engine || !engine.CONTEST_STRATEGIES || !students || students.length === 0){
+      onStart();
+      return;
+    }
+
+    const strategies = Object.values(engine.CONTEST_STRATEGIES);
+    const rows = students.map((s, idx) => {
+      const current = engine.getContestStrategy(s.contestStrategy).id;
+      const options = strategies.map(st =>
+        `<option value="${escapeHtml(st.id)}"${st.id === current ? ' selected' : ''}>${escapeHtml(st.name)}</option>`
+      ).join('');
+      return `<tr>
+          <td style="padding:4px 8px;">${escapeHtml(s.name)}</td>
+          <td style="padding:4px 8px;"><select class="contest-strategy-select" data-idx="${idx}">${options}</select></td>
+        </tr>`;
+    }).join('');
+    const descs = strategies.map(st => `<div><strong>${escapeHtml(st.name)}</strong>：${escapeHtml(st.desc || '')}</div>`).join('');
+
+    modalRoot.innerHTML = `
+      <div class="modal" style="z-index:2000">
+        <div class="dialog" style="max-width:560px;">
+          <h2>${escapeHtml(comp.name)} - 赛前部署</h2>
+          <p class="small muted" style="margin:4px 0 10px 0;">为每名学生选择比赛策略，影响开题顺序、部分分取舍和跳题时机。</p>
+          <table style="width:100%;border-collapse:collapse;">
+            <thead><tr><th style="text-align:left;padding:4px 8px;">学生</th><th style="text-align:left;padding:4px 8px;">策略</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+          <div class="small muted" style="margin-top:10px;line-height:1.6;">${descs}</div>
+          <div class="modal-actions" style="margin-top:12px">
+            <button class="btn" id="contest-setup-start">开始比赛</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.getElementById('contest-setup-start').addEventListener('click', () => {
+      const chosen = {};
+      modalRoot.querySelectorAll('.contest-strategy-select').forEach(sel => {
+        const s = students[Number(sel.dataset.idx)];
+        if(!s) return;
+        s.contestStrategy = sel.value;
+        chosen[s.name] = sel.value;
+      });
+      if(window.ReplayJournal) window.ReplayJournal.record('contest_setup', [chosen]);
+      modalRoot.innerHTML = '';
+      onStart();
+    });
+  }
+
+  /* ========== 比赛回看 ========== */
+  const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+  // 由比赛日志中的快照还原出与 StudentContestState 结构一致的只读状态，
+  // 以便直接复用 renderStudentPanels / updateStudentPanels
+  function buildReplayStates(log, tick){
+    const snap = log.snapshots[tick] || [];
+    return log.students.map((s, i) => {
+      const row = snap[i] || [];
+      const problems = log.problems.map((p, j) => {
+        const score = Number(row[3 + j] || 0);
+        const last = p.subtasks[p.subtasks.length - 1];
+        return { id: p.id, subtasks: p.subtasks, maxScore: score, solved: !!last && score >= last.score };
+      });
+      return {
+        student: { name: s.displayName || s.name },
+        totalScore: Number(row[0] || 0),
+        currentTarget: (typeof row[1] === 'number' && row[1] >= 0) ? row[1] : null,
+        thinkingTime: Number(row[2] || 0),
+        problems: problems,
+        getProblem(id){ return problems.find(p => p.id === id); }
+      };
+    });
+  }
+
+  /**
+   * 比赛回看：根据 CompetitionEngine.buildContestLog 保存的快照和日志重现比赛过程
+   * @param {Object} log - careerCompetitions 记录中的 log
+   * @param {string} title - 弹窗标题
+   */
+  function showContestReplayViewer(log, title){
+    const modalRoot = document.getElementById('modal-root');
+    if(!modalRoot) return;
+    if(!log || !Array.isArray(log.snapshots) || log.snapshots.length === 0){
+      alert('这场比赛没有可回看的记录');
+      return;
+    }
+    const lastTick = log.snapshots.length - 1;
+
+    modalRoot.innerHTML = `
+      <div class="modal" style="z-index:2000">
+        <div class="dialog" style="max-width:95%;max-height:95%;">
+          <div class="contest-live-container" style="display:flex;gap:15px;">
+            <div style="flex:2;">
+              <h2>${escapeHtml(title || log.name)} - 比赛回看</h2>
+              <div class="contest-header">
+                <div class="time-info">
+                  <span id="contest-current-time">0</span> / ${log.duration} 分钟
+                </div>
+                <div class="progress-bar-container">
+                  <div id="contest-progress-bar" class="progress-bar" style="width: 0%"></div>
+                </div>
+              </div>
+              <div class="student-panels" id="student-panels"></div>
+              <div class="contest-controls" style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+                <input type="range" id="contest-replay-scrub" min="0" max="${lastTick}" value="0" style="flex:1;min-width:200px;">
+                <button id="contest-replay-play" class="btn">播放</button>
+                <select id="contest-replay-speed">${REPLAY_SPEEDS.map(v => `<option value="${v}">${v}x</option>`).join('')}</select>
+                <button id="contest-replay-close" class="btn btn-ghost">关闭</button>
+              </div>
+            </div>
+            <div style="flex:1;display:flex;flex-direction:column;">
+              <h3 style="margin:0 0 10px 0;">比赛日志</h3>
+              <div id="contest-log-panel" style="
+                flex:1;
+                background:#f9f9f9;
+                border:1px solid #ddd;
+                border-radius:4px;
+                padding:10px;
+                overflow-y:auto;
+                max-height:600px;
+                font-size:12px;
+                font-family:monospace;
+              "></div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const scrub = document.getElementById('contest-replay-scrub');
+    const playBtn = document.getElementById('contest-replay-play');
+    const speedSel = document.getElementById('contest-replay-speed');
+    const logPanel = document.getElementById('contest-log-panel');
+    let currentTick = 0;
+    let timer = null;
+
+    // 第 k 个快照之前产生的日志（tick < k）；最后一个快照额外包含赛后失误等结算日志
+    const logsUntil = (tick) => (log.logs || []).filter(l => l.tick < tick || tick === lastTick);
+    const showLog = (l) => addLogEntry({ time: l.time, type: l.type, message: l.message, studentName: l.student });
+
+    // 跳转到任意 tick：整体重绘面板与日志
+    function seek(tick){
+      currentTick = Math.max(0, Math.min(lastTick, tick));
+      const view = { students: buildReplayStates(log, currentTick) };
+      renderStudentPanels(view);
+      updateStudentPanels(view.students, view);
+      updateContestProgress(currentTick, lastTick, view);
+      logPanel.innerHTML = '';
+      logsUntil(currentTick).forEach(showLog);
+      scrub.value = String(currentTick);
+    }
+
+    // 播放时逐 tick 前进：只追加新日志，并使用滚榜动画更新面板
+    function advance(){
+      if(currentTick >= lastTick){ pause(); return; }
+      const before = logsUntil(currentTick).length;
+      currentTick++;
+      const view = { students: buildReplayStates(log, currentTick) };
+      updateStudentPanels(view.students, view);
+      updateContestProgress(currentTick, lastTick, view);
+      logsUntil(currentTick).slice(before).forEach(showLog);
+      scrub.value = String(currentTick);
+      if(currentTick >= lastTick) pause();
+    }
+
+    function play(){
+      if(currentTick >= lastTick) seek(0);
+      clearInterval(timer);
+      timer = setInterval(advance, 1000 / Number(speedSel.value || 1));
+      playBtn.textContent = '暂停';
+    }
+
+    function pause(){
+      clearInterval(timer);
+      timer = null;
+      playBtn.textContent = '播放';
+    }
+
+    scrub.addEventListener('input', () => { pause(); seek(Number(scrub.value)); });
+    playBtn.addEventListener('click', () => { if(timer) pause(); else play(); });
+    speedSel.addEventListener('change', () => { if(timer) play(); });
+    document.getElementById('contest-replay-close').addEventListener('click', () => {
+      pause();
+      modalRoot.innerHTML = '';
+    });
+
+    seek(0);
+  }
+
   /* ========== 导出到全局 ========== */
   const ContestUI = {
+    showContestSetupModal,
     showContestLiveModal,
+    showContestReplayViewer,
     renderStudentPanels,
     updateStudentPanels,
     updateContestProgress,
@@ -7,6 +7,14 @@ class Student {
     // talents: 特质/技能列表（Set of strings）
     // 预留接口：TalentManager 可以注册具体特质的触发逻辑，游戏事件/比赛等可调用 student.triggerTalents(eventName, ctx)
     this.talents = new Set();
+    // 知识遗忘：各知识点最近一次增长的周数与遗忘前的最高值（见 decayKnowledge）
+    this.knowledgeLastGain = {};
+    this.knowledgePeak = {};
+    // 子知识点累计增长（见 KNOWLEDGE_TOPICS 与 getSubtopicFactor）
+    this.subKnowledge = {};
+    // 天赋等级与进阶进度（见 TalentManager.getTalentLevel），未记录的天赋视为 Lv1
+    this.talentLevels = {};
+    this.talentProgress = {};
   this.knowledge_ds = KNOWLEDGE_ABLILTY_START;
   this.knowledge_graph = KNOWLEDGE_ABLILTY_START;
   this.knowledge_string = KNOWLEDGE_ABLILTY_START;
@@ -18,6 +26,8 @@ class Student {
     this.pressure_modifier = 0;
     this.burnout_weeks=0; this.depression_count=0; this.high_pressure_weeks=0;
     this.active=true; this.sick_weeks=0;
+    // 比赛策略（见 CompetitionEngine.CONTEST_STRATEGIES），在比赛准备界面由教练指定
+    this.contestStrategy = 'default';
   }
   getAbilityAvg(){ return (this.thinking + this.coding + this.mental)/3.0; }
   getKnowledgeTotal(){ return (this.knowledge_ds + this.knowledge_graph + this.knowledge_string + this.knowledge_math + this.knowledge_dp)/5.0; }
@@ -71,13 +81,20 @@ class Student {
     let learning_efficiency = (0.6*(this.thinking/100.0) + 0.4)*(1.0 - this.pressure / FATIGUE_FROM_PRESSURE);
     return Math.floor(base_gain * learning_efficiency * facility_bonus * sick_penalty);
   }
+  // type 可以是大类、别名或子知识点；子知识点返回所属大类的知识值乘以掌握度修正
   getKnowledgeByType(type){
-    if(type==='数据结构') return this.knowledge_ds;
-    if(type==='图论') return this.knowledge_graph;
-    if(type==='字符串') return this.knowledge_string;
-    if(type==='数学') return this.knowledge_math;
-    if(type==='DP' || type==='动态规划') return this.knowledge_dp;
-    return 0;
+    const field = getKnowledgeField(type);
+    if(!field) return 0;
+    return isSubtopic(type) ? this[field] * this.getSubtopicFactor(type) : this[field];
+  }
+  // 子知识点掌握度修正：相对同类其他子知识点练得多则 >1，有短板则 <1；没有记录时为 1
+  getSubtopicFactor(sub){
+    const subs = listSubtopics(sub);
+    const rec = this.subKnowledge || {};
+    const total = subs.reduce((sum, k) => sum + (Number(rec[k]) || 0), 0);
+    if(!(total > 0) || !subs.includes(sub)) return 1;
+    const mastery = (Number(rec[sub]) || 0) / (total / subs.length);
+    return clamp(1 + (mastery - 1) * SUBTOPIC_FACTOR_WEIGHT, SUBTOPIC_FACTOR_MIN, SUBTOPIC_FACTOR_MAX);
   }
   addKnowledge(type,amount){
     // 安全检查：单次增幅上限100点（防止异常值导致的爆炸性增长）
@@ -87,11 +104,50 @@ class Student {
       console.warn(`[addKnowledge] 学生${this.name} 知识点增幅异常: type=${type}, 原值=${amount}, 限制后=${safeAmount}`);
     }
     
-    if(type==='数据结构') this.knowledge_ds += safeAmount;
-    else if(type==='图论') this.knowledge_graph += safeAmount;
-    else if(type==='字符串') this.knowledge_string += safeAmount;
-    else if(type==='数学') this.knowledge_math += safeAmount;
-    else if(type==='DP' || type==='动态规划') this.knowledge_dp += safeAmount;
+    const topic = getTopicParent(type);
+    const field = getKnowledgeField(type);
+    if(!field) return;
+    const cur = Number(this[field] || 0);
+    // 复习：遗忘过的知识点按加成恢复，直到回到遗忘前的最高值
+    let extra = 0;
+    const peak = Number(this.knowledgePeak && this.knowledgePeak[topic]) || 0;
+    if(peak > cur && safeAmount > 0){
+      extra = Math.min(safeAmount * KNOWLEDGE_RELEARN_BONUS, peak - cur);
+      if(cur + safeAmount + extra >= peak) delete this.knowledgePeak[topic];
+    }
+    this[field] = cur + safeAmount + extra;
+    if(safeAmount > 0){
+      this.knowledgeLastGain = this.knowledgeLastGain || {};
+      this.knowledgeLastGain[topic] = (typeof window !== 'undefined' && window.game) ? window.game.week : 0;
+      // 子知识点：练子知识点全部计入该子知识点，只练大类则均分给各子知识点
+      this.subKnowledge = this.subKnowledge || {};
+      const subs = isSubtopic(type) ? [type] : listSubtopics(topic);
+      for(const k of subs) this.subKnowledge[k] = (Number(this.subKnowledge[k]) || 0) + safeAmount / subs.length;
+    }
+  }
+  // 距离某知识点上次增长的周数；未记录时从 week 开始计
+  weeksSinceKnowledgeGain(topic, week){
+    this.knowledgeLastGain = this.knowledgeLastGain || {};
+    if(typeof this.knowledgeLastGain[topic] !== 'number') this.knowledgeLastGain[topic] = week;
+    return week - this.knowledgeLastGain[topic];
+  }
+  // 知识遗忘：超过宽限期未增长的知识点按 rate 衰减，不低于历史最高值的 KNOWLEDGE_DECAY_FLOOR；返回衰减总量
+  decayKnowledge(week, rate){
+    if(!(rate > 0)) return 0;
+    this.knowledgePeak = this.knowledgePeak || {};
+    let lost = 0;
+    for(const topic of listKnowledgeTopics()){
+      if(this.weeksSinceKnowledgeGain(topic, week) <= KNOWLEDGE_DECAY_GRACE_WEEKS) continue;
+      const field = getKnowledgeField(topic);
+      const cur = Number(this[field] || 0);
+      const peak = Math.max(Number(this.knowledgePeak[topic]) || 0, cur);
+      const next = Math.max(peak * KNOWLEDGE_DECAY_FLOOR, cur * (1 - rate));
+      if(next >= cur) continue;
+      this.knowledgePeak[topic] = peak;
+      this[field] = next;
+      lost += cur - next;
+    }
+    return lost;
   }
   // 统一接口：为思维/代码提供受控增幅方法
   // 规则：当目标属性（thinking 或 coding）大于阈值（400）时，对增幅进行衰减。
@@ -117,8 +173,17 @@ class Student {
   }
   /* ---------- Talent 接口 ---------- */
   addTalent(talentName){ this.talents.add(talentName); }
-  removeTalent(talentName){ this.talents.delete(talentName); }
-  hasTalent(talentName){ return this.talents.has(talentName); }
+  removeTalent(talentName){
+    this.talents.delete(talentName);
+    if(this.talentLevels) delete this.talentLevels[talentName];
+    if(this.talentProgress) delete this.talentProgress[talentName];
+  }
+  // 因天赋冲突而不生效的天赋视为未拥有（见 TalentManager.registerConflict）
+  hasTalent(talentName){
+    if(!this.talents.has(talentName)) return false;
+    const tm = (typeof window !== 'undefined') ? window.TalentManager : null;
+    return !(tm && typeof tm.isTalentSuppressed === 'function' && tm.isTalentSuppressed(this, talentName));
+  }
   // 触发学生的特质（由外部事件/比赛调用）
   // eventName: 字符串标识事件类型；ctx: 可选上下文对象
   // 返回：天赋触发结果数组 [{talent: '天赋名', result: '描述'}]
@@ -217,8 +282,67 @@ class GameState {
     this.careerCompetitions = [];
     // 累计消费金额跟踪
     this.totalExpenses = 0;
+    // 学生两两好感度：键为按字典序排列的 "姓名A|姓名B"，缺省为 0
+    this.affinity = {};
+    // 知识遗忘开关（开始页选择，比例见 KNOWLEDGE_DECAY_RATE_BY_DIFFICULTY）
+    this.knowledgeDecay = true;
+    // 规则预设 id（开始页选择，见 RULESETS）
+    this.ruleset = DEFAULT_RULESET;
+    // 自定义赛季（见 lib/season.js），官方赛季为 null
+    this.season = null;
+    // 多周训练计划（见 lib/planner.js）
+    this.trainingSchedule = [];
+    this.plannerPressureThreshold = PLANNER_PRESSURE_THRESHOLD;
   // teaching_points 已弃用，保留向后兼容性字段已移除
   }
+  /* ---------- 知识遗忘 ---------- */
+  getKnowledgeDecayRate(){
+    if(!this.knowledgeDecay) return 0;
+    return Number(KNOWLEDGE_DECAY_RATE_BY_DIFFICULTY[this.difficulty]) || 0;
+  }
+  // 学生当前生疏（超过宽限期未训练）的知识点；未开启遗忘时为空
+  getRustyTopics(student){
+    if(!(this.getKnowledgeDecayRate() > 0)) return [];
+    return listKnowledgeTopics().filter(t => student.weeksSinceKnowledgeGain(t, this.week) > KNOWLEDGE_DECAY_GRACE_WEEKS);
+  }
+  /* ---------- 团队关系 ---------- */
+  getAffinity(a, b){
+    const na = a && a.name !== undefined ? a.name : a;
+    const nb = b && b.name !== undefined ? b.name : b;
+    if(na === nb) return 0;
+    const key = na < nb ? `${na}|${nb}` : `${nb}|${na}`;
+    return Number((this.affinity || {})[key]) || 0;
+  }
+  changeAffinity(a, b, delta){
+    const na = a && a.name !== undefined ? a.name : a;
+    const nb = b && b.name !== undefined ? b.name : b;
+    if(na === nb) return;
+    this.affinity = this.affinity || {};
+    const key = na < nb ? `${na}|${nb}` : `${nb}|${na}`;
+    this.affinity[key] = Math.max(AFFINITY_MIN, Math.min(AFFINITY_MAX, (Number(this.affinity[key]) || 0) + delta));
+  }
+  // 一组学生两两之间同时变化（一起训练、外出、娱乐、矛盾）
+  changeGroupAffinity(students, delta){
+    const list = (students || []).filter(s => s && s.active !== false);
+    for(let i = 0; i < list.length; i++){
+      for(let j = i + 1; j < list.length; j++) this.changeAffinity(list[i], list[j], delta);
+    }
+  }
+  // 学生与 others 中其他人的平均好感度；没有其他人时为 0
+  getAverageAffinity(student, others){
+    const list = (others || this.students).filter(o => o && o.active !== false && o.name !== student.name);
+    if(!list.length) return 0;
+    return list.reduce((sum, o) => sum + this.getAffinity(student, o), 0) / list.length;
+  }
+  // 全队两两好感度平均值（团队氛围）
+  getTeamChemistry(){
+    const list = this.students.filter(s => s && s.active !== false);
+    let sum = 0, pairs = 0;
+    for(let i = 0; i < list.length; i++){
+      for(let j = i + 1; j < list.length; j++){ sum += this.getAffinity(list[i], list[j]); pairs++; }
+    }
+    return pairs ? sum / pairs : 0;
+  }
   getWeatherFactor(){
     let factor=1.0;
     let extreme_temp = (this.temperature < EXTREME_COLD_THRESHOLD || this.temperature > EXTREME_HOT_THRESHOLD);
@@ -360,7 +484,7 @@ class GameState {
   // 记录消费并更新累计金额
   recordExpense(amount, description = '') {
     // 应用全局经费消耗增幅
-    const costMult = (typeof COST_MULTIPLIER !== 'undefined' ? COST_MULTIPLIER : 1.0);
+    const costMult = getRuleMultiplier('cost');
     const expense = Math.max(0, amount * costMult);
     this.budget = Math.max(0, this.budget - expense);
     this.totalExpenses = (this.totalExpenses || 0) + expense;
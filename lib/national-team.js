@@ -87,6 +87,7 @@
         console.log('[showNationalTeamChoice] 绑定拒绝按钮事件');
         declineBtn.onclick = ()=>{
           console.log('[showNationalTeamChoice] 用户选择拒绝');
+          if(global.ReplayJournal) global.ReplayJournal.record('national_team_decline', []);
           if(typeof global.closeModal === 'function') global.closeModal();
           game.nationalTeamChoicePending = false;
           if(typeof global.triggerGameEnding === 'function'){
@@ -103,6 +104,7 @@
         console.log('[showNationalTeamChoice] 绑定接受按钮事件');
         acceptBtn.onclick = ()=>{
           console.log('[showNationalTeamChoice] 用户选择接受');
+          if(global.ReplayJournal) global.ReplayJournal.record('national_team_accept', []);
           if(typeof global.closeModal === 'function') global.closeModal();
           game.nationalTeamChoicePending = false;
           enterNationalTeam(goldStudents);
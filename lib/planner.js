@@ -0,0 +1,243 @@
+/* planner.js - 多周训练计划：教练预先为接下来的若干周安排行动，游戏按周自动执行
+   - 计划保存在 game.trainingSchedule（[{ week, action }]，每周最多一项），随存档一起保存
+   - 行动通过原有函数执行（trainStudentsWithTask / applyEntertainment / startMockContest / outingTrainingWithSelection
+     与 safeWeeklyUpdate），因此会正常写入回放日志
+   - 自动执行在以下情况暂停：有待处理的事件卡片、本周有正式比赛、有学生压力达到阈值、经费不足、
+     当前周没有安排、游戏结束；比赛 / 弹窗进行中时等待其关闭后再继续
+
+   行动格式：
+     { type: 'train', topic: '动态规划' | '', intensity: 1~3 }   从本周题目中选该知识点加成最高的一题（topic 为空则选第一题）
+     { type: 'mock', contest: ONLINE_CONTEST_TYPES 下标 }         免费网赛
+     { type: 'rest' }                                              放假（娱乐活动“放假”）
+     { type: 'entertainment', id: 2 | 3 | 5 }                      其他娱乐活动
+     { type: 'outing', province: 省份编号, difficulty: 1~3 }       全队外出集训
+*/
+(function(global){
+  'use strict';
+
+  const STEP_DELAY = 600;       // 每步之间的间隔（毫秒），让界面有时间刷新
+  const BUSY_POLL = 800;        // 比赛 / 弹窗进行中时的轮询间隔
+
+  const ACTION_TYPES = {
+    train: '做题训练',
+    mock: '模拟赛',
+    rest: '放假',
+    entertainment: '娱乐活动',
+    outing: '外出集训'
+  };
+
+  let timer = null;
+  let running = false;
+
+  function notify(msg, level){
+    if(typeof global.log === 'function') global.log(`[计划] ${msg}`);
+    if(level && global.toastManager && typeof global.toastManager.show === 'function') global.toastManager.show(msg, level);
+  }
+
+  function schedule(){
+    const g = global.game;
+    if(!g) return [];
+    if(!Array.isArray(g.trainingSchedule)) g.trainingSchedule = [];
+    return g.trainingSchedule;
+  }
+
+  function intensityName(v){
+    return v === 1 ? '轻' : v === 3 ? '重' : '中';
+  }
+
+  // 从本周题目中选出指定知识点（含其子知识点）加成最高的一题
+  function pickTask(topic){
+    const g = global.game;
+    let tasks = g.weeklyTasks;
+    if(!Array.isArray(tasks) || tasks.length === 0){
+      tasks = selectRandomTasks(7);
+      g.weeklyTasks = tasks;
+    }
+    if(!topic) return tasks[0];
+    let best = tasks[0], bestAmount = -1;
+    for(const t of tasks){
+      const b = (t.boosts || []).find(x => getTopicParent(x.type) === topic);
+      const amount = b ? Number(b.amount) || 0 : 0;
+      if(amount > bestAmount){ best = t; bestAmount = amount; }
+    }
+    return best;
+  }
+
+  // 本周尚未参加的正式比赛
+  function competitionThisWeek(){
+    const week = currWeek();
+    const g = global.game;
+    const half = (week > WEEKS_PER_HALF) ? 1 : 0;
+    return (Array.isArray(global.competitions) ? global.competitions : []).find(c =>
+      c.week === week && !(g.completedCompetitions && g.completedCompetitions.has(`${half}_${c.name}_${c.week}`))) || null;
+  }
+
+  function actionCost(action){
+    const mult = global.game.getExpenseMultiplier ? global.game.getExpenseMultiplier() : 1;
+    if(action.type === 'outing'){
+      const count = global.game.students.filter(s => s && s.active).length;
+      return Math.round(computeOutingCostQuadratic(action.difficulty, action.province, count) * mult);
+    }
+    if(action.type === 'entertainment'){
+      const opt = getEntertainmentOptions().find(o => o.id === action.id);
+      return Math.round((opt ? opt.cost : 0) * mult);
+    }
+    return 0;
+  }
+
+  const TrainingPlanner = {
+    ACTION_TYPES,
+    pickTask,
+
+    getSchedule(){
+      return schedule().slice().sort((a, b) => a.week - b.week);
+    },
+
+    getAction(week){
+      const item = schedule().find(x => x.week === week);
+      return item ? item.action : null;
+    },
+
+    setAction(week, action){
+      const list = schedule();
+      const idx = list.findIndex(x => x.week === week);
+      if(!action || !ACTION_TYPES[action.type]){
+        if(idx >= 0) list.splice(idx, 1);
+        return;
+      }
+      if(idx >= 0) list[idx].action = action;
+      else list.push({ week, action });
+    },
+
+    // 丢弃已经过去的周的安排
+    prune(){
+      const g = global.game;
+      if(g) g.trainingSchedule = schedule().filter(x => x.week >= currWeek());
+    },
+
+    describe(action){
+      if(!action) return '无';
+      switch(action.type){
+        case 'train': return `做题训练（${action.topic || '不限知识点'}，${intensityName(action.intensity)}度）`;
+        case 'mock': {
+          const c = ONLINE_CONTEST_TYPES[action.contest];
+          return `模拟赛（${c ? c.displayName : '网赛'}）`;
+        }
+        case 'rest': return '放假';
+        case 'entertainment': {
+          const opt = getEntertainmentOptions().find(o => o.id === action.id);
+          return `娱乐活动（${opt ? opt.label : action.id}）`;
+        }
+        case 'outing': {
+          const p = PROVINCES[action.province];
+          return `外出集训（${p ? p.name : action.province}，难度${action.difficulty}）`;
+        }
+      }
+      return action.type;
+    },
+
+    // 检查是否需要暂停自动执行，返回原因或 null
+    checkPause(){
+      const g = global.game;
+      if(!g || g.seasonEndTriggered) return '赛季已结束';
+      if(typeof hasPendingRequiredEvents === 'function' && hasPendingRequiredEvents()) return '有待处理的事件';
+      const comp = competitionThisWeek();
+      if(comp) return `本周有比赛【${comp.name}】`;
+      const threshold = Number(g.plannerPressureThreshold) || PLANNER_PRESSURE_THRESHOLD;
+      const stressed = g.students.find(s => s && s.active !== false && s.pressure >= threshold);
+      if(stressed) return `${stressed.name} 压力达到 ${Math.round(stressed.pressure)}（阈值 ${threshold}）`;
+      const action = this.getAction(currWeek());
+      if(!action) return this.getSchedule().some(x => x.week > currWeek()) ? '本周没有安排' : '计划已全部执行';
+      if(g.budget < actionCost(action)) return `经费不足，无法执行：${this.describe(action)}`;
+      // 与娱乐界面一致：打游戏需要计算机等级 ≥ 3
+      if(action.type === 'entertainment' && Number(action.id) === 5 && !(g.facilities && g.facilities.computer >= 3)){
+        return `需要计算机等级 ≥ 3，无法执行：${this.describe(action)}`;
+      }
+      return null;
+    },
+
+    // 执行一项行动（含推进周数）；返回是否成功
+    executeAction(action){
+      switch(action.type){
+        case 'train': {
+          const task = pickTask(action.topic);
+          trainStudentsWithTask(task, Number(action.intensity) || 2);
+          const nextComp = global.competitions.find(c => c.week > currWeek());
+          const weeksToComp = nextComp ? (nextComp.week - currWeek()) : Infinity;
+          safeWeeklyUpdate(Math.min(1, weeksToComp));
+          renderAll();
+          return true;
+        }
+        case 'mock':
+          startMockContest(false, Number(action.contest) || 0, []);
+          return true;
+        case 'rest':
+          applyEntertainment(1);
+          return true;
+        case 'entertainment':
+          applyEntertainment(Number(action.id));
+          return true;
+        case 'outing': {
+          const names = global.game.students.filter(s => s && s.active).map(s => s.name);
+          outingTrainingWithSelection(Number(action.difficulty) || 1, Number(action.province), names, []);
+          renderAll();
+          return true;
+        }
+      }
+      return false;
+    },
+
+    isRunning(){
+      return running;
+    },
+
+    start(){
+      if(running) return;
+      if(global.ReplayJournal && global.ReplayJournal.isReplaying()){ notify('回放中不能自动执行计划', 'warning'); return; }
+      running = true;
+      notify('开始自动执行训练计划');
+      this.step();
+    },
+
+    stop(reason){
+      if(timer){ clearTimeout(timer); timer = null; }
+      if(!running) return;
+      running = false;
+      notify(reason ? `自动执行暂停：${reason}` : '自动执行已停止', reason ? 'warning' : null);
+      if(typeof renderAll === 'function') try{ renderAll(); }catch(e){}
+    },
+
+    // 执行当前周的安排，然后排下一步
+    step(){
+      timer = null;
+      if(!running) return;
+      // 比赛直播或其他弹窗进行中：等待关闭
+      const root = global.document && global.document.getElementById('modal-root');
+      if(global.__contest_live_modal_active || (root && root.innerHTML.trim())){
+        timer = setTimeout(() => this.step(), BUSY_POLL);
+        return;
+      }
+      const reason = this.checkPause();
+      if(reason){ this.stop(reason); return; }
+      const week = currWeek();
+      const action = this.getAction(week);
+      try{
+        notify(`第 ${week} 周：${this.describe(action)}`);
+        this.executeAction(action);
+        this.setAction(week, null);
+      }catch(e){
+        console.error('[计划] 执行失败', e);
+        this.stop('执行出错');
+        return;
+      }
+      timer = setTimeout(() => this.step(), STEP_DELAY);
+    }
+  };
+
+  if(typeof window !== 'undefined'){
+    window.TrainingPlanner = TrainingPlanner;
+  }
+
+  global.TrainingPlanner = TrainingPlanner;
+
+})(window);
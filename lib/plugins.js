@@ -0,0 +1,193 @@
+/* plugins.js - 插件（Mod）系统：以受支持的方式注入天赋、事件、题目、比赛与省份
+   - 插件脚本在 lib/plugins.js 之后通过 <script> 引入（即“已安装”），调用 PluginManager.register 注册自身
+   - 开始页可启用 / 停用已安装插件（偏好保存在 localStorage 'oi_coach_plugins'）
+   - 开局时把启用的插件列表写入 game.enabledPlugins，随存档 / 回放一起保存；读档时按存档中的列表启用
+     （插件启用后无法在页面内停用，存档未启用的插件正在运行时，读档会重新载入游戏页）
+
+   插件定义：
+     PluginManager.register({
+       id: 'my-plugin', name: '我的插件', version: '1.0', author: '', description: '',
+       setup(api){ ... },                 // 启用时调用一次，可用 api 注册内容或挂钩子
+       hooks: { weeklyUpdate(ctx){ ... } } // 也可直接在定义里声明钩子
+     })
+
+   setup 收到的 api：
+     - registerTalent(def): 手写天赋 { name, handler } 或声明式天赋 { name, rules }（见 talent.js）
+     - registerEvent(def): 手写事件 { id, check, run } 或声明式事件 { id, chance, ... }（见 events.js）
+     - addTask(task): 向 TASK_POOL 添加题目 { name, difficulty, boosts: [{ type, amount }] }，type 可为子知识点
+     - addSubtopic(parent, name): 在五大知识点之一下新增子知识点（见 constants.js 的 KNOWLEDGE_TOPICS）
+     - addCompetition(comp): 添加正式比赛 { name, week, difficulty, maxScore, numProblems, difficultyFactors? }，week 为游戏内周数
+     - addProvince(prov): 添加省份 { name, type, isNorth, baseBudget?, trainingQuality? }，返回省份编号
+     - on(hook, fn): 挂钩子；log(msg): 带插件名前缀的日志
+
+   钩子（ctx 均包含 game）：
+     - weeklyUpdate { game, weeks }：每次周结算之后
+     - contestStart { game, comp, simulator, mock }：正式比赛 / 模拟赛开赛时
+     - contestFinish { game, comp, simulator, results, mock }：比赛结算之后
+     - gameEnd { game, reason }：游戏结束时
+*/
+(function(global){
+  'use strict';
+
+  const PREF_KEY = 'oi_coach_plugins';
+  const HOOKS = ['weeklyUpdate', 'contestStart', 'contestFinish', 'gameEnd'];
+
+  const PluginManager = {
+    HOOKS,
+    _plugins: {},
+    _order: [],
+    _active: [],
+    _hooks: {},
+
+    // 注册（安装）插件，仅保存定义，启用后才会生效
+    register(def){
+      if(!def || !def.id) throw new Error('plugin must have id');
+      if(this._plugins[def.id]){
+        console.warn(`[插件] ${def.id} 重复注册，已忽略`);
+        return;
+      }
+      this._plugins[def.id] = Object.assign({ name: def.id, version: '', author: '', description: '' }, def);
+      this._order.push(def.id);
+    },
+
+    list(){
+      return this._order.map(id => this._plugins[id]);
+    },
+
+    getPlugin(id){
+      return this._plugins[id] || null;
+    },
+
+    /* ========== 启用偏好（开始页） ========== */
+    getPreferredIds(){
+      try{
+        const ids = JSON.parse(localStorage.getItem(PREF_KEY) || '[]');
+        return Array.isArray(ids) ? ids.filter(id => this._plugins[id]) : [];
+      }catch(e){ return []; }
+    },
+
+    setPreferred(id, enabled){
+      const ids = new Set(this.getPreferredIds());
+      if(enabled) ids.add(id); else ids.delete(id);
+      try{ localStorage.setItem(PREF_KEY, JSON.stringify(Array.from(ids))); }catch(e){ console.error('[插件] 保存启用状态失败', e); }
+    },
+
+    /* ========== 启用 ========== */
+    // 按 ids 启用插件（已启用的跳过，页面内无法停用）；返回当前已启用的插件 id 列表
+    activate(ids){
+      for(const id of (Array.isArray(ids) ? ids : [])){
+        if(this._active.includes(id)) continue;
+        const plugin = this._plugins[id];
+        if(!plugin){
+          console.warn(`[插件] 存档启用了未安装的插件 ${id}，已跳过`);
+          continue;
+        }
+        try{
+          const api = createApi(this, plugin);
+          for(const hook of Object.keys(plugin.hooks || {})) api.on(hook, plugin.hooks[hook]);
+          if(typeof plugin.setup === 'function') plugin.setup(api);
+          this._active.push(id);
+          console.log(`[插件] 已启用 ${plugin.name}`);
+        }catch(e){
+          console.error(`[插件] ${plugin.name} 启用失败`, e);
+        }
+      }
+      return this.getActiveIds();
+    },
+
+    getActiveIds(){
+      return this._active.slice();
+    },
+
+    isActive(id){
+      return this._active.includes(id);
+    },
+
+    /* ========== 钩子 ========== */
+    on(hook, pluginId, fn){
+      if(!HOOKS.includes(hook)) throw new Error(`未知的插件钩子 ${hook}`);
+      if(typeof fn !== 'function') return;
+      (this._hooks[hook] = this._hooks[hook] || []).push({ pluginId, fn });
+    },
+
+    emit(hook, ctx){
+      for(const h of (this._hooks[hook] || [])){
+        try{ h.fn(ctx || {}); }
+        catch(e){ console.error(`[插件] ${h.pluginId} 的 ${hook} 钩子出错`, e); }
+      }
+    }
+  };
+
+  // 为单个插件创建注册 API
+  function createApi(manager, plugin){
+    const log = msg => console.log(`[插件:${plugin.name}] ${msg}`);
+    return {
+      game: () => global.game,
+      log,
+      on(hook, fn){ manager.on(hook, plugin.id, fn); },
+
+      registerTalent(def){
+        const tm = global.TalentManager;
+        if(!tm) throw new Error('TalentManager 未加载');
+        tm.registerTalent(Array.isArray(def && def.rules) ? tm.compileTalent(def) : def);
+      },
+
+      registerEvent(def){
+        const em = global.EventManager;
+        if(!em) return;
+        em.register(typeof (def && def.check) === 'function' ? def : em.compileEvent(def));
+      },
+
+      addTask(task){
+        if(typeof TASK_POOL === 'undefined') return;
+        if(!task || !task.name || !(Number(task.difficulty) > 0) || !Array.isArray(task.boosts)){
+          throw new Error('题目需要 name、difficulty 与 boosts');
+        }
+        if(TASK_POOL.some(t => t.name === task.name)) return;
+        TASK_POOL.push({ name: task.name, difficulty: Number(task.difficulty), boosts: task.boosts.slice() });
+      },
+
+      addSubtopic(parent, name){
+        if(!registerSubtopic(parent, name)) log(`子知识点 ${name} 已存在，已忽略`);
+      },
+
+      addCompetition(comp){
+        if(!comp || !comp.name || !(Number(comp.week) >= 1) || !(Number(comp.difficulty) > 0)){
+          throw new Error('比赛需要 name、week 与 difficulty');
+        }
+        if(COMPETITION_SCHEDULE.some(c => c.name === comp.name)) throw new Error(`比赛 ${comp.name} 已存在`);
+        const def = Object.assign({}, comp);
+        delete def.difficultyFactors;
+        if(!def.numProblems) def.numProblems = Math.max(1, Math.round((def.maxScore || 400) / 100));
+        if(!def.maxScore) def.maxScore = def.numProblems * 100;
+        def.week = Math.min(Number(def.week), SEASON_WEEKS);
+        if(Array.isArray(comp.difficultyFactors)) COMPETITION_DIFFICULTY_FACTORS[def.name] = comp.difficultyFactors.slice();
+        COMPETITION_SCHEDULE.push(Object.assign({}, def));
+        if(Array.isArray(global.competitions)){
+          global.competitions.push(def);
+          global.competitions.sort((a, b) => a.week - b.week);
+        }
+      },
+
+      addProvince(prov){
+        if(!prov || !prov.name) throw new Error('省份需要 name');
+        const type = ['强省', '普通省', '弱省'].includes(prov.type) ? prov.type : '普通省';
+        const defaults = {
+          '强省': { baseBudget: STRONG_PROVINCE_BUDGET, trainingQuality: STRONG_PROVINCE_TRAINING_QUALITY },
+          '普通省': { baseBudget: NORMAL_PROVINCE_BUDGET, trainingQuality: NORMAL_PROVINCE_TRAINING_QUALITY },
+          '弱省': { baseBudget: WEAK_PROVINCE_BUDGET, trainingQuality: WEAK_PROVINCE_TRAINING_QUALITY }
+        }[type];
+        const id = Math.max(0, ...Object.keys(PROVINCES).map(Number)) + 1;
+        PROVINCES[id] = Object.assign({ isNorth: false }, defaults, prov, { type });
+        return id;
+      }
+    };
+  }
+
+  if(typeof window !== 'undefined'){
+    window.PluginManager = PluginManager;
+  }
+
+  global.PluginManager = PluginManager;
+
+})(window);
@@ -0,0 +1,371 @@
+/* replay.js - 对局回放：随机种子 + 操作日志
+   - 新开局时记录随机种子与开局设置（难度、省份、人数、对点招生名单），之后玩家的每个操作
+     （训练、娱乐、模拟赛、集训、事件选择、周推进、参赛等）按顺序写入 game.replayLog.actions，随存档一起保存
+   - 结算页可下载回放文件；在 game.html?replay=1 中用同一种子重新开局并按周重放操作，
+     结束后比较 careerCompetitions 与录制时的结果（用于核对今日挑战成绩、精确复现问题）
+   - 录制方式：register(type, 全局函数名) 包装全局函数，调用时先记录参数再执行原函数；
+     原函数内部再调用的其他已注册函数不会重复记录（depth 计数）
+   - 执行过调试指令的对局会被标记为 tainted，回放结果不保证一致
+
+   API：
+     - register(type, name, opts) / registerHandler(type, run, opts): 注册可录制的操作
+     - begin(game, setup) / record(type, args) / silent(fn) / markTainted(reason): 录制
+     - buildReplayFile(saveData, endingReason) / downloadReplay(saveData, endingReason) / parseReplayFile(text)
+     - startReplay(data) / loadPendingReplay() / beginReplay(data) / finishReplay(reason) / isReplaying()
+     - upcomingActions(type, passThrough): 预读紧随当前操作的同类操作（赛中指导按 tick 预约重现）
+*/
+(function(global){
+  'use strict';
+
+  const REPLAY_FORMAT = 'oi-coach-replay';
+  const REPLAY_VERSION = 1;
+  const REPLAY_STORAGE_KEY = 'oi_coach_replay';
+  const AUTO_PLAY_INTERVAL = 150;
+
+  const handlers = {};
+  let depth = 0;
+  let session = null;   // 回放会话：{ data, index, timer, mode, startWeek, done }
+
+  function clone(v){
+    return (v === undefined) ? null : JSON.parse(JSON.stringify(v));
+  }
+
+  function currentLog(){
+    const g = global.game;
+    if(!g || !g.replayLog || !Array.isArray(g.replayLog.actions)) return null;
+    return g.replayLog;
+  }
+
+  /* ========== 录制 ========== */
+  function begin(gameObj, setup){
+    gameObj.replayLog = {
+      version: REPLAY_VERSION,
+      seed: setup.seed,
+      setup: {
+        difficulty: setup.difficulty,
+        province: setup.province,
+        count: setup.count,
+        recruited: setup.recruited || null,
+        daily: !!setup.daily,
+        dailyDate: setup.dailyDate || null,
+        plugins: Array.isArray(setup.plugins) ? setup.plugins.slice() : [],
+        knowledgeDecay: setup.knowledgeDecay !== false,
+        ruleset: getRuleset(setup.ruleset).id,
+        season: setup.season ? clone(setup.season) : null
+      },
+      actions: [],
+      tainted: null
+    };
+    console.log(`[回放] 开始录制，种子: ${setup.seed}`);
+    return gameObj.replayLog;
+  }
+
+  function record(type, args){
+    if(session || depth > 0) return;
+    const log = currentLog();
+    if(!log) return;
+    try{
+      log.actions.push({ week: global.game.week, type: type, args: clone(args || []) });
+    }catch(e){ console.error('[回放] 记录操作失败', type, e); }
+  }
+
+  // 在 fn 执行期间暂停录制（用于由其他逻辑间接触发、重放时会自动再现的调用）
+  function silent(fn){
+    depth++;
+    try{ return fn(); }finally{ depth--; }
+  }
+
+  function markTainted(reason){
+    const log = currentLog();
+    if(!log || log.tainted) return;
+    log.tainted = reason || '未知原因';
+    console.warn(`[回放] 本局已标记为不可复现：${log.tainted}`);
+  }
+
+  /* ========== 操作注册 ========== */
+  // 包装全局函数 name：顶层调用时记录为 type 类型的操作
+  // opts.toArgs(args) 把调用参数转成可 JSON 化的形式，opts.fromArgs(args) 在重放时还原（返回 null 表示尚未就绪）
+  function register(type, name, opts = {}){
+    const original = global[name];
+    if(typeof original !== 'function'){
+      console.warn(`[回放] 未找到函数 ${name}，操作 ${type} 不会被录制`);
+      return;
+    }
+    if(original.__replayOriginal) return;
+    const toArgs = opts.toArgs || (args => args);
+    const fromArgs = opts.fromArgs || (args => args);
+    const wrapped = function(...args){
+      if(!session && depth === 0) record(type, toArgs(args));
+      // 原函数内部触发的其他已注册操作由本次操作重放时自动再现，不重复记录
+      depth++;
+      try{ return original.apply(this, args); }finally{ depth--; }
+    };
+    wrapped.__replayOriginal = original;
+    global[name] = wrapped;
+    registerHandler(type, function(args){
+      const real = fromArgs(args);
+      if(real === null) return false;
+      global[name].apply(global, real);
+      return true;
+    }, opts);
+  }
+
+  // 注册重放处理函数；run 返回 false 表示当前还不能执行（例如等待弹窗出现）
+  function registerHandler(type, run, opts = {}){
+    handlers[type] = { run: run, canRunWithModal: !!opts.canRunWithModal };
+  }
+
+  /* ========== 回放文件 ========== */
+  function buildReplayFile(saveData, endingReason){
+    const log = saveData && saveData.replayLog;
+    if(!log || !Array.isArray(log.actions)) throw new Error('该存档没有操作记录，无法生成回放');
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      createdAt: new Date().toISOString(),
+      seed: log.seed,
+      setup: log.setup,
+      actions: log.actions,
+      tainted: log.tainted || null,
+      result: {
+        endingReason: endingReason || null,
+        careerCompetitions: summarizeCareer(saveData.careerCompetitions)
+      }
+    };
+  }
+
+  function downloadReplay(saveData, endingReason){
+    const data = buildReplayFile(saveData, endingReason);
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `oi-coach-replay-${data.seed}-${data.createdAt.slice(0, 10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return a.download;
+  }
+
+  function parseReplayFile(text){
+    let o;
+    try{ o = (typeof text === 'string') ? JSON.parse(text) : text; }catch(e){ throw new Error('文件不是有效的 JSON'); }
+    if(!o || o.format !== REPLAY_FORMAT) throw new Error('不是回放文件');
+    if(Number(o.version) > REPLAY_VERSION) throw new Error(`回放版本 v${o.version} 高于当前游戏支持的 v${REPLAY_VERSION}`);
+    if(typeof o.seed !== 'number' || !o.setup || !Array.isArray(o.actions)) throw new Error('回放文件缺少种子或操作记录');
+    return o;
+  }
+
+  // 只保留用于比对的字段，忽略备注等展示信息
+  function summarizeCareer(list){
+    return (Array.isArray(list) ? list : []).map(c => ({
+      week: c.week,
+      name: c.name,
+      passedCount: c.passedCount,
+      entries: (c.entries || []).map(e => ({ name: e.name, score: e.score, rank: e.rank, passed: !!e.passed }))
+    }));
+  }
+
+  /* ========== 重放 ========== */
+  function startReplay(data){
+    const replay = parseReplayFile(data);
+    sessionStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replay));
+    window.location.href = 'game.html?replay=1';
+  }
+
+  function loadPendingReplay(){
+    try{
+      const raw = sessionStorage.getItem(REPLAY_STORAGE_KEY);
+      return raw ? parseReplayFile(raw) : null;
+    }catch(e){
+      console.error('[回放] 读取回放数据失败', e);
+      return null;
+    }
+  }
+
+  function isReplaying(){
+    return !!session;
+  }
+
+  // 当前操作之后紧接着的一串 type 类型操作的参数（跳过 passThrough 中的类型），
+  // 用于比赛开始时提前取出赛中指导等需要按 tick 预约的操作
+  function upcomingActions(type, passThrough){
+    if(!session) return [];
+    const skip = passThrough || [];
+    const actions = session.data.actions;
+    const out = [];
+    for(let i = session.index + 1; i < actions.length; i++){
+      const a = actions[i];
+      if(a.type === type) out.push(a.args || []);
+      else if(!skip.includes(a.type)) break;
+    }
+    return out;
+  }
+
+  function beginReplay(data){
+    session = { data: data, index: 0, timer: null, mode: null, startWeek: 0, done: false };
+    renderBar();
+    console.log(`[回放] 开始重放，共 ${data.actions.length} 个操作`);
+  }
+
+  function isModalOpen(){
+    const root = document.getElementById('modal-root');
+    return !!global.__contest_live_modal_active || !!(root && root.innerHTML.trim());
+  }
+
+  // 自动处理重放过程中出现的弹窗：比赛直播快进到结束，只有一个按钮的提示框直接确认
+  function resolveModal(){
+    if(global.__contest_live_modal_active){
+      const finishBtn = document.getElementById('contest-finish-btn');
+      const skipBtn = document.getElementById('contest-skip-end-btn') || document.getElementById('contest-skip-btn');
+      if(finishBtn && finishBtn.style.display !== 'none') finishBtn.click();
+      else if(skipBtn) skipBtn.click();
+      return true;
+    }
+    const root = document.getElementById('modal-root');
+    const buttons = root ? Array.from(root.querySelectorAll('button')).filter(b => !b.disabled) : [];
+    if(buttons.length === 1){
+      buttons[0].click();
+      return true;
+    }
+    return false;
+  }
+
+  // 执行一步：返回 'ran'（执行了一个操作）、'waiting'（处理了弹窗或等待中）、'blocked'（需要手动处理）、'done'
+  function step(){
+    if(!session || session.done) return 'done';
+    const actions = session.data.actions;
+    if(session.index >= actions.length){
+      if(isModalOpen()) return resolveModal() ? 'waiting' : 'blocked';
+      finishReplay('操作记录已全部重放');
+      return 'done';
+    }
+    const action = actions[session.index];
+    const handler = handlers[action.type];
+    if(!handler){
+      stop(`未知操作类型：${action.type}`);
+      return 'blocked';
+    }
+    const modalOpen = isModalOpen();
+    if(modalOpen && !handler.canRunWithModal){
+      return resolveModal() ? 'waiting' : 'blocked';
+    }
+    let ran;
+    try{
+      ran = handler.run(action.args || []) !== false;
+    }catch(e){
+      console.error(`[回放] 第 ${session.index + 1} 个操作（${action.type}）执行失败`, e);
+      ran = true;
+    }
+    if(!ran){
+      if(modalOpen) return resolveModal() ? 'waiting' : 'blocked';
+      return 'waiting';
+    }
+    if(session.done) return 'done';
+    session.index++;
+    renderBar();
+    return 'ran';
+  }
+
+  // mode: 'action' 执行一个操作；'week' 推进到下一周；'auto' 连续播放
+  function play(mode){
+    if(!session || session.done) return;
+    stop();
+    session.mode = mode;
+    session.startWeek = global.game ? global.game.week : 0;
+    session.timer = setInterval(() => {
+      if(!session || session.done){ stop(); return; }
+      const result = step();
+      if(result === 'blocked'){ stop('请手动处理当前弹窗后继续'); return; }
+      if(result === 'done'){ stop(); return; }
+      if(session.mode === 'action' && result === 'ran') stop();
+      else if(session.mode === 'week' && global.game && global.game.week !== session.startWeek && !isModalOpen()) stop();
+    }, AUTO_PLAY_INTERVAL);
+    renderBar();
+  }
+
+  function stop(message){
+    if(!session) return;
+    if(session.timer){ clearInterval(session.timer); session.timer = null; }
+    session.mode = null;
+    renderBar(message);
+  }
+
+  function finishReplay(reason){
+    if(!session || session.done) return;
+    stop();
+    session.done = true;
+    const data = session.data;
+    const expected = JSON.stringify((data.result && data.result.careerCompetitions) || []);
+    const actual = JSON.stringify(summarizeCareer(global.game && global.game.careerCompetitions));
+    const matched = expected === actual;
+    const remaining = data.actions.length - session.index;
+    console.log(`[回放] 重放结束（${reason}），结果${matched ? '一致' : '不一致'}`);
+    renderBar(matched ? '回放结果与录制一致' : '回放结果与录制不一致');
+    let html = `<h3>回放结束</h3><div class="small" style="margin-top:6px;line-height:1.7">`;
+    html += `结束原因：${reason || '未知'}${data.result && data.result.endingReason ? `（录制时：${data.result.endingReason}）` : ''}<br/>`;
+    html += `已重放操作：${session.index} / ${data.actions.length}${remaining > 0 ? `，剩余 ${remaining} 个未执行` : ''}<br/>`;
+    html += matched
+      ? '<strong style="color:#2e7d32">✔ 比赛成绩与录制时完全一致</strong>'
+      : '<strong style="color:#c62828">✘ 比赛成绩与录制时不一致</strong>';
+    if(data.tainted) html += `<br/><span style="color:#e65100">⚠️ 录制时使用过调试指令（${data.tainted}），结果不保证可复现</span>`;
+    html += `</div><div class="modal-actions" style="margin-top:12px"><button class="btn" onclick="window.location.href='start.html'">返回开始</button></div>`;
+    if(typeof global.showModal === 'function') global.showModal(html);
+    return matched;
+  }
+
+  /* ========== 回放控制条 ========== */
+  function renderBar(message){
+    if(!session) return;
+    let bar = document.getElementById('replay-bar');
+    if(!bar){
+      bar = document.createElement('div');
+      bar.id = 'replay-bar';
+      bar.style.cssText = 'position:fixed;left:50%;bottom:12px;transform:translateX(-50%);z-index:3000;background:#263238;color:#fff;padding:8px 12px;border-radius:8px;display:flex;gap:8px;align-items:center;font-size:13px;box-shadow:0 2px 8px rgba(0,0,0,0.3)';
+      document.body.appendChild(bar);
+    }
+    const total = session.data.actions.length;
+    const playing = !!session.timer;
+    bar.innerHTML = `
+      <strong>回放</strong>
+      <span>操作 ${session.index} / ${total}</span>
+      <button class="btn btn-ghost" id="replay-step" ${playing || session.done ? 'disabled' : ''}>下一步</button>
+      <button class="btn btn-ghost" id="replay-week" ${playing || session.done ? 'disabled' : ''}>下一周</button>
+      <button class="btn" id="replay-auto" ${session.done ? 'disabled' : ''}>${playing ? '暂停' : '自动播放'}</button>
+      ${message ? `<span class="small" style="color:#ffcc80">${message}</span>` : ''}`;
+    document.getElementById('replay-step').onclick = () => play('action');
+    document.getElementById('replay-week').onclick = () => play('week');
+    document.getElementById('replay-auto').onclick = () => { if(session.timer) stop(); else play('auto'); };
+  }
+
+  /* ========== 导出到全局 ========== */
+  const ReplayJournal = {
+    REPLAY_FORMAT,
+    REPLAY_VERSION,
+    register,
+    registerHandler,
+    begin,
+    record,
+    silent,
+    markTainted,
+    buildReplayFile,
+    downloadReplay,
+    parseReplayFile,
+    summarizeCareer,
+    startReplay,
+    loadPendingReplay,
+    beginReplay,
+    isReplaying,
+    upcomingActions,
+    step,
+    finishReplay
+  };
+
+  if(typeof window !== 'undefined'){
+    window.ReplayJournal = ReplayJournal;
+  }
+
+  global.ReplayJournal = ReplayJournal;
+
+})(window);
@@ -0,0 +1,280 @@
+/* save.js - 存档系统：多存档槽 / 版本化存档结构 / 迁移链
+   - 当前进度仍写入 'oi_coach_save'（结算页、分享功能直接读取此键）
+   - 命名存档槽写入 localStorage 'oi_coach_slot:<名称>'，槽位索引保存在 'oi_coach_slots'
+   - 每份存档带 schemaVersion；读取时依次执行 MIGRATIONS，升级到 SCHEMA_VERSION 后再还原为
+     GameState / Facilities / Student 实例，并恢复 talents、qualification、completedCompetitions、fundingIssued 等 Set
+
+   API：
+     - serialize(game): GameState -> 可 JSON 化的普通对象（Set 转数组，附带 schemaVersion 与随机数状态）
+     - deserialize(data): 字符串或对象 -> GameState（自动迁移旧版本并恢复随机数状态；不启用存档的自定义赛季，由读档方按 game.season 启用）
+     - saveCurrent(game) / loadCurrent() / readCurrentRaw(): 当前进度
+     - listSlots() / saveToSlot(name, game) / loadFromSlot(name) / deleteSlot(name): 命名存档槽
+     - exportToFile(game) / parseImportFile(text) / validate(o): 存档文件导出、导入与校验
+*/
+(function(global){
+  'use strict';
+
+  const SCHEMA_VERSION = 3;
+  const CURRENT_KEY = 'oi_coach_save';
+  const DIAG_KEY = 'oi_coach_save_diag';
+  const SLOT_PREFIX = 'oi_coach_slot:';
+  const SLOT_INDEX_KEY = 'oi_coach_slots';
+
+  /* ========== 迁移链 ========== */
+  // MIGRATIONS[n] 将版本 n 的存档升级为版本 n+1
+  const MIGRATIONS = {
+    // v1：没有 schemaVersion 的旧存档。新游戏首次保存时 Set 被 JSON.stringify 直接写成 {}，
+    // 之后的保存才把 Set 转成数组，这里统一规整为数组
+    1: function(o){
+      o.students = (o.students || []).map(s => {
+        if(s && s.talents && !Array.isArray(s.talents) && typeof s.talents === 'object'){
+          s.talents = Object.keys(s.talents).filter(k => s.talents[k]);
+        }
+        return s;
+      });
+      if(!Array.isArray(o.qualification)) o.qualification = [ {}, {} ];
+      for(let half = 0; half < 2; half++){
+        const q = (o.qualification[half] && typeof o.qualification[half] === 'object') ? o.qualification[half] : {};
+        for(const name of Object.keys(q)){
+          if(!Array.isArray(q[name])) q[name] = [];
+        }
+        o.qualification[half] = q;
+      }
+      if(!Array.isArray(o.completedCompetitions)) o.completedCompetitions = [];
+      if(!Array.isArray(o.careerCompetitions)) o.careerCompetitions = [];
+      return o;
+    },
+    // v2：知识遗忘开关加入前的存档，按当时的规则关闭遗忘
+    2: function(o){
+      if(typeof o.knowledgeDecay !== 'boolean') o.knowledgeDecay = false;
+      return o;
+    }
+  };
+
+  function migrate(o){
+    let version = Number(o.schemaVersion) || 1;
+    if(version > SCHEMA_VERSION){
+      throw new Error(`存档版本 v${version} 高于当前游戏支持的 v${SCHEMA_VERSION}，请更新游戏`);
+    }
+    while(version < SCHEMA_VERSION){
+      const step = MIGRATIONS[version];
+      if(typeof step !== 'function') throw new Error(`缺少存档迁移 v${version} -> v${version + 1}`);
+      o = step(o) || o;
+      version++;
+      console.log(`[存档] 已迁移到 v${version}`);
+    }
+    o.schemaVersion = SCHEMA_VERSION;
+    return o;
+  }
+
+  /* ========== 序列化 ========== */
+  function serialize(gameObj){
+    const data = JSON.parse(JSON.stringify(gameObj, (key, value) => {
+      if(value instanceof Set){
+        return Array.from(value);
+      }
+      return value;
+    }));
+    data.schemaVersion = SCHEMA_VERSION;
+    // 随机数状态（今日挑战等种子局需要，未设置种子时为 null）
+    if(typeof getRandomState === 'function') data.rngState = getRandomState();
+    return data;
+  }
+
+  function restoreStudent(s){
+    const student = Object.assign(new Student(), s);
+    student.talents = new Set(Array.isArray(s.talents) ? s.talents : []);
+    return student;
+  }
+
+  function restoreQualification(src, order){
+    const qualification = [ {}, {} ];
+    for(let half = 0; half < 2; half++){
+      for(const name of order) qualification[half][name] = new Set();
+      const q = (Array.isArray(src) && src[half]) || {};
+      for(const name of Object.keys(q)){
+        qualification[half][name] = new Set(Array.isArray(q[name]) ? q[name] : []);
+      }
+    }
+    return qualification;
+  }
+
+  function deserialize(data){
+    let o = (typeof data === 'string') ? JSON.parse(data) : JSON.parse(JSON.stringify(data));
+    if(!o || typeof o !== 'object' || Array.isArray(o)) throw new Error('存档格式错误');
+    o = migrate(o);
+    // 晋级资格按存档所属赛季的晋级链还原（官方赛季为 null）
+    const order = global.SeasonManager ? global.SeasonManager.getOrder(o.season || null) : COMPETITION_ORDER;
+
+    const g = Object.assign(new GameState(), o);
+    delete g.schemaVersion;
+    delete g.rngState;
+    if(o.rngState !== undefined && typeof setRandomState === 'function') setRandomState(o.rngState);
+    g.facilities = Object.assign(new Facilities(), o.facilities);
+    g.students = (o.students || []).map(restoreStudent);
+    g.qualification = restoreQualification(o.qualification, order);
+    g.completedCompetitions = new Set(o.completedCompetitions || []);
+    g.careerCompetitions = Array.isArray(o.careerCompetitions) ? o.careerCompetitions : [];
+    if(o.fundingIssued !== undefined) g.fundingIssued = new Set(Array.isArray(o.fundingIssued) ? o.fundingIssued : []);
+    return g;
+  }
+
+  /* ========== 当前进度 ========== */
+  function writeCurrentRaw(str){
+    try{ sessionStorage.setItem(CURRENT_KEY, str); }catch(e){ console.warn('sessionStorage unavailable for save', e); }
+    try{ sessionStorage.setItem(DIAG_KEY, str); }catch(e){}
+    try{ localStorage.setItem(CURRENT_KEY, str); }catch(e){}
+  }
+
+  function readCurrentRaw(){
+    let raw = null;
+    try{ raw = sessionStorage.getItem(CURRENT_KEY); }catch(e){ raw = null; }
+    try{ if(!raw) raw = localStorage.getItem(CURRENT_KEY); }catch(e){}
+    return raw || null;
+  }
+
+  function saveCurrent(gameObj){
+    const str = JSON.stringify(serialize(gameObj));
+    writeCurrentRaw(str);
+    return str;
+  }
+
+  function loadCurrent(){
+    const raw = readCurrentRaw();
+    if(!raw) return null;
+    return deserialize(raw);
+  }
+
+  /* ========== 命名存档槽 ========== */
+  function listSlots(){
+    try{
+      const idx = JSON.parse(localStorage.getItem(SLOT_INDEX_KEY) || '[]');
+      return Array.isArray(idx) ? idx : [];
+    }catch(e){ return []; }
+  }
+
+  function writeSlotIndex(idx){
+    localStorage.setItem(SLOT_INDEX_KEY, JSON.stringify(idx));
+  }
+
+  function normalizeSlotName(name){
+    const n = String(name || '').trim();
+    if(!n) throw new Error('存档名不能为空');
+    if(n.length > 30) throw new Error('存档名不能超过30个字符');
+    return n;
+  }
+
+  function saveToSlot(name, gameObj){
+    const slotName = normalizeSlotName(name);
+    const data = serialize(gameObj);
+    localStorage.setItem(SLOT_PREFIX + slotName, JSON.stringify(data));
+    const meta = {
+      name: slotName,
+      savedAt: Date.now(),
+      week: data.week,
+      province_name: data.province_name,
+      difficulty: data.difficulty,
+      schemaVersion: data.schemaVersion
+    };
+    const idx = listSlots().filter(m => m && m.name !== slotName);
+    idx.unshift(meta);
+    writeSlotIndex(idx);
+    return meta;
+  }
+
+  function loadFromSlot(name){
+    const slotName = normalizeSlotName(name);
+    const raw = localStorage.getItem(SLOT_PREFIX + slotName);
+    if(!raw) throw new Error(`存档「${slotName}」不存在`);
+    return deserialize(raw);
+  }
+
+  function deleteSlot(name){
+    const slotName = normalizeSlotName(name);
+    try{ localStorage.removeItem(SLOT_PREFIX + slotName); }catch(e){}
+    writeSlotIndex(listSlots().filter(m => m && m.name !== slotName));
+  }
+
+  /* ========== 存档文件导出 / 导入 ========== */
+  // 校验存档对象的基本结构，返回错误信息列表（为空表示通过）
+  function validate(o){
+    const errors = [];
+    if(!o || typeof o !== 'object' || Array.isArray(o)) return ['文件内容不是存档对象'];
+    if(o.schemaVersion !== undefined && !(Number(o.schemaVersion) >= 1)) errors.push('schemaVersion 无效');
+    if(Number(o.schemaVersion) > SCHEMA_VERSION) errors.push(`存档版本 v${o.schemaVersion} 高于当前游戏支持的 v${SCHEMA_VERSION}`);
+    if(typeof o.week !== 'number' || !isFinite(o.week) || o.week < 1) errors.push('周数 week 无效');
+    if(typeof o.budget !== 'number' || !isFinite(o.budget)) errors.push('经费 budget 无效');
+    if(!o.facilities || typeof o.facilities !== 'object') errors.push('缺少设施 facilities');
+    if(!Array.isArray(o.students) || o.students.length === 0){
+      errors.push('缺少学生列表 students');
+    } else {
+      o.students.forEach((s, i) => {
+        if(!s || typeof s.name !== 'string' || !s.name){ errors.push(`第 ${i + 1} 名学生缺少名字`); return; }
+        for(const key of ['thinking', 'coding', 'mental', 'pressure']){
+          if(typeof s[key] !== 'number' || !isFinite(s[key])) errors.push(`学生 ${s.name} 的 ${key} 无效`);
+        }
+      });
+    }
+    if(o.careerCompetitions !== undefined && !Array.isArray(o.careerCompetitions)) errors.push('careerCompetitions 不是数组');
+    if(o.rngState){
+      if(typeof o.rngState !== 'object' || (!o.rngState.useNative && (typeof o.rngState.state0 !== 'number' || typeof o.rngState.state1 !== 'number'))){
+        errors.push('随机数状态 rngState 无效');
+      }
+    }
+    return errors;
+  }
+
+  function exportToFile(gameObj){
+    const data = serialize(gameObj);
+    data.exportedAt = new Date().toISOString();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    const province = String(data.province_name || 'save').replace(/[\\/:*?"<>|\s]/g, '');
+    a.href = url;
+    a.download = `oi-coach-${province}-w${data.week}-${data.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return a.download;
+  }
+
+  // 解析并校验导入的存档文件文本，通过后返回存档对象；失败时抛出包含全部问题的错误
+  // 不做还原：deserialize 会改写随机数状态，调用方应在玩家确认导入后再调用
+  function parseImportFile(text){
+    let o;
+    try{ o = JSON.parse(text); }catch(e){ throw new Error('文件不是有效的 JSON'); }
+    const errors = validate(o);
+    if(errors.length) throw new Error('存档校验失败：\n- ' + errors.join('\n- '));
+    delete o.exportedAt;
+    return o;
+  }
+
+  /* ========== 导出到全局 ========== */
+  const SaveManager = {
+    SCHEMA_VERSION,
+    MIGRATIONS,
+    migrate,
+    serialize,
+    deserialize,
+    saveCurrent,
+    loadCurrent,
+    readCurrentRaw,
+    writeCurrentRaw,
+    listSlots,
+    saveToSlot,
+    loadFromSlot,
+    deleteSlot,
+    validate,
+    exportToFile,
+    parseImportFile
+  };
+
+  if(typeof window !== 'undefined'){
+    window.SaveManager = SaveManager;
+  }
+
+  global.SaveManager = SaveManager;
+
+})(window);
@@ -0,0 +1,275 @@
+/* season.js - 自定义赛季：自定义比赛日历、难度、题数、难度系数、晋级线与晋级链
+   - 赛季文件是普通 JSON，可在赛季编辑器（season.html）中编辑、导出与导入，保存在 localStorage 'oi_coach_seasons'
+   - 开局时由 initGame 的 options.season 启用，启用的赛季写入 game.season，随存档 / 回放一起保存；读档（applyLoadedGame）与结算页按存档重新启用
+   - 赛季长度仍为两年、每年 WEEKS_PER_HALF 周；每场比赛的 week 为第一年内的周数，第二年同一日历重复一次
+   - 比赛在 contests 中的顺序即晋级链（COMPETITION_ORDER）：第一场所有人可参加，之后每场需通过前一场，因此周数须严格递增
+   - 国家集训队比赛（CTT / CTS / IOI）与插件添加的比赛不受影响；国家集训队只在名为 NOI 的比赛第二年获得金牌后触发
+
+   赛季文件：
+     {
+       format: 'oi-coach-season', version: 1, name: 'USACO', description: '',
+       contests: [
+         { name, week, difficulty, numProblems, maxScore?, duration?, difficultyFactors?, cutoff?, medals? }
+       ]
+     }
+     - maxScore 缺省为 numProblems * 100；duration 为比赛时长（分钟），缺省按 CONTEST_DURATION 或 240
+     - difficultyFactors 为每道题相对 difficulty 的系数（见 COMPETITION_DIFFICULTY_FACTORS），缺省按题号递增
+     - cutoff 为各省份类型的晋级线占总分比例 { 强省, 普通省, 弱省 }，缺省使用通用晋级线
+     - medals 为 true 时按晋级线的 100% / 70% / 50% 颁发金银铜牌，晋级线不浮动（同官方赛季的 NOI）
+
+   API：
+     - getDefault(): 官方赛季（CSP-S1 → CSP-S2 → NOIP → 省选 → NOI）的赛季文件，可作为编辑模板
+     - validate(def): 校验并规整赛季文件，返回副本；有问题时抛出包含全部问题的错误
+     - apply(def): 启用赛季（null 恢复官方赛季），改写 COMPETITION_SCHEDULE / COMPETITION_ORDER / competitions 等
+     - getActive(): 当前启用的自定义赛季（官方赛季为 null）
+     - getOrder(def): 赛季的晋级链（null 为官方赛季），不改动当前启用的赛季
+     - listSaved() / getSaved(name) / saveToLibrary(def) / removeFromLibrary(name): 本地赛季库
+     - exportToFile(def) / parseFile(text): 赛季文件导出与导入
+*/
+(function(global){
+  'use strict';
+
+  const FORMAT = 'oi-coach-season';
+  const VERSION = 1;
+  const LIBRARY_KEY = 'oi_coach_seasons';
+  const MAX_CONTESTS = 12;
+  const MAX_PROBLEMS = 10;
+  const PROVINCE_TYPES = ['强省', '普通省', '弱省'];
+
+  // 载入时记下官方赛季，用于恢复与导出模板
+  const OFFICIAL = {
+    order: COMPETITION_ORDER.slice(),
+    schedule: COMPETITION_SCHEDULE.filter(c => COMPETITION_ORDER.includes(c.name)).map(c => Object.assign({}, c)),
+    competitions: competitions.filter(c => COMPETITION_ORDER.includes(c.name)).map(c => Object.assign({}, c)),
+    factors: {},
+    cutoffs: {}
+  };
+  for(const name of OFFICIAL.order){
+    if(COMPETITION_DIFFICULTY_FACTORS[name]) OFFICIAL.factors[name] = COMPETITION_DIFFICULTY_FACTORS[name].slice();
+    if(COMPETITION_BASE_CUTOFF[name]) OFFICIAL.cutoffs[name] = Object.assign({}, COMPETITION_BASE_CUTOFF[name]);
+  }
+
+  let active = null;
+
+  function clone(v){
+    return JSON.parse(JSON.stringify(v));
+  }
+
+  function getDefault(){
+    return {
+      format: FORMAT,
+      version: VERSION,
+      name: '官方赛季',
+      description: 'CSP-S1 → CSP-S2 → NOIP → 省选 → NOI',
+      contests: OFFICIAL.order.map(name => {
+        const src = OFFICIAL.schedule.find(c => c.name === name);
+        const first = OFFICIAL.competitions.find(c => c.name === name && c.week <= WEEKS_PER_HALF);
+        const contest = {
+          name: name,
+          week: first ? first.week : 1,
+          difficulty: src.difficulty,
+          numProblems: src.numProblems,
+          maxScore: src.maxScore
+        };
+        if(OFFICIAL.factors[name]) contest.difficultyFactors = OFFICIAL.factors[name].slice();
+        if(OFFICIAL.cutoffs[name]) contest.cutoff = Object.assign({}, OFFICIAL.cutoffs[name]);
+        if(src.medals) contest.medals = true;
+        return contest;
+      })
+    };
+  }
+
+  /* ========== 校验 ========== */
+  function isPositive(v){
+    return typeof v === 'number' && isFinite(v) && v > 0;
+  }
+
+  function validate(def){
+    const errors = [];
+    if(!def || typeof def !== 'object' || Array.isArray(def)) throw new Error('赛季文件格式错误');
+    if(def.format !== undefined && def.format !== FORMAT) errors.push(`format 应为 ${FORMAT}`);
+    if(Number(def.version) > VERSION) errors.push(`赛季文件版本 v${def.version} 高于当前游戏支持的 v${VERSION}`);
+    const name = String(def.name || '').trim();
+    if(!name) errors.push('赛季名不能为空');
+    else if(name.length > 30) errors.push('赛季名不能超过30个字符');
+
+    const reserved = COMPETITION_SCHEDULE.filter(c => !COMPETITION_ORDER.includes(c.name)).map(c => c.name);
+    const contests = [];
+    if(!Array.isArray(def.contests) || def.contests.length === 0){
+      errors.push('至少需要一场比赛');
+    } else if(def.contests.length > MAX_CONTESTS){
+      errors.push(`比赛不能超过 ${MAX_CONTESTS} 场`);
+    } else {
+      def.contests.forEach((c, i) => {
+        const label = `第 ${i + 1} 场比赛`;
+        if(!c || typeof c !== 'object'){ errors.push(`${label}格式错误`); return; }
+        const cname = String(c.name || '').trim();
+        if(!cname){ errors.push(`${label}缺少名称`); return; }
+        if(cname.length > 20) errors.push(`${label}名称不能超过20个字符`);
+        if(contests.some(x => x.name === cname)) errors.push(`比赛 ${cname} 重复`);
+        if(reserved.includes(cname)) errors.push(`比赛 ${cname} 与国家集训队或插件比赛重名`);
+        const out = { name: cname, week: Number(c.week), difficulty: Number(c.difficulty), numProblems: Number(c.numProblems) };
+        if(!Number.isInteger(out.week) || out.week < 1 || out.week > WEEKS_PER_HALF) errors.push(`${cname} 的周数应在 1-${WEEKS_PER_HALF} 之间`);
+        else if(contests.length && out.week <= contests[contests.length - 1].week) errors.push(`${cname} 的周数须晚于晋级链中的上一场比赛`);
+        if(!isPositive(out.difficulty)) errors.push(`${cname} 的难度无效`);
+        if(!Number.isInteger(out.numProblems) || out.numProblems < 1 || out.numProblems > MAX_PROBLEMS) errors.push(`${cname} 的题数应在 1-${MAX_PROBLEMS} 之间`);
+        out.maxScore = (c.maxScore === undefined || c.maxScore === null || c.maxScore === '') ? out.numProblems * 100 : Number(c.maxScore);
+        if(!isPositive(out.maxScore)) errors.push(`${cname} 的总分无效`);
+        if(c.duration !== undefined && c.duration !== null && c.duration !== ''){
+          out.duration = Number(c.duration);
+          if(!isPositive(out.duration)) errors.push(`${cname} 的比赛时长无效`);
+        }
+        if(c.difficultyFactors !== undefined && c.difficultyFactors !== null){
+          if(!Array.isArray(c.difficultyFactors) || !c.difficultyFactors.every(f => isPositive(Number(f)))){
+            errors.push(`${cname} 的难度系数应为正数列表`);
+          } else if(c.difficultyFactors.length > 0){
+            out.difficultyFactors = c.difficultyFactors.slice(0, out.numProblems).map(Number);
+          }
+        }
+        if(c.cutoff !== undefined && c.cutoff !== null){
+          const cutoff = {};
+          for(const type of PROVINCE_TYPES){
+            const v = Number(c.cutoff[type]);
+            if(!(v > 0 && v <= 1)) errors.push(`${cname} 的${type}晋级线应在 0-1 之间`);
+            cutoff[type] = v;
+          }
+          out.cutoff = cutoff;
+        }
+        if(c.medals) out.medals = true;
+        contests.push(out);
+      });
+    }
+    if(errors.length) throw new Error('赛季校验失败：\n- ' + errors.join('\n- '));
+    return { format: FORMAT, version: VERSION, name: name, description: String(def.description || ''), contests: contests };
+  }
+
+  /* ========== 启用 ========== */
+  // 把赛季写入全局比赛配置：旧晋级链的比赛全部移除，再按新赛季加入（两年各一份）
+  function install(order, schedule, weeks, factors, cutoffs){
+    const old = new Set(COMPETITION_ORDER);
+    for(let i = COMPETITION_SCHEDULE.length - 1; i >= 0; i--){
+      if(old.has(COMPETITION_SCHEDULE[i].name)) COMPETITION_SCHEDULE.splice(i, 1);
+    }
+    COMPETITION_SCHEDULE.unshift.apply(COMPETITION_SCHEDULE, schedule);
+    for(const name of old){
+      delete COMPETITION_DIFFICULTY_FACTORS[name];
+      delete COMPETITION_BASE_CUTOFF[name];
+    }
+    Object.assign(COMPETITION_DIFFICULTY_FACTORS, factors);
+    Object.assign(COMPETITION_BASE_CUTOFF, cutoffs);
+    COMPETITION_ORDER.splice(0, COMPETITION_ORDER.length, ...order);
+    const others = competitions.filter(c => !old.has(c.name));
+    competitions.splice(0, competitions.length, ...weeks, ...others);
+    if(others.length) competitions.sort((a, b) => a.week - b.week);
+  }
+
+  function apply(def){
+    const season = def ? validate(def) : null;
+    if(!season && !active) return null;
+    if(!season){
+      install(OFFICIAL.order, clone(OFFICIAL.schedule), clone(OFFICIAL.competitions), clone(OFFICIAL.factors), clone(OFFICIAL.cutoffs));
+      active = null;
+      console.log('[赛季] 已恢复官方赛季');
+      return null;
+    }
+    // 读档 / 撤销时会重复启用同一赛季，内容相同则保持现有比赛对象
+    if(active && JSON.stringify(active) === JSON.stringify(season)) return clone(season);
+    const schedule = [], factors = {}, cutoffs = {};
+    for(const c of season.contests){
+      const entry = { week: c.week, name: c.name, difficulty: c.difficulty, maxScore: c.maxScore, numProblems: c.numProblems };
+      if(c.duration) entry.duration = c.duration;
+      if(c.medals) entry.medals = true;
+      schedule.push(entry);
+      if(c.difficultyFactors) factors[c.name] = c.difficultyFactors.slice();
+      if(c.cutoff) cutoffs[c.name] = Object.assign({}, c.cutoff);
+    }
+    const weeks = [];
+    for(let half = 0; half < 2; half++){
+      for(const entry of schedule) weeks.push(Object.assign({}, entry, { week: entry.week + half * WEEKS_PER_HALF }));
+    }
+    install(season.contests.map(c => c.name), schedule, weeks, factors, cutoffs);
+    active = season;
+    console.log(`[赛季] 已启用自定义赛季：${season.name}（${COMPETITION_ORDER.join(' → ')}）`);
+    return clone(season);
+  }
+
+  function getActive(){
+    return active ? clone(active) : null;
+  }
+
+  function getOrder(def){
+    if(!def || !Array.isArray(def.contests)) return OFFICIAL.order.slice();
+    return def.contests.map(c => c && c.name).filter(Boolean);
+  }
+
+  /* ========== 本地赛季库 ========== */
+  function listSaved(){
+    try{
+      const list = JSON.parse(localStorage.getItem(LIBRARY_KEY) || '[]');
+      return Array.isArray(list) ? list.filter(s => s && s.name) : [];
+    }catch(e){
+      return [];
+    }
+  }
+
+  function getSaved(name){
+    return listSaved().find(s => s.name === name) || null;
+  }
+
+  function saveToLibrary(def){
+    const season = validate(def);
+    const list = listSaved().filter(s => s.name !== season.name);
+    list.push(season);
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(list));
+    return season;
+  }
+
+  function removeFromLibrary(name){
+    try{ localStorage.setItem(LIBRARY_KEY, JSON.stringify(listSaved().filter(s => s.name !== name))); }catch(e){}
+  }
+
+  /* ========== 赛季文件导出 / 导入 ========== */
+  function exportToFile(def){
+    const season = validate(def);
+    const blob = new Blob([JSON.stringify(season, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `oi-coach-season-${season.name.replace(/[\\/:*?"<>|\s]/g, '')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return a.download;
+  }
+
+  function parseFile(text){
+    let o;
+    try{ o = JSON.parse(text); }catch(e){ throw new Error('文件不是有效的 JSON'); }
+    return validate(o);
+  }
+
+  /* ========== 导出到全局 ========== */
+  const SeasonManager = {
+    FORMAT,
+    VERSION,
+    getDefault,
+    validate,
+    apply,
+    getActive,
+    getOrder,
+    listSaved,
+    getSaved,
+    saveToLibrary,
+    removeFromLibrary,
+    exportToFile,
+    parseFile
+  };
+
+  if(typeof window !== 'undefined'){
+    window.SeasonManager = SeasonManager;
+  }
+
+  global.SeasonManager = SeasonManager;
+
+})(window);
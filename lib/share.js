@@ -94,7 +94,7 @@ const ShareManager = (function() {
 
       // 构建分享数据对象（只包含必要的显示信息，减少数据量）
       const shareData = {
-        version: '1.1', // 数据格式版本
+        version: '1.2', // 数据格式版本（1.2 起带 ruleset）
         timestamp: Date.now(),
         gameState: {
           week: gameData.week || 0,
@@ -103,6 +103,7 @@ const ShareManager = (function() {
           totalExpenses: gameData.totalExpenses || 0,
           initial_students: gameData.initial_students || (gameData.students ? gameData.students.length : 0),
           difficulty: gameData.difficulty || 2, // 游戏难度：1=简单，2=普通，3=困难
+          ruleset: getRuleset(gameData.ruleset).id, // 规则预设，旧存档为经典规则
           endingReason: endingReason,
           students: (gameData.students || []).map(s => ({
             name: s.name,
@@ -116,9 +117,15 @@ const ShareManager = (function() {
             knowledge_string: s.knowledge_string || 0,
             knowledge_math: s.knowledge_math || 0,
             knowledge_dp: s.knowledge_dp || 0,
-            talents: Array.from(s.talents || [])
+            talents: Array.from(s.talents || []),
+            talentLevels: s.talentLevels || {}
           })),
-          careerCompetitions: careerCompetitions
+          // 比赛日志体积较大，不放进分享链接
+          careerCompetitions: careerCompetitions.map(c => {
+            if (!c || !c.log) return c;
+            const { log, ...rest } = c;
+            return rest;
+          })
         }
       };
 
@@ -8,11 +8,232 @@
      - registerDefaultTalents(game, utils): 注册一些示例特质（可选）
      - getTalentInfo(name): 获取天赋的描述信息（用于UI显示）
      - setTalentInfo(name, info): 设置天赋的描述信息
+     - compileTalent(data): 把声明式（可 JSON 化）的天赋定义编译为 registerTalent 所需的 { ..., handler }
+     - loadTalentDefinitions(data): 从 JSON 文本 / 数组 / { talents: [...] } 批量编译并注册天赋
+     - loadTalentPack(url): 读取 JSON 天赋包并注册（返回 Promise）
+     - registerSynergy(def): 注册天赋协同 { name, talents: [a, b, ...], description, color?, rules? | handler? }，
+       学生同时拥有（且未被冲突压制）全部天赋时，其规则 / handler 在 handleStudentEvent 中额外执行
+     - registerConflict(def): 注册天赋冲突 { talents: [a, b], mode: 'exclusive' | 'cancel', description }，
+       冲突的天赋不会被同时获得；若已同时拥有：exclusive 时后获得的一方不生效，cancel 时双方都不生效
+     - getActiveSynergies(student) / getSuppressedTalents(student) / conflictsWith(student, name): 查询协同与冲突
+     - grantTalent(student, name): 获得天赋的统一入口，已拥有或与已有天赋冲突时不添加，返回是否获得
+     - getTalentLevel(student, name) / getTalentProgress(student, name) / addTalentProgress(student, name, n):
+       天赋等级（Lv1~Lv3）。定义中带 tiers: { max, thresholds, on, when } 的天赋在匹配的事件中累计进度，
+       thresholds[i] 为从 Lv(i+1) 升到 Lv(i+2) 所需次数；等级保存在 student.talentLevels，随存档与分享链接保存
+
+   声明式天赋格式（所有字段均可直接写在 JSON 中）：
+     { name, description, color, prob, kind: 'positive'|'negative',
+       rules: [ {
+         on: 事件名或事件名数组（contest_start / contest_select_problem / pressure_change ...）,
+         when: [ 条件... ]，全部满足才继续：
+           { ctx: 'source', eq: 'training' }        ctx 字段（可加 default 作为缺省值）
+           { stat: 'pressure', gte: 60 }             学生属性
+           { state: '_skipCount', gte: 2 }           学生 _talent_state 字段（比赛内临时状态）
+           { problemTag: '数学' }                    当前题目含有该标签
+           比较运算：eq / ne / gt / gte / lt / lte / in
+         chance: 0.5 或 { base: 0.6, bonus: { stat: 'pressure', from: 60, step: 10, add: 0.1 } }，缺省为必定触发
+                 也可写成按等级取值的数组 [Lv1, Lv2, Lv3]
+         once: true                                  本场比赛内只生效一次（效果结束后由 __talent_cleanup__ 还原）
+         effects: [ { stat | state: 字段名, mul | add | set: 数值或 [Lv1, Lv2, Lv3], min?, max? } ]
+                                                     stat 效果在 once 规则中会被备份，赛后自动还原
+         message: '触发时返回的说明文字',
+         result: { action: 'reduce_pressure', amount: 0.3 }   需要返回给调用方的动作（附带 message）
+       } ],
+       tiers: { max: 3, thresholds: [2, 5], on: 'contest_solve_problem', when: [ 条件... ] }   可选，见 getTalentLevel
+     }
+   同一天赋的多条规则按顺序执行，返回第一条产生的结果。
 */
 (function(global){
+
+  /* ========== 声明式天赋编译 ========== */
+  const TALENT_COMPARATORS = {
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    gt: (a, b) => Number(a) > b,
+    gte: (a, b) => Number(a) >= b,
+    lt: (a, b) => Number(a) < b,
+    lte: (a, b) => Number(a) <= b,
+    in: (a, b) => Array.isArray(b) && b.includes(a)
+  };
+
+  // 比赛内临时存储：_talent_backup / _talent_state，并记下赛前心理素质 constmental
+  // （声明式天赋与 registerDefaultTalents 中的手写天赋共用）
+  function ensureTalentTemp(student){
+    student._talent_backup = student._talent_backup || {};
+    student._talent_state = student._talent_state || {};
+    if(typeof student._talent_state.constmental === 'undefined'){
+      student._talent_state.constmental = Number(student.mental || 50);
+    }
+  }
+
+  function readConditionValue(cond, student, ctx){
+    if(cond.ctx !== undefined){
+      const v = ctx ? ctx[cond.ctx] : undefined;
+      // 数值型缺省值按 Number(v) || default 处理，与手写天赋的写法一致
+      if(typeof cond.default === 'number') return Number(v) || cond.default;
+      return (v === undefined && cond.default !== undefined) ? cond.default : v;
+    }
+    if(cond.stat !== undefined) return Number(student[cond.stat]) || 0;
+    if(cond.state !== undefined) return (student._talent_state && student._talent_state[cond.state]) || 0;
+    return undefined;
+  }
+
+  function checkCondition(cond, student, ctx){
+    if(cond.problemTag !== undefined){
+      const state = ctx && ctx.state;
+      const prob = state && typeof state.getProblem === 'function' ? state.getProblem(ctx.problemId) : null;
+      return !!(prob && Array.isArray(prob.tags) && prob.tags.includes(cond.problemTag));
+    }
+    const value = readConditionValue(cond, student, ctx);
+    for(const op of Object.keys(TALENT_COMPARATORS)){
+      if(cond[op] !== undefined && !TALENT_COMPARATORS[op](value, cond[op])) return false;
+    }
+    return true;
+  }
+
+  // 按天赋等级取值：数组按 Lv1/Lv2/Lv3 取对应项，其余原样返回
+  function tierValue(v, level){
+    if(!Array.isArray(v)) return v;
+    return v[Math.min(v.length, Math.max(1, level)) - 1];
+  }
+
+  function resolveChance(chance, student){
+    if(chance === undefined || chance === null) return 1;
+    if(typeof chance === 'number') return chance;
+    let p = Number(chance.base) || 0;
+    const bonus = chance.bonus;
+    if(bonus){
+      const v = Number(student[bonus.stat]) || 0;
+      const from = Number(bonus.from) || 0;
+      if(v >= from) p += Math.floor((v - from) / (Number(bonus.step) || 1)) * (Number(bonus.add) || 0);
+    }
+    return p;
+  }
+
+  function applyEffect(effect, target, level){
+    const key = effect.stat !== undefined ? effect.stat : effect.state;
+    let v = Number(target[key] || 0);
+    if(effect.set !== undefined) v = Number(tierValue(effect.set, level));
+    if(effect.mul !== undefined) v = v * Number(tierValue(effect.mul, level));
+    if(effect.add !== undefined) v = v + Number(tierValue(effect.add, level));
+    if(effect.min !== undefined) v = Math.max(Number(effect.min), v);
+    if(effect.max !== undefined) v = Math.min(Number(effect.max), v);
+    target[key] = v;
+  }
+
+  // 校验声明式定义，返回错误信息列表
+  function validateTalentData(data){
+    const errors = [];
+    if(!data || typeof data !== 'object') return ['天赋定义不是对象'];
+    if(!data.name || typeof data.name !== 'string') errors.push('缺少 name');
+    if(!Array.isArray(data.rules) || data.rules.length === 0) errors.push('缺少 rules');
+    (data.rules || []).forEach((r, i) => {
+      if(!r || !r.on) errors.push(`第 ${i + 1} 条规则缺少 on`);
+      (r && r.effects || []).forEach(e => {
+        if(!e || (e.stat === undefined && e.state === undefined)) errors.push(`第 ${i + 1} 条规则的效果缺少 stat/state`);
+      });
+    });
+    return errors;
+  }
+
+  function compileRule(name, rule){
+    const events = Array.isArray(rule.on) ? rule.on : [rule.on];
+    const when = Array.isArray(rule.when) ? rule.when : [];
+    const effects = Array.isArray(rule.effects) ? rule.effects : [];
+    return function(student, eventName, ctx){
+      if(!events.includes(eventName)) return null;
+      for(const cond of when){
+        if(!checkCondition(cond, student, ctx)) return null;
+      }
+      const level = TalentManager.getTalentLevel(student, name);
+      if(rule.chance !== undefined && !(getRandom() < resolveChance(tierValue(rule.chance, level), student))) return null;
+      if(rule.once){
+        if(student._talent_backup[name]) return null;
+        const backup = {};
+        for(const e of effects){
+          if(e.stat !== undefined && !(e.stat in backup)) backup[e.stat] = student[e.stat];
+        }
+        student._talent_backup[name] = backup;
+        student._talent_state[name] = true;
+      }
+      for(const e of effects){
+        applyEffect(e, e.stat !== undefined ? student : student._talent_state, level);
+      }
+      if(rule.result) return Object.assign({}, rule.result, rule.message ? { message: rule.message } : {});
+      return rule.message || null;
+    };
+  }
+
+  // 以声明式格式编写的内置天赋（也可作为 JSON 天赋包的示例）
+  const KNOWLEDGE_STATS = listKnowledgeFields();
+  const BUILTIN_TALENT_DATA = {
+    '冷静': {
+      name: '冷静',
+      description: '比赛开始时有较高概率在比赛中保持冷静，所有能力临时+20%。',
+      color: '#4CAF50',
+      prob: 0.10,
+      kind: 'positive',
+      rules: [{
+        on: 'contest_start',
+        chance: { base: 0.6, bonus: { stat: 'pressure', from: 60, step: 10, add: 0.1 } },
+        once: true,
+        effects: [
+          { stat: 'thinking', mul: 1.2 },
+          { stat: 'coding', mul: 1.2 },
+          { state: 'constmental', mul: 1.2 }
+        ],
+        message: '冷静发动：全能力 +20%（赛中临时）'
+      }]
+    },
+    '爆发型': {
+      name: '爆发型',
+      description: '连续换题两次后，下一题有较大概率爆发，知识点与思维能力临时翻倍。',
+      color: '#E91E63',
+      prob: 0.05,
+      kind: 'positive',
+      rules: [
+        { on: 'contest_skip_problem', effects: [{ state: '_skipCount', add: 1 }] },
+        {
+          on: 'contest_select_problem',
+          when: [{ state: '_skipCount', gte: 2 }],
+          chance: 0.5,
+          once: true,
+          effects: [{ stat: 'thinking', mul: 2.0 }].concat(KNOWLEDGE_STATS.map(k => ({ stat: k, mul: 2.0 }))),
+          message: '爆发型发动：所有知识点与思维能力翻倍（本题临时）'
+        },
+        // 选题后重置跳题计数；通过部分分或 AC 也会重置
+        { on: ['contest_select_problem', 'contest_solve_problem', 'contest_pass_subtask'], effects: [{ state: '_skipCount', set: 0 }] }
+      ]
+    },
+    '专注': {
+      name: '专注',
+      description: '适合高强度训练，高强度下压力增长减缓；但讨厌低强度训练。',
+      color: '#5C6BC0',
+      prob: 0.07,
+      kind: 'positive',
+      rules: [
+        {
+          on: 'pressure_change',
+          when: [{ ctx: 'source', eq: 'training' }, { ctx: 'intensity', gte: 3, default: 1 }],
+          result: { action: 'reduce_pressure', amount: 0.30 },
+          message: '专注：高强度训练压力-30%'
+        },
+        {
+          on: 'pressure_change',
+          when: [{ ctx: 'source', eq: 'training' }, { ctx: 'intensity', lte: 1, default: 1 }],
+          result: { action: 'increase_pressure', amount: 0.30 },
+          message: '专注：低强度训练压力+30%'
+        }
+      ]
+    }
+  };
+
   const TalentManager = {
     // talents: { name -> { name, description, color, prob, handler } }
     _talents: {},
+    // 天赋协同 / 冲突（见文件头）
+    _synergies: [],
+    _conflicts: [],
 
     // 注册单个天赋 (完整定义对象)
     // talentDef: { name, description, color?, prob?: 0.0-1.0, handler?: function }
@@ -50,8 +271,11 @@
       const results = [];
 
       // First, call handlers for talents the student actually has.
+      // 因冲突而不生效的天赋跳过；随后执行已激活的协同
       if(student.talents){
+        const suppressed = this.getSuppressedTalents(student);
         for(const tName of Array.from(student.talents)){
+          if(suppressed.has(tName)) continue;
           const t = this.getTalent(tName);
           if(t && typeof t.handler === 'function'){
             try{
@@ -59,6 +283,19 @@
               if(res) results.push({ talent: tName, result: res });
             }catch(e){ console.error('talent handler error', tName, e); }
           }
+          if(t && t.tiers){
+            try{
+              const up = this.checkTalentTier(student, tName, eventName, ctx || {});
+              if(up) results.push({ talent: tName, result: up });
+            }catch(e){ console.error('talent tier error', tName, e); }
+          }
+        }
+        for(const syn of this.getActiveSynergies(student)){
+          if(typeof syn.handler !== 'function') continue;
+          try{
+            const res = syn.handler(student, eventName, ctx || {});
+            if(res) results.push({ talent: syn.name, synergy: true, result: res });
+          }catch(e){ console.error('talent synergy handler error', syn.name, e); }
         }
       }
 
@@ -120,8 +357,9 @@
           if (!tDef || !tDef.name) continue;
           // 只处理正面天赋（beneficial === true）
           if (!tDef.beneficial) continue;
-          // 如果学生已有此天赋则跳过
+          // 如果学生已有此天赋或与已有天赋冲突则跳过
           if (student.talents.has(tDef.name)) continue;
+          if (this.conflictsWith(student, tDef.name)) continue;
           const prob = Number(tDef.prob || 0) || 0;
           if (prob <= 0) continue;
           if (getRandom() < prob * multiplier) {
@@ -148,6 +386,7 @@
           // 随机选择一个负面天赋移除
           const removedTalentName = negativeTalents[Math.floor(getRandom() * negativeTalents.length)];
           student.talents.delete(removedTalentName);
+          this.clearTalentLevel(student, removedTalentName);
           try{ 
             if(window.showEventModal) {
               window.showEventModal({ 
@@ -191,6 +430,7 @@
         // 只处理正面天赋（beneficial === true）
         if (!tDef.beneficial) continue;
         if (student.talents.has(tDef.name)) continue;
+        if (this.conflictsWith(student, tDef.name)) continue;
         const prob = Number(tDef.prob || 0) || 0;
         if (prob <= 0) continue;
         try{
@@ -262,8 +502,9 @@
         if (positiveTalents.length > 0) {
           const lostTalentIndex = Math.floor(getRandom() * positiveTalents.length);
           const lostTalentName = positiveTalents[lostTalentIndex];
-          // 从Set中移除该天赋名
+          // 从Set中移除该天赋名（等级一并清除）
           student.talents.delete(lostTalentName);
+          this.clearTalentLevel(student, lostTalentName);
           const tDef = this.getTalent(lostTalentName);
           const displayName = (tDef && tDef.name) ? tDef.name : lostTalentName;
 
@@ -283,8 +524,9 @@
               if (!tDef || !tDef.name) continue;
               // 只处理负面天赋（beneficial === false）
               if (tDef.beneficial !== false) continue;
-              // 如果学生已有此天赋则跳过
+              // 如果学生已有此天赋或与已有天赋冲突则跳过
               if (student.talents.has(tDef.name)) continue;
+              if (this.conflictsWith(student, tDef.name)) continue;
               const prob = Number(tDef.prob || 0) || 0;
               if (prob <= 0) continue;
               // 使用天赋自身的概率判断是否获得
@@ -322,6 +564,197 @@
       Object.assign(this._talents[name], info);
     },
 
+    /* ========== 天赋等级 ========== */
+    // 拥有的天赋至少为 Lv1，未拥有为 0
+    getTalentLevel(student, name){
+      if(!student || !student.talents || !student.talents.has(name)) return 0;
+      const lv = Number(student.talentLevels && student.talentLevels[name]) || 1;
+      const t = this.getTalent(name);
+      const max = (t && t.tiers && Number(t.tiers.max)) || 1;
+      return Math.max(1, Math.min(max, lv));
+    },
+
+    // 返回 { level, progress, need }，need 为 null 表示已满级或不可进阶
+    getTalentProgress(student, name){
+      const level = this.getTalentLevel(student, name);
+      const t = this.getTalent(name);
+      const tiers = t && t.tiers;
+      const progress = Number(student && student.talentProgress && student.talentProgress[name]) || 0;
+      const need = (tiers && level >= 1 && level < (Number(tiers.max) || 1)) ? Number(tiers.thresholds[level - 1]) || null : null;
+      return { level, progress, need };
+    },
+
+    // 累计进阶进度，达到门槛时升一级；返回升级说明或 null
+    addTalentProgress(student, name, amount = 1){
+      const { level, progress, need } = this.getTalentProgress(student, name);
+      if(!need) return null;
+      student.talentProgress = student.talentProgress || {};
+      const next = progress + amount;
+      if(next < need){
+        student.talentProgress[name] = next;
+        return null;
+      }
+      student.talentLevels = student.talentLevels || {};
+      student.talentLevels[name] = level + 1;
+      student.talentProgress[name] = 0;
+      try{ if(window.pushEvent) window.pushEvent({ name: '天赋进阶', description: `${student.name} 的天赋【${name}】进阶至 Lv${level + 1}！`, week: window.game ? window.game.week : undefined }); }catch(e){}
+      return `${name} 进阶至 Lv${level + 1}`;
+    },
+
+    // 事件是否满足天赋的进阶触发条件，满足则累计进度
+    checkTalentTier(student, name, eventName, ctx){
+      const tiers = this.getTalent(name).tiers;
+      const events = Array.isArray(tiers.on) ? tiers.on : [tiers.on];
+      if(!events.includes(eventName)) return null;
+      if(typeof tiers.when === 'function'){
+        if(!tiers.when(student, eventName, ctx)) return null;
+      } else if(Array.isArray(tiers.when)){
+        if(!tiers.when.every(cond => checkCondition(cond, student, ctx))) return null;
+      }
+      return this.addTalentProgress(student, name, 1);
+    },
+
+    // 丧失天赋时一并清除等级
+    clearTalentLevel(student, name){
+      if(student && student.talentLevels) delete student.talentLevels[name];
+      if(student && student.talentProgress) delete student.talentProgress[name];
+    },
+
+    /* ========== 天赋协同与冲突 ========== */
+    registerSynergy(def){
+      if(!def || !def.name || !Array.isArray(def.talents) || def.talents.length < 2) throw new Error('invalid talent synergy');
+      const syn = Object.assign({ description: '', color: '#8E24AA' }, def);
+      if(Array.isArray(def.rules)) syn.handler = this.compileTalent({ name: def.name, rules: def.rules }).handler;
+      this._synergies = this._synergies.filter(x => x.name !== syn.name);
+      this._synergies.push(syn);
+    },
+
+    registerConflict(def){
+      if(!def || !Array.isArray(def.talents) || def.talents.length !== 2) throw new Error('invalid talent conflict');
+      const mode = def.mode === 'cancel' ? 'cancel' : 'exclusive';
+      this._conflicts.push(Object.assign({ description: '' }, def, { mode }));
+    },
+
+    getSynergies(){ return this._synergies.slice(); },
+    getConflicts(){ return this._conflicts.slice(); },
+
+    // 学生是否已拥有与 name 冲突的天赋（用于获得天赋时过滤）
+    conflictsWith(student, name){
+      if(!student || !student.talents) return false;
+      return this._conflicts.some(c => c.talents.includes(name) && c.talents.some(t => t !== name && student.talents.has(t)));
+    },
+
+    // 集训激发、事件、国际选手等途径获得天赋时统一走这里
+    grantTalent(student, name){
+      if(!student || !name) return false;
+      if(!(student.talents instanceof Set)) student.talents = new Set();
+      if(student.talents.has(name) || this.conflictsWith(student, name)) return false;
+      student.talents.add(name);
+      return true;
+    },
+
+    // 因冲突而不生效的天赋集合
+    getSuppressedTalents(student){
+      const suppressed = new Set();
+      if(!student || !student.talents || this._conflicts.length === 0) return suppressed;
+      const owned = Array.from(student.talents);
+      for(const c of this._conflicts){
+        const [a, b] = c.talents;
+        const ia = owned.indexOf(a), ib = owned.indexOf(b);
+        if(ia < 0 || ib < 0) continue;
+        if(c.mode === 'cancel'){ suppressed.add(a); suppressed.add(b); }
+        else suppressed.add(ia < ib ? b : a);
+      }
+      return suppressed;
+    },
+
+    isTalentSuppressed(student, name){
+      return this.getSuppressedTalents(student).has(name);
+    },
+
+    // 当前激活的协同：全部天赋均拥有且没有被冲突压制
+    getActiveSynergies(student){
+      if(!student || !student.talents || this._synergies.length === 0) return [];
+      const suppressed = this.getSuppressedTalents(student);
+      return this._synergies.filter(syn => syn.talents.every(t => student.talents.has(t) && !suppressed.has(t)));
+    },
+
+    // 把声明式天赋定义编译为 registerTalent 可用的定义；格式见文件头
+    compileTalent(data){
+      const errors = validateTalentData(data);
+      if(errors.length) throw new Error(errors.join('；'));
+      const rules = data.rules.map(r => compileRule(data.name, r));
+      // 只有用到比赛内临时状态的天赋才初始化 _talent_state（避免赛外事件提前写入 constmental）
+      const usesContestState = data.rules.some(r => r.once ||
+        (r.when || []).some(c => c && c.state !== undefined) ||
+        (r.effects || []).some(e => e && e.state !== undefined));
+      const def = {
+        name: data.name,
+        description: data.description || '',
+        color: data.color || '#2b6cb0',
+        prob: Number(data.prob) || 0,
+        kind: data.kind === 'negative' ? 'negative' : 'positive',
+        source: data,
+        tiers: data.tiers || null,
+        handler: function(student, eventName, ctx){
+          try{
+            if(usesContestState) ensureTalentTemp(student);
+            let out = null;
+            for(const rule of rules){
+              const res = rule(student, eventName, ctx);
+              if(res && !out) out = res;
+            }
+            return out;
+          }catch(e){ console.error(`${data.name} 天赋错误`, e); }
+          return null;
+        }
+      };
+      return def;
+    },
+
+    // 批量加载声明式天赋：data 可为 JSON 文本、数组或 { talents: [...] }，返回 { loaded, errors }
+    loadTalentDefinitions(data){
+      let list = data;
+      if(typeof list === 'string') list = JSON.parse(list);
+      const pack = (list && !Array.isArray(list)) ? list : {};
+      if(list && !Array.isArray(list) && Array.isArray(list.talents)) list = list.talents;
+      if(!Array.isArray(list)) throw new Error('天赋包格式错误：应为数组或 { talents: [...] }');
+      const loaded = [];
+      const errors = [];
+      for(const item of list){
+        try{
+          this.registerTalent(this.compileTalent(item));
+          loaded.push(item.name);
+        }catch(e){
+          errors.push(`${(item && item.name) || '?'}：${e.message}`);
+        }
+      }
+      // 天赋包还可以附带 synergies / conflicts
+      for(const syn of (pack.synergies || [])){
+        try{ this.registerSynergy(syn); }catch(e){ errors.push(`协同 ${(syn && syn.name) || '?'}：${e.message}`); }
+      }
+      for(const c of (pack.conflicts || [])){
+        try{ this.registerConflict(c); }catch(e){ errors.push(`冲突 ${((c && c.talents) || []).join('/')}：${e.message}`); }
+      }
+      if(errors.length) console.error('[天赋] 部分天赋加载失败', errors);
+      console.log(`[天赋] 已加载 ${loaded.length} 个声明式天赋`);
+      return { loaded, errors };
+    },
+
+    // 读取 JSON 天赋包（如 TALENT_PACKS 中配置的文件）
+    loadTalentPack(url){
+      return fetch(url)
+        .then(res => {
+          if(!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .then(json => this.loadTalentDefinitions(json))
+        .catch(e => {
+          console.error(`[天赋] 天赋包 ${url} 加载失败`, e);
+          return { loaded: [], errors: [e.message] };
+        });
+    },
+
     // 注册默认天赋（此处保持空实现，调用者可自行添加）
     registerDefaultTalents(game, utils){
       // 注册请求中的天赋实现（有概率分配 + 事件触发效果）
@@ -342,50 +775,9 @@
         clamp = function(val){ const n = Number(val); return isFinite(n) ? n : 0; };
       }
 
-      // helper: ensure per-contest temporary storage on student
-      function ensureTemp(student){
-        student._talent_backup = student._talent_backup || {};
-        student._talent_state = student._talent_state || {};
-        // initialize per-contest constmental copy if not present
-        if(typeof student._talent_state.constmental === 'undefined'){
-          student._talent_state.constmental = Number(student.mental || 50);
-        }
-      }
-
       // 冷静：比赛开始触发，临时提升所有能力 20%
-      this.registerTalent({
-        name: '冷静',
-        description: '比赛开始时有较高概率在比赛中保持冷静，所有能力临时+20%。',
-        color: '#4CAF50',
-        prob: 0.10,
-        beneficial: true,
-        handler: function(student, eventName, ctx){
-          try{
-            ensureTemp(student);
-            if(eventName !== 'contest_start') return null;
-            // 触发概率基础 60%，赛前压力>=60 每超 10 点额外 +10%
-            let base = 0.6;
-            const pressure = Number(student.pressure) || 0;
-            if(pressure >= 60){
-              base += Math.floor((pressure - 60) / 10) * 0.1;
-            }
-            if(getRandom() < base){
-              // 备份并放大
-              if(!student._talent_backup['冷静']){
-                // backup raw original values (avoid forcing fallback to 0 which may mask bugs)
-                student._talent_backup['冷静'] = { thinking: student.thinking, coding: student.coding, constmental: (student._talent_state && student._talent_state.constmental) || student.mental };
-                student.thinking = clamp(Number(student.thinking||0) * 1.2);
-                student.coding = clamp(Number(student.coding||0) * 1.2);
-                // adjust the per-contest constmental rather than the base mental
-                student._talent_state.constmental = clamp(Number(student._talent_state.constmental||student.mental||50) * 1.2);
-                student._talent_state['冷静'] = true;
-                return '冷静发动：全能力 +20%（赛中临时）';
-              }
-            }
-          }catch(e){ console.error('冷静 天赋错误', e); }
-          return null;
-        }
-      });
+      // 触发概率基础 60%，赛前压力>=60 每超 10 点额外 +10%
+      this.registerTalent(this.compileTalent(BUILTIN_TALENT_DATA['冷静']));
 
       // 伽罗瓦：遇到数学题时可能触发，数学知识与思维能力 +50%
       this.registerTalent({
@@ -396,7 +788,7 @@
         beneficial: true,
         handler: function(student, eventName, ctx){
           try{
-            ensureTemp(student);
+            ensureTalentTemp(student);
             if(eventName !== 'contest_select_problem') return null;
             const state = ctx && ctx.state;
             const pid = ctx && (ctx.problemId || ctx.problemId === 0 ? ctx.problemId : ctx.problemId);
@@ -420,53 +812,7 @@
       });
 
       // 爆发型：连续换题 2 次后下一题发动，所有知识点与思维能力提高100%
-      this.registerTalent({
-        name: '爆发型',
-        description: '连续换题两次后，下一题有较大概率爆发，知识点与思维能力临时翻倍。',
-        color: '#E91E63',
-        prob: 0.05,
-        beneficial: true,
-        handler: function(student, eventName, ctx){
-          try{
-            ensureTemp(student);
-            // track skips on student._talent_state._skipCount
-            if(eventName === 'contest_skip_problem'){
-              student._talent_state._skipCount = (student._talent_state._skipCount || 0) + 1;
-              return null;
-            }
-            if(eventName === 'contest_select_problem'){
-              const cnt = student._talent_state._skipCount || 0;
-              // 如果累计 2 次以上跳题，则有50%概率发动
-              student._talent_state._skipCount = 0; // 重置计数
-              if(cnt >= 2 && getRandom() < 0.5){
-                if(!student._talent_backup['爆发型']){
-                  student._talent_backup['爆发型'] = {
-                    thinking: student.thinking,
-                    knowledge_ds: student.knowledge_ds,
-                    knowledge_graph: student.knowledge_graph,
-                    knowledge_string: student.knowledge_string,
-                    knowledge_math: student.knowledge_math,
-                    knowledge_dp: student.knowledge_dp
-                  };
-                  student.thinking = clamp(Number(student.thinking||0) * 2.0);
-                  student.knowledge_ds = Number(student.knowledge_ds||0) * 2.0;
-                  student.knowledge_graph = Number(student.knowledge_graph||0) * 2.0;
-                  student.knowledge_string = Number(student.knowledge_string||0) * 2.0;
-                  student.knowledge_math = Number(student.knowledge_math||0) * 2.0;
-                  student.knowledge_dp = Number(student.knowledge_dp||0) * 2.0;
-                  student._talent_state['爆发型'] = true;
-                  return '爆发型发动：所有知识点与思维能力翻倍（本题临时）';
-                }
-              }
-            }
-            // reset on solve
-            if(eventName === 'contest_solve_problem' || eventName === 'contest_pass_subtask'){
-              student._talent_state._skipCount = 0;
-            }
-          }catch(e){ console.error('爆发型 天赋错误', e); }
-          return null;
-        }
-      });
+      this.registerTalent(this.compileTalent(BUILTIN_TALENT_DATA['爆发型']));
 
       // 心态稳定：已解题数 >=3 时心理素质提高50%
       this.registerTalent({
@@ -477,7 +823,7 @@
         beneficial: true,
         handler: function(student, eventName, ctx){
           try{
-            ensureTemp(student);
+            ensureTalentTemp(student);
             if(eventName !== 'contest_solve_problem') return null;
             const state = ctx && ctx.state;
             if(!state) return null;
@@ -552,7 +898,7 @@
         beneficial: true,
         handler: function(student, eventName, ctx){
           try{
-            ensureTemp(student);
+            ensureTalentTemp(student);
             // 在比赛开始时立即应用效果（永久到本场比赛结束）
             if(eventName === 'contest_start'){
                 if(!student._talent_backup['激进']){
@@ -580,7 +926,7 @@
           beneficial: true,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName !== 'contest_select_problem') return null;
               // 仅在模拟赛生效
               if(!ctx || ctx.contestName !== '模拟赛') return null;
@@ -611,7 +957,7 @@
           beneficial: true,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName !== 'contest_select_problem') return null;
               if(!ctx || ctx.contestName !== '模拟赛') return null;
               const state = ctx.state;
@@ -643,7 +989,7 @@
           beneficial: true,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               // 仅在模拟赛生效
               if(!ctx || ctx.contestName !== '模拟赛') return null;
               const state = ctx.state;
@@ -690,7 +1036,7 @@
           beneficial: true,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName !== 'contest_select_problem') return null;
               if(!ctx || ctx.contestName !== '模拟赛') return null;
               const state = ctx.state;
@@ -726,7 +1072,7 @@
           beneficial: true,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName !== 'contest_skip_problem') return null;
               if(!ctx || ctx.contestName !== '模拟赛') return null;
               // layers tracked in _talent_state._jump_layers
@@ -756,13 +1102,13 @@
           beneficial: true,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName !== 'contest_thinking') return null;
               if(!ctx || ctx.contestName !== '模拟赛') return null;
               // Small trigger chance per thinking tick
               //if(getRandom() >= 0.05) return null;
               if(student._talent_backup['偏科']) return null; // only once per contest
-              const keys = ['knowledge_ds','knowledge_graph','knowledge_string','knowledge_math','knowledge_dp'];
+              const keys = KNOWLEDGE_STATS;
               // pick two distinct indices
               const i = Math.floor(getRandom() * keys.length);
               let j = Math.floor(getRandom() * keys.length);
@@ -811,18 +1157,23 @@
         // 抗压奇才：压力增加后，当增幅超过 10 时触发，将本次压力增幅减半
         this.registerTalent({
           name: '抗压奇才',
-          description: '当压力增加超过10时自动触发：将本次压力增幅减半。',
+          description: '当压力增加超过10时自动触发：将本次压力增幅减半（Lv2 降至 40%，Lv3 降至 30%）。扛过多次高压后进阶。',
         color: '#009688',
         prob: 0.12,
         kind: 'positive',
         beneficial: true,
+          // 承受 5 / 12 次大幅压力增长后进阶（训练预览不计）
+          tiers: { max: 3, thresholds: [5, 12], on: 'pressure_change', when: (student, eventName, ctx) => !ctx.preview && Number(ctx.amount) > 10 },
           handler: function(student, eventName, ctx){
             try{
               if(eventName !== 'pressure_change') return null;
               if(!ctx || typeof ctx.amount === 'undefined') return null;
               const amt = Number(ctx.amount) || 0;
               if(amt > 10){
-                return { action: 'halve_pressure', message: '抗压奇才：本次压力增幅减半' };
+                const lv = TalentManager.getTalentLevel(student, '抗压奇才');
+                if(lv <= 1) return { action: 'halve_pressure', message: '抗压奇才：本次压力增幅减半' };
+                const factor = lv >= 3 ? 0.3 : 0.4;
+                return { action: 'scale_pressure', factor, message: `抗压奇才 Lv${lv}：本次压力增幅降至 ${Math.round(factor * 100)}%` };
               }
             }catch(e){ console.error('抗压奇才 天赋错误', e); }
             return null;
@@ -841,7 +1192,7 @@
             try{
               if(eventName !== 'vacation_end' && eventName !== 'entertainment_finished') return null;
               if(getRandom() < 0.30){
-                const keys = ['knowledge_ds','knowledge_graph','knowledge_string','knowledge_math','knowledge_dp'];
+                const keys = KNOWLEDGE_STATS;
                 const idx = Math.floor(getRandom() * keys.length);
                 const key = keys[idx];
                 if(typeof student[key] === 'number'){
@@ -1010,7 +1361,7 @@
           beneficial: true,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName === 'contest_start'){
                 // 记录比赛开始时间和总时长以便计算半场
                 if(ctx && ctx.state){
@@ -1068,7 +1419,7 @@
           beneficial: false,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName === 'contest_start'){
                 if(ctx && ctx.state){
                   student._talent_state._虎头蛇尾_startTick = ctx.state.tick || 0;
@@ -1164,7 +1515,7 @@
           beneficial: true,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName === 'contest_thinking' || eventName === 'contest_select_problem'){
                 if(!ctx || !ctx.state) return null;
                 const state = ctx.state;
@@ -1295,14 +1646,16 @@
         // 字符串魔法师：字符串题目能力提升
         this.registerTalent({
           name: '字符串魔法师',
-          description: '对字符串处理有特殊技巧，编码能力和相关知识提升。',
+          description: '对字符串处理有特殊技巧，编码能力和相关知识提升。比赛中 AC 字符串题可进阶（Lv2/Lv3 触发率与加成更高）。',
           color: '#C2185B',
           prob: 0.05,
           kind: 'positive',
           beneficial: true,
+          // AC 2 / 5 道字符串题后进阶
+          tiers: { max: 3, thresholds: [2, 5], on: 'contest_solve_problem', when: [{ problemTag: '字符串' }] },
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName !== 'contest_select_problem') return null;
               const state = ctx && ctx.state;
               const pid = ctx && ctx.problemId;
@@ -1310,16 +1663,21 @@
               const probObj = state.getProblem(pid);
               if(!probObj || !probObj.tags || !probObj.tags.includes('字符串')) return null;
               
-              if(getRandom() < 0.30){
+              // Lv1/Lv2/Lv3：触发率 30%/40%/50%，加成 60%/80%/100%
+              const lv = TalentManager.getTalentLevel(student, '字符串魔法师');
+              const chance = [0.30, 0.40, 0.50][lv - 1] || 0.30;
+              const mult = [1.6, 1.8, 2.0][lv - 1] || 1.6;
+              if(getRandom() < chance){
                 if(!student._talent_backup['字符串魔法师']){
                   student._talent_backup['字符串魔法师'] = { 
                     knowledge_string: Number(student.knowledge_string || 0),
                     coding: Number(student.coding || 0)
                   };
-                  student.knowledge_string = Number(student.knowledge_string || 0) * 1.6;
-                  student.coding = clamp(Number(student.coding || 0) * 1.6);
+                  student.knowledge_string = Number(student.knowledge_string || 0) * mult;
+                  student.coding = clamp(Number(student.coding || 0) * mult);
                   student._talent_state['字符串魔法师'] = true;
-                  return '字符串魔法师发动：字符串知识与编程+60%';
+                  const pct = Math.round((mult - 1) * 100);
+                  return lv > 1 ? `字符串魔法师 Lv${lv} 发动：字符串知识与编程+${pct}%` : '字符串魔法师发动：字符串知识与编程+60%';
                 }
               }
             }catch(e){ console.error('字符串魔法师 天赋错误', e); }
@@ -1337,10 +1695,10 @@
           beneficial: true,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName !== 'contest_pass_subtask') return null;
               if(getRandom() < 0.10){
-                const allKnowledge = ['knowledge_ds','knowledge_graph','knowledge_string','knowledge_math','knowledge_dp'];
+                const allKnowledge = KNOWLEDGE_STATS;
                 // 获取当前题目的知识点（如果有）
                 const currentKnowledge = ctx && ctx.knowledgeType;
                 const others = allKnowledge.filter(k => k !== currentKnowledge);
@@ -1380,14 +1738,9 @@
               if(getRandom() < 0.20){
                 // 获取训练的目标知识点（优先 ctx.topic，其次尝试 ctx.task.type）
                 const topic = ctx.topic || (ctx.task && (ctx.task.type || ctx.task.topic));
-                const allKnowledge = ['knowledge_ds','knowledge_graph','knowledge_string','knowledge_math','knowledge_dp'];
+                const allKnowledge = KNOWLEDGE_STATS;
                 // 根据 topic 确定主练知识点
-                let mainKnowledge = null;
-                if(topic === '数据结构') mainKnowledge = 'knowledge_ds';
-                else if(topic === '图论') mainKnowledge = 'knowledge_graph';
-                else if(topic === '字符串') mainKnowledge = 'knowledge_string';
-                else if(topic === '数学') mainKnowledge = 'knowledge_math';
-                else if(topic === 'DP') mainKnowledge = 'knowledge_dp';
+                const mainKnowledge = topic ? getKnowledgeField(topic) : null;
                 
                 // 如果有主练知识点，则其他知识点额外增长
                 if(mainKnowledge){
@@ -1447,13 +1800,8 @@
               if(getRandom() < 0.5){
                 // 兼容不同的训练触发源，并从 ctx.task 回退获取 topic
                 const topic = ctx.topic || (ctx.task && (ctx.task.type || ctx.task.topic));
-                const allKnowledge = ['knowledge_ds','knowledge_graph','knowledge_string','knowledge_math','knowledge_dp'];
-                let mainKnowledge = null;
-                if(topic === '数据结构') mainKnowledge = 'knowledge_ds';
-                else if(topic === '图论') mainKnowledge = 'knowledge_graph';
-                else if(topic === '字符串') mainKnowledge = 'knowledge_string';
-                else if(topic === '数学') mainKnowledge = 'knowledge_math';
-                else if(topic === 'DP') mainKnowledge = 'knowledge_dp';
+                const allKnowledge = KNOWLEDGE_STATS;
+                const mainKnowledge = topic ? getKnowledgeField(topic) : null;
                 
                 if(mainKnowledge){
                   const others = allKnowledge.filter(k => k !== mainKnowledge);
@@ -1473,29 +1821,8 @@
           }
         });
 
-        // 专注：高强度训练压力减少，低强度压力增加
-        this.registerTalent({
-          name: '专注',
-          description: '适合高强度训练，高强度下压力增长减缓；但讨厌低强度训练。',
-          color: '#5C6BC0',
-          prob: 0.07,
-          kind: 'positive',
-          beneficial: true,
-          handler: function(student, eventName, ctx){
-            try{
-              if(eventName !== 'pressure_change') return null;
-              if(!ctx || ctx.source !== 'training') return null;
-              const intensity = Number(ctx.intensity) || 1;
-              if(intensity >= 3){
-                // 在原有压力变化基础上减少 30%
-                return { action: 'reduce_pressure', amount: 0.30, message: '专注：高强度训练压力-30%' };
-              } else if(intensity <= 1){
-                return { action: 'increase_pressure', amount: 0.30, message: '专注：低强度训练压力+30%' };
-              }
-            }catch(e){ console.error('专注 天赋错误', e); }
-            return null;
-          }
-        });
+        // 专注：高强度训练压力减少，低强度压力增加（比赛中的耐心加成见 competitions.js shouldSkipProblem）
+        this.registerTalent(this.compileTalent(BUILTIN_TALENT_DATA['专注']));
 
         // 劳逸结合：娱乐效果翻倍
         this.registerTalent({
@@ -1566,7 +1893,7 @@
                 // 减少知识增益
                 if(ctx && ctx.knowledge_gain){
                   const reduction = ctx.knowledge_gain * 0.20;
-                  const allKnowledge = ['knowledge_ds','knowledge_graph','knowledge_string','knowledge_math','knowledge_dp'];
+                  const allKnowledge = KNOWLEDGE_STATS;
                   const randomK = allKnowledge[Math.floor(getRandom() * allKnowledge.length)];
                   student[randomK] = Math.max(0, Number(student[randomK] || 0) - reduction);
                 }
@@ -1686,7 +2013,7 @@
           beneficial: false,
           handler: function(student, eventName, ctx){
             try{
-              ensureTemp(student);
+              ensureTalentTemp(student);
               if(eventName !== 'contest_start') return null;
               const pressure = Number(student.pressure || 0);
               if(pressure > 50){
@@ -1760,7 +2087,7 @@
               // 注意：知识增幅已在 contest-integration.js 中应用，此处仅作为日志记录
               if(eventName === 'mock_contest_finish' || eventName === 'mock_end'){
                 // 计算本次获得的知识增幅总和（仅用于日志显示）
-                const allKnowledge = ['knowledge_ds','knowledge_graph','knowledge_string','knowledge_math','knowledge_dp'];
+                const allKnowledge = KNOWLEDGE_STATS;
                 let totalKnowledgeIncrease = 0;
                 for(const k of allKnowledge){
                   // 注意：此时知识值已是最终值，包含50%加成
@@ -1882,7 +2209,7 @@
             beneficial: true,
             handler: function (student, eventName, ctx) {
                 try {
-                    ensureTemp(student); // 确保临时存储初始化
+                    ensureTalentTemp(student); // 确保临时存储初始化
                     // 设定触发时机：比赛开始时触发（可根据需求修改事件名）
                     if (eventName !== 'contest_start') return null;
 
@@ -1958,6 +2285,41 @@
                 return null;
             }
         });
+      // 天赋冲突：不会被同时获得；已同时拥有时按 mode 处理
+      this._synergies = [];
+      this._conflicts = [];
+      this.registerConflict({ talents: ['冷静', '赛场狂热'], mode: 'cancel', description: '冷静与狂热互相抵消，两者都不生效' });
+      this.registerConflict({ talents: ['稳扎稳打', '激进'], mode: 'exclusive', description: '做题风格相反，只保留先获得的一方' });
+      this.registerConflict({ talents: ['遇强则强', '遇弱则弱'], mode: 'cancel', description: '临场起伏互相抵消，两者都不生效' });
+
+      // 天赋协同：同时拥有时的额外效果
+      this.registerSynergy({
+        name: '心如止水',
+        talents: ['冷静', '专注'],
+        description: '冷静 + 专注：比赛开始时心理素质额外 +10%（赛中临时）。',
+        color: '#00897B',
+        rules: [{
+          on: 'contest_start',
+          once: true,
+          effects: [{ state: 'constmental', mul: 1.1 }],
+          message: '心如止水（冷静+专注）：心理素质 +10%（赛中临时）'
+        }]
+      });
+      this.registerSynergy({
+        name: '难题猎手',
+        talents: ['遇强则强', '读题专家'],
+        description: '遇强则强 + 读题专家：挑战远超自己能力的题目时，思维检定额外 +10%。',
+        color: '#3949AB',
+        handler: function(student, eventName, ctx){
+          if(eventName !== 'contest_check_subtask' || !ctx || ctx.checkType !== 'thinking') return null;
+          const diff = Number(ctx.difficulty) || 0;
+          if(diff > (Number(student.thinking) || 0) * 1.3){
+            return { action: 'boost_ability', amount: 0.10, message: '难题猎手（遇强则强+读题专家）：思维检定 +10%' };
+          }
+          return null;
+        }
+      });
+
       // 清理逻辑：当比赛结束时，恢复所有被天赋临时修改过的属性
       // 监听 contest_finish 事件
         this.registerTalent({
@@ -6,7 +6,9 @@
  * - name: 题目名称
  * - difficulty: 难度值（0-100）
  * - boosts: 知识点提升数组，每项包含 {type: '知识点类型', amount: 增幅值}
- *   最多3个知识点，类型可选：'数据结构', '图论', '字符串', '数学', 'DP'
+ *   最多3个知识点，类型可以是五大知识点（'数据结构', '图论', '字符串', '数学', '动态规划'）
+ *   或其下的子知识点（如 '线段树'、'网络流'、'SAM'，见 constants.js 的 KNOWLEDGE_TOPICS）；
+ *   子知识点的增幅计入所属大类，并专门提升该子知识点的掌握度
  */
 
 const TASK_POOL = [
@@ -16,42 +18,42 @@ const TASK_POOL = [
     { name: '[CF] River Ledger', difficulty: 58, boosts: [{ type: '图论', amount: 13 }, { type: '数据结构', amount: 7 }] },
     { name: '[AtCoder] Morning Market', difficulty: 12, boosts: [{ type: '数学', amount: 3 }] },
     { name: '[JOI2021] 松风谧语', difficulty: 79, boosts: [{ type: '图论', amount: 16 }, { type: '数据结构', amount: 7 }] },
-    { name: '[NOIP2023] 数位之旅', difficulty: 53, boosts: [{ type: '动态规划', amount: 12 }, { type: '数学', amount: 4 }] },
-    { name: '[CF] Paper Bridges', difficulty: 70, boosts: [{ type: '图论', amount: 18 }, { type: '数学', amount: 6 }] },
+    { name: '[NOIP2023] 数位之旅', difficulty: 53, boosts: [{ type: '数位DP', amount: 12 }, { type: '数学', amount: 4 }] },
+    { name: '[CF] Paper Bridges', difficulty: 70, boosts: [{ type: '连通性', amount: 18 }, { type: '数学', amount: 6 }] },
     { name: '[IOI2018] 河川工程', difficulty: 118, boosts: [{ type: '图论', amount: 26 }, { type: '数学', amount: 10 }] },
     { name: '[USACO Gold] 星辰捕手', difficulty: 78, boosts: [{ type: '动态规划', amount: 18 }, { type: '数据结构', amount: 6 }] },
-    { name: '[POJ] 影子匹配', difficulty: 34, boosts: [{ type: '字符串', amount: 11 }] },
+    { name: '[POJ] 影子匹配', difficulty: 34, boosts: [{ type: 'KMP', amount: 11 }] },
     { name: '[POJ] 曙光索引', difficulty: 66, boosts: [{ type: '字符串', amount: 15 }, { type: '数学', amount: 4 }] },
-    { name: '[CF] Stack & Greed', difficulty: 41, boosts: [{ type: '数据结构', amount: 11 }] },
+    { name: '[CF] Stack & Greed', difficulty: 41, boosts: [{ type: '单调结构', amount: 11 }] },
     { name: '[AtCoder] Crescent Isle', difficulty: 60, boosts: [{ type: '图论', amount: 13 }] },
-    { name: '[NOI2019] 流域工程', difficulty: 101, boosts: [{ type: '图论', amount: 22 }, { type: '数学', amount: 7 }] },
-    { name: '[IOI2002] Hidden Treasure', difficulty: 110, boosts: [{ type: '动态规划', amount: 23 }, { type: '图论', amount: 9 }] },
-    { name: '[CF] Two Pointers Warmup', difficulty: 18, boosts: [{ type: '数据结构', amount: 5 }] },
-    { name: '[CF] Twin Oaks', difficulty: 74, boosts: [{ type: '图论', amount: 16 }, { type: '动态规划', amount: 7 }] },
+    { name: '[NOI2019] 流域工程', difficulty: 101, boosts: [{ type: '网络流', amount: 22 }, { type: '数学', amount: 7 }] },
+    { name: '[IOI2002] Hidden Treasure', difficulty: 110, boosts: [{ type: '背包', amount: 23 }, { type: '图论', amount: 9 }] },
+    { name: '[CF] Two Pointers Warmup', difficulty: 18, boosts: [{ type: '单调结构', amount: 5 }] },
+    { name: '[CF] Twin Oaks', difficulty: 74, boosts: [{ type: '树上问题', amount: 16 }, { type: '动态规划', amount: 7 }] },
     { name: '[NOI2020] 数学之钥', difficulty: 58, boosts: [{ type: '数学', amount: 14 }] },
     { name: '[AtCoder] Harbor Daybreak', difficulty: 36, boosts: [{ type: '数学', amount: 9 }] },
-    { name: '[CF] Shortest Tales', difficulty: 78, boosts: [{ type: '图论', amount: 18 }, { type: '数学', amount: 6 }] },
+    { name: '[CF] Shortest Tales', difficulty: 78, boosts: [{ type: '最短路', amount: 18 }, { type: '数学', amount: 6 }] },
     { name: '[JOI2019] 字母迷航', difficulty: 52, boosts: [{ type: '字符串', amount: 13 }] },
     { name: '[NOIP] 练习·贪心日记', difficulty: 50, boosts: [{ type: '数据结构', amount: 12 }, { type: '数学', amount: 4 }] },
-    { name: '[IOI2012] 秘宝守护', difficulty: 90, boosts: [{ type: '动态规划', amount: 20 }, { type: '图论', amount: 7 }] },
-    { name: '[CF] Union Grove', difficulty: 31, boosts: [{ type: '图论', amount: 9 }, { type: '数据结构', amount: 7 }] },
+    { name: '[IOI2012] 秘宝守护', difficulty: 90, boosts: [{ type: '背包', amount: 20 }, { type: '图论', amount: 7 }] },
+    { name: '[CF] Union Grove', difficulty: 31, boosts: [{ type: '图论', amount: 9 }, { type: '并查集', amount: 7 }] },
     { name: '[AtCoder DP] Mountain Relay', difficulty: 91, boosts: [{ type: '动态规划', amount: 21 }, { type: '数学', amount: 6 }] },
     { name: '[NOI2011] 幽径筑路', difficulty: 73, boosts: [{ type: '图论', amount: 16 }] },
-    { name: '[POJ] 片段之树', difficulty: 59, boosts: [{ type: '数据结构', amount: 14 }] },
-    { name: '[CF] Hash Echo', difficulty: 46, boosts: [{ type: '字符串', amount: 11 }, { type: '数学', amount: 4 }] },
+    { name: '[POJ] 片段之树', difficulty: 59, boosts: [{ type: '线段树', amount: 14 }] },
+    { name: '[CF] Hash Echo', difficulty: 46, boosts: [{ type: '字符串哈希', amount: 11 }, { type: '数学', amount: 4 }] },
     { name: '[IOI2005] Deep Garden', difficulty: 113, boosts: [{ type: '动态规划', amount: 24 }, { type: '数学', amount: 9 }] },
     { name: '[USACO Silver] Field Sort', difficulty: 24, boosts: [{ type: '数据结构', amount: 7 }] },
-    { name: '[CF] Flowframe', difficulty: 71, boosts: [{ type: '图论', amount: 17 }, { type: '数学', amount: 5 }] },
+    { name: '[CF] Flowframe', difficulty: 71, boosts: [{ type: '网络流', amount: 17 }, { type: '数学', amount: 5 }] },
     { name: '[AtCoder] Chance of Dawn', difficulty: 67, boosts: [{ type: '图论', amount: 16 }, { type: '数学', amount: 6 }] },
-    { name: '[NOI2014] 区间秘语', difficulty: 83, boosts: [{ type: '动态规划', amount: 19 }, { type: '数据结构', amount: 7 }] },
+    { name: '[NOI2014] 区间秘语', difficulty: 83, boosts: [{ type: '区间DP', amount: 19 }, { type: '数据结构', amount: 7 }] },
     { name: '[CF] Greedy Proof', difficulty: 43, boosts: [{ type: '数学', amount: 10 }] },
     { name: '[POJ] 祖先之问', difficulty: 54, boosts: [{ type: '图论', amount: 12 }, { type: '数据结构', amount: 4 }] },
-    { name: '[CF] Counting Constellations', difficulty: 56, boosts: [{ type: '数学', amount: 15 }] },
+    { name: '[CF] Counting Constellations', difficulty: 56, boosts: [{ type: '组合计数', amount: 15 }] },
     { name: '[JOI2020] 最小代价局', difficulty: 71, boosts: [{ type: '动态规划', amount: 15 }, { type: '数学', amount: 4 }] },
     { name: '[IOI2017] Experimental Maze', difficulty: 116, boosts: [{ type: '数学', amount: 28 }, { type: '动态规划', amount: 11 }] },
-    { name: '[NOI2008] 双生匹配', difficulty: 64, boosts: [{ type: '图论', amount: 16 }] },
+    { name: '[NOI2008] 双生匹配', difficulty: 64, boosts: [{ type: '网络流', amount: 16 }] },
     { name: '[CF] Rotating Echo', difficulty: 38, boosts: [{ type: '字符串', amount: 10 }] },
-    { name: '[AtCoder] Linear Bloom', difficulty: 88, boosts: [{ type: '数学', amount: 20 }] },
+    { name: '[AtCoder] Linear Bloom', difficulty: 88, boosts: [{ type: '线性代数', amount: 20 }] },
     { name: '[POJ] 视域线', difficulty: 64, boosts: [{ type: '数据结构', amount: 13 }, { type: '数学', amount: 4 }] },
     { name: '[CF] Nim Intro', difficulty: 34, boosts: [{ type: '数学', amount: 9 }] },
     { name: '[USACO Gold] Border Tale', difficulty: 97, boosts: [{ type: '图论', amount: 21 }, { type: '动态规划', amount: 11 }] },
@@ -62,7 +64,7 @@ const TASK_POOL = [
     { name: '[CF] Interval Weave', difficulty: 58, boosts: [{ type: '数据结构', amount: 15 }] },
     { name: '[POJ] 二分之境', difficulty: 20, boosts: [{ type: '数学', amount: 6 }] },
     { name: '[NOI2010] 引水图记', difficulty: 65, boosts: [{ type: '图论', amount: 16 }, { type: '数学', amount: 4 }] },
-    { name: '[CF] Monotone Optim', difficulty: 76, boosts: [{ type: '动态规划', amount: 7 }, { type: '数据结构', amount: 28 }] },
+    { name: '[CF] Monotone Optim', difficulty: 76, boosts: [{ type: '动态规划', amount: 7 }, { type: '单调结构', amount: 28 }] },
     { name: '[AGC] Silent Summit', difficulty: 102, boosts: [{ type: '数学', amount: 22 }, { type: '动态规划', amount: 9 }] },
     { name: '[JOI2017] 区域棋盘', difficulty: 82, boosts: [{ type: '动态规划', amount: 19 }] },
     { name: '[IOI2004] City Tales', difficulty: 91, boosts: [{ type: '图论', amount: 21 }, { type: '动态规划', amount: 7 }] },
@@ -74,8 +76,8 @@ const TASK_POOL = [
     { name: '[USACO Bronze] Trough Tidy', difficulty: 14, boosts: [{ type: '数学', amount: 3 }] },
     { name: '[JOI2015] 合流序章', difficulty: 72, boosts: [{ type: '动态规划', amount: 16 }] },
     { name: '[IOI2010] Roadblock Tales', difficulty: 88, boosts: [{ type: '图论', amount: 20 }, { type: '数学', amount: 6 }] },
-    { name: '[CF] Modular Night', difficulty: 53, boosts: [{ type: '数学', amount: 14 }] },
-    { name: '[AtCoder] Suffix Meadow', difficulty: 82, boosts: [{ type: '字符串', amount: 18 }, { type: '数据结构', amount: 6 }] },
+    { name: '[CF] Modular Night', difficulty: 53, boosts: [{ type: '数论', amount: 14 }] },
+    { name: '[AtCoder] Suffix Meadow', difficulty: 82, boosts: [{ type: 'SAM', amount: 18 }, { type: '数据结构', amount: 6 }] },
     { name: '[NOI2007] 结构之试', difficulty: 57, boosts: [{ type: '数据结构', amount: 15 }] },
     { name: '[CF] Color Loom', difficulty: 62, boosts: [{ type: '图论', amount: 14 }, { type: '数学', amount: 4 }] },
     { name: '[POJ] 基调DP', difficulty: 58, boosts: [{ type: '动态规划', amount: 13 }, { type: '数学', amount: 4 }] },
@@ -87,61 +89,61 @@ const TASK_POOL = [
     { name: '[CF] LCS Variant', difficulty: 66, boosts: [{ type: '字符串', amount: 15 }, { type: '数据结构', amount: 5 }] },
     { name: '[JOI2012] 山间议事', difficulty: 84, boosts: [{ type: '图论', amount: 18 }, { type: '动态规划', amount: 9 }] },
     { name: '[POJ] 最小割典藏', difficulty: 96, boosts: [{ type: '图论', amount: 21 }, { type: '数学', amount: 6 }] },
-    { name: '[CF] Counting Paths', difficulty: 47, boosts: [{ type: '数学', amount: 12 }] },
+    { name: '[CF] Counting Paths', difficulty: 47, boosts: [{ type: '组合计数', amount: 12 }] },
     { name: '[AtCoder] Meadow Greed', difficulty: 30, boosts: [{ type: '数学', amount: 7 }] },
     { name: '[IOI2008] Planet M', difficulty: 82, boosts: [{ type: '动态规划', amount: 22 }, { type: '图论', amount: 8 }] },
     { name: '[NOI2006] 约束之书', difficulty: 82, boosts: [{ type: '图论', amount: 18 }, { type: '数学', amount: 6 }] },
-    { name: '[CF] Fenwick Tales', difficulty: 44, boosts: [{ type: '数据结构', amount: 11 }] },
+    { name: '[CF] Fenwick Tales', difficulty: 44, boosts: [{ type: '树状数组', amount: 11 }] },
     { name: '[POJ] 线性基札记', difficulty: 73, boosts: [{ type: '数学', amount: 16 }] },
     { name: '[AtCoder] FFT Grove', difficulty: 103, boosts: [{ type: '数学', amount: 22 }] },
     { name: '[USACO Silver] DP Basics', difficulty: 35, boosts: [{ type: '动态规划', amount: 10 }] },
-    { name: '[CF] Random Strings', difficulty: 35, boosts: [{ type: '字符串', amount: 9 }, { type: '数学', amount: 3 }] },
+    { name: '[CF] Random Strings', difficulty: 35, boosts: [{ type: '字符串', amount: 9 }, { type: '概率期望', amount: 3 }] },
     { name: '[IOI2014] Challenge Heights', difficulty: 119, boosts: [{ type: '数学', amount: 29 }, { type: '动态规划', amount: 13 }] },
     { name: '[NOI2013] 区段迷踪', difficulty: 64, boosts: [{ type: '动态规划', amount: 15 }, { type: '数据结构', amount: 5 }] },
-    { name: '[CF] Twin Trees', difficulty: 86, boosts: [{ type: '图论', amount: 19 }, { type: '动态规划', amount: 10 }] },
-    { name: '[AtCoder] Suffix Bloom', difficulty: 83, boosts: [{ type: '字符串', amount: 18 }] },
-    { name: '[POJ] 背包札记', difficulty: 46, boosts: [{ type: '动态规划', amount: 12 }] },
+    { name: '[CF] Twin Trees', difficulty: 86, boosts: [{ type: '树上问题', amount: 19 }, { type: '动态规划', amount: 10 }] },
+    { name: '[AtCoder] Suffix Bloom', difficulty: 83, boosts: [{ type: 'SAM', amount: 18 }] },
+    { name: '[POJ] 背包札记', difficulty: 46, boosts: [{ type: '背包', amount: 12 }] },
     { name: '[USACO Gold] River Network', difficulty: 100, boosts: [{ type: '图论', amount: 21 }, { type: '数学', amount: 7 }] },
     { name: '[CF] Dynamic Range', difficulty: 65, boosts: [{ type: '数据结构', amount: 15 }] },
     { name: '[IOI2008] Matrix Mirth', difficulty: 87, boosts: [{ type: '动态规划', amount: 20 }, { type: '图论', amount: 7 }] },
-    { name: '[NOIP] 数论札记', difficulty: 49, boosts: [{ type: '数学', amount: 13 }] },
+    { name: '[NOIP] 数论札记', difficulty: 49, boosts: [{ type: '数论', amount: 13 }] },
     { name: '[AtCoder] ABC Easy', difficulty: 18, boosts: [{ type: '数学', amount: 4 }] },
-    { name: '[CF] Hash & Union', difficulty: 43, boosts: [{ type: '数据结构', amount: 11 }, { type: '图论', amount: 4 }] },
+    { name: '[CF] Hash & Union', difficulty: 43, boosts: [{ type: '并查集', amount: 11 }, { type: '图论', amount: 4 }] },
     { name: '[POJ] LIS Grove', difficulty: 32, boosts: [{ type: '动态规划', amount: 10 }] },
     { name: '[JOI2018] 构造之道', difficulty: 90, boosts: [{ type: '数学', amount: 20 }] },
     { name: '[IOI2000] Ancient Puzzle', difficulty: 108, boosts: [{ type: '数学', amount: 24 }, { type: '图论', amount: 7 }] },
-    { name: '[NOI2016] 树影', difficulty: 63, boosts: [{ type: '图论', amount: 15 }, { type: '数据结构', amount: 5 }] },
+    { name: '[NOI2016] 树影', difficulty: 63, boosts: [{ type: '树上问题', amount: 15 }, { type: '数据结构', amount: 5 }] },
     { name: '[CF] Bitmasked DP', difficulty: 94, boosts: [{ type: '动态规划', amount: 21 }, { type: '数学', amount: 7 }] },
-    { name: '[AtCoder] Craft Count', difficulty: 96, boosts: [{ type: '数学', amount: 22 }] },
+    { name: '[AtCoder] Craft Count', difficulty: 96, boosts: [{ type: '组合计数', amount: 22 }] },
     { name: '[POJ] 跳跃篇', difficulty: 43, boosts: [{ type: '数据结构', amount: 11 }, { type: '图论', amount: 4 }] },
     { name: '[USACO Gold] Range Quilt', difficulty: 59, boosts: [{ type: '数据结构', amount: 14 }, { type: '数学', amount: 4 }] },
-    { name: '[CF] Bridges & Cuts', difficulty: 50, boosts: [{ type: '图论', amount: 13 }] },
+    { name: '[CF] Bridges & Cuts', difficulty: 50, boosts: [{ type: '连通性', amount: 13 }] },
     { name: '[IOI2006] Planet Quest', difficulty: 112, boosts: [{ type: '图论', amount: 23 }, { type: '数学', amount: 8 }] },
-    { name: '[NOIP2021] 双分匹配', difficulty: 47, boosts: [{ type: '图论', amount: 12 }] },
+    { name: '[NOIP2021] 双分匹配', difficulty: 47, boosts: [{ type: '网络流', amount: 12 }] },
     { name: '[AtCoder DP] Twilight Task', difficulty: 84, boosts: [{ type: '动态规划', amount: 20 }, { type: '数学', amount: 6 }] },
     { name: '[CF] Combinatorics Core', difficulty: 55, boosts: [{ type: '数学', amount: 14 }] },
     { name: '[POJ] 回文之歌', difficulty: 82, boosts: [{ type: '字符串', amount: 18 }] },
     { name: '[USACO Silver] Greedy Day', difficulty: 31, boosts: [{ type: '数学', amount: 7 }] },
     { name: '[IOI2016] Split Shores', difficulty: 116, boosts: [{ type: '动态规划', amount: 25 }, { type: '数学', amount: 10 }] },
     { name: '[AtCoder] ABC Math', difficulty: 42, boosts: [{ type: '数学', amount: 11 }] },
-    { name: '[CF] Trie Ensemble', difficulty: 72, boosts: [{ type: '字符串', amount: 15 }, { type: '数据结构', amount: 11 }] },
-    { name: '[NOI2005] 最短余波', difficulty: 65, boosts: [{ type: '图论', amount: 16 }, { type: '数学', amount: 4 }] },
+    { name: '[CF] Trie Ensemble', difficulty: 72, boosts: [{ type: 'AC自动机', amount: 15 }, { type: '数据结构', amount: 11 }] },
+    { name: '[NOI2005] 最短余波', difficulty: 65, boosts: [{ type: '最短路', amount: 16 }, { type: '数学', amount: 4 }] },
     { name: '[POJ] 区块DP', difficulty: 68, boosts: [{ type: '动态规划', amount: 16 }] },
     { name: '[USACO Gold] Lane Locks', difficulty: 82, boosts: [{ type: '图论', amount: 19 }, { type: '动态规划', amount: 6 }] },
-    { name: '[CF] Counting DP', difficulty: 59, boosts: [{ type: '动态规划', amount: 14 }, { type: '数学', amount: 4 }] },
+    { name: '[CF] Counting DP', difficulty: 59, boosts: [{ type: '动态规划', amount: 14 }, { type: '组合计数', amount: 4 }] },
     { name: '[AtCoder] String Merge', difficulty: 49, boosts: [{ type: '字符串', amount: 12 }, { type: '动态规划', amount: 4 }] },
     { name: '[JOI2014] Forest Search', difficulty: 70, boosts: [{ type: '图论', amount: 15 }] },
     { name: '[IOI2009] Labyrinth', difficulty: 110, boosts: [{ type: '动态规划', amount: 23 }, { type: '数据结构', amount: 8 }] },
     { name: '[NOI2017] 挑战', difficulty: 91, boosts: [{ type: '数据结构', amount: 31 }] },
     { name: '[CF] Minimal Rotate', difficulty: 36, boosts: [{ type: '字符串', amount: 9 }] },
-    { name: '[POJ] 后缀森林', difficulty: 84, boosts: [{ type: '字符串', amount: 19 }, { type: '数据结构', amount: 4 }] },
+    { name: '[POJ] 后缀森林', difficulty: 84, boosts: [{ type: 'SAM', amount: 19 }, { type: '数据结构', amount: 4 }] },
     { name: '[USACO Platinum] Pinnacle DP', difficulty: 106, boosts: [{ type: '动态规划', amount: 23 }, { type: '数据结构', amount: 16 }] },
     { name: '[AGC] Silent Construct', difficulty: 108, boosts: [{ type: '数学', amount: 24 }] },
     { name: '[CF] Binary Jump', difficulty: 53, boosts: [{ type: '数据结构', amount: 13 }] },
     { name: '[IOI2003] Ancient Lab', difficulty: 91, boosts: [{ type: '数学', amount: 21 }, { type: '图论', amount: 6 }] },
     { name: '[NOI2018] 构造赛道', difficulty: 47, boosts: [{ type: '数学', amount: 11 }] },
     { name: '[POJ] Scanline Merge', difficulty: 74, boosts: [{ type: '数据结构', amount: 16 }, { type: '数学', amount: 6 }] },
-    { name: '[CF] Mask DP', difficulty: 73, boosts: [{ type: '动态规划', amount: 18 }] },
+    { name: '[CF] Mask DP', difficulty: 73, boosts: [{ type: '状压DP', amount: 18 }] },
     { name: '[AtCoder] String Merge 2', difficulty: 77, boosts: [{ type: '字符串', amount: 16 }, { type: '动态规划', amount: 6 }] },
     { name: '[USACO Gold] Clique Test', difficulty: 85, boosts: [{ type: '数学', amount: 19 }, { type: '图论', amount: 7 }] },
     { name: '[IOI2019] Ultimate Hard', difficulty: 120, boosts: [{ type: '数学', amount: 31 }, { type: '动态规划', amount: 13 }] },
@@ -150,7 +152,7 @@ const TASK_POOL = [
     { name: '[AtCoder] Silent Citadel', difficulty: 68, boosts: [{ type: '数学', amount: 16 }, { type: '动态规划', amount: 5 }] },
     { name: '[JOI] さくらのきせつ', difficulty: 95, boosts: [{ type: '动态规划', amount: 21 }, { type: '数据结构', amount: 7 }] },
     { name: '[POJ] River of Memory', difficulty: 32, boosts: [{ type: '字符串', amount: 8 }, { type: '数学', amount: 3 }] },
-    { name: '[NOI] 幻影流沙', difficulty: 125, boosts: [{ type: '图论', amount: 28 }, { type: '数学', amount: 12 }, { type: '动态规划', amount: 10 }] },
+    { name: '[NOI] 幻影流沙', difficulty: 125, boosts: [{ type: '网络流', amount: 28 }, { type: '数学', amount: 12 }, { type: '动态规划', amount: 10 }] },
     { name: '[IOI] Starfall Echo', difficulty: 105, boosts: [{ type: '数据结构', amount: 23 }, { type: '动态规划', amount: 9 }] },
     { name: '[CF] Bluebell Grove', difficulty: 1, boosts: [{ type: '数学', amount: 1 }] },
     { name: '[AtCoder] Whispering Coast', difficulty: 77, boosts: [{ type: '图论', amount: 17 }, { type: '数学', amount: 6 }] },
@@ -368,7 +370,7 @@ const TASK_POOL = [
     { name: '[CF] Bluebell Grove II', difficulty: 9, boosts: [{ type: '数学', amount: 2 }] },
     { name: '[JOI] ほし', difficulty: 60, boosts: [{ type: '数据结构', amount: 14 }, { type: '动态规划', amount: 4 }] },
     { name: '[AtCoder] Mountain Whisper II', difficulty: 80, boosts: [{ type: '动态规划', amount: 18 }, { type: '数学', amount: 6 }] },
-    { name: '[USACO] Iron Bridge II', difficulty: 83, boosts: [{ type: '动态规划', amount: 19 }, { type: '图论', amount: 7 }] },
+    { name: '[USACO] Iron Bridge II', difficulty: 83, boosts: [{ type: '动态规划', amount: 19 }, { type: '连通性', amount: 7 }] },
     { name: '[POJ] Ancient Cipher II', difficulty: 91, boosts: [{ type: '图论', amount: 20 }, { type: '动态规划', amount: 7 }] },
     { name: '[NOI] 山上的国度', difficulty: 119, boosts: [{ type: '动态规划', amount: 27 }, { type: '数学', amount: 11 }] },
     { name: '[IOI] Frozen Citadel II', difficulty: 130, boosts: [{ type: '数学', amount: 30 }, { type: '数据结构', amount: 13 }, { type: '图论', amount: 10 }] },
@@ -389,7 +391,7 @@ const TASK_POOL = [
     { name: '[CF] happiness', difficulty: 13, boosts: [{ type: '数学', amount: 3 }] },
     { name: '[JOI] なつ', difficulty: 64, boosts: [{ type: '数据结构', amount: 15 }, { type: '动态规划', amount: 5 }] },
     { name: '[AtCoder] Shadow Harbor II', difficulty: 84, boosts: [{ type: '动态规划', amount: 19 }, { type: '数学', amount: 7 }] },
-    { name: '[USACO] Iron Bridge III', difficulty: 87, boosts: [{ type: '动态规划', amount: 20 }, { type: '图论', amount: 7 }] },
+    { name: '[USACO] Iron Bridge III', difficulty: 87, boosts: [{ type: '动态规划', amount: 20 }, { type: '连通性', amount: 7 }] },
     { name: '[POJ] River of Memory III', difficulty: 93, boosts: [{ type: '图论', amount: 21 }, { type: '动态规划', amount: 8 }] },
     { name: '[NOI] 种树', difficulty: 121, boosts: [{ type: '动态规划', amount: 27 }, { type: '数学', amount: 11 }] },
     { name: '[IOI] The Sentinel II', difficulty: 129, boosts: [{ type: '数学', amount: 30 }, { type: '数据结构', amount: 12 }, { type: '图论', amount: 10 }] },
@@ -418,9 +420,9 @@ const TASK_POOL = [
     { name: '[JOI2024] 超次元迷宫', difficulty: 148, boosts: [{ type: '图论', amount: 34 }, { type: '数据结构', amount: 15 }, { type: '动态规划', amount: 13 }] },
     { name: '[IOI2022] Parallel Universe', difficulty: 185, boosts: [{ type: '动态规划', amount: 42 }, { type: '数学', amount: 19 }, { type: '图论', amount: 17 }] },
     { name: '[NOI2022] 视界', difficulty: 162, boosts: [{ type: '数学', amount: 37 }, { type: '图论', amount: 16 }, { type: '数据结构', amount: 14 }] },
-    { name: '[AtCoder AGC] Prime Labyrinth', difficulty: 135, boosts: [{ type: '数学', amount: 31 }, { type: '图论', amount: 13 }] },
-    { name: '[CF] Matrix Exponentiation', difficulty: 128, boosts: [{ type: '数学', amount: 29 }, { type: '动态规划', amount: 12 }] },
-    { name: '[USACO Platinum] Tree Isomorphism', difficulty: 151, boosts: [{ type: '图论', amount: 34 }, { type: '数据结构', amount: 15 }] },
+    { name: '[AtCoder AGC] Prime Labyrinth', difficulty: 135, boosts: [{ type: '数论', amount: 31 }, { type: '图论', amount: 13 }] },
+    { name: '[CF] Matrix Exponentiation', difficulty: 128, boosts: [{ type: '线性代数', amount: 29 }, { type: '动态规划', amount: 12 }] },
+    { name: '[USACO Platinum] Tree Isomorphism', difficulty: 151, boosts: [{ type: '树上问题', amount: 34 }, { type: '数据结构', amount: 15 }] },
     { name: '[IOI2021] Wormhole Network', difficulty: 178, boosts: [{ type: '图论', amount: 40 }, { type: '动态规划', amount: 18 }, { type: '数学', amount: 16 }] },
     { name: '[NOI2021] 弦理论', difficulty: 169, boosts: [{ type: '数学', amount: 38 }, { type: '动态规划', amount: 17 }, { type: '数据结构', amount: 15 }] },
     { name: '[JOI2023] 異次元の扉', difficulty: 144, boosts: [{ type: '动态规划', amount: 33 }, { type: '图论', amount: 14 }] },
@@ -431,7 +433,7 @@ const TASK_POOL = [
     { name: '[USACO Platinum] Quantum Leap', difficulty: 156, boosts: [{ type: '图论', amount: 35 }, { type: '动态规划', amount: 16 }] },
     { name: '[CF] Non-Euclidean Geometry', difficulty: 149, boosts: [{ type: '数学', amount: 34 }, { type: '图论', amount: 15 }] },
     { name: '[JOI2022] 時間の迷路', difficulty: 153, boosts: [{ type: '动态规划', amount: 35 }, { type: '数据结构', amount: 15 }, { type: '图论', amount: 13 }] },
-    { name: '[AtCoder AGC] Infinite Tree', difficulty: 147, boosts: [{ type: '图论', amount: 33 }, { type: '数学', amount: 14 }] },
+    { name: '[AtCoder AGC] Infinite Tree', difficulty: 147, boosts: [{ type: '树上问题', amount: 33 }, { type: '数学', amount: 14 }] },
     { name: '[IOI2019] Space-Time Continuum', difficulty: 196, boosts: [{ type: '数学', amount: 44 }, { type: '动态规划', amount: 21 }, { type: '图论', amount: 19 }] },
     { name: '[NOI2019] 神奇的猫', difficulty: 181, boosts: [{ type: '图论', amount: 41 }, { type: '数学', amount: 18 }, { type: '动态规划', amount: 17 }] },
     { name: '[CF] Tensor Analysis', difficulty: 164, boosts: [{ type: '数学', amount: 37 }, { type: '动态规划', amount: 16 }] },
@@ -443,7 +445,7 @@ const TASK_POOL = [
     { name: '[CF] Category Theory', difficulty: 171, boosts: [{ type: '数学', amount: 39 }, { type: '动态规划', amount: 17 }] },
     { name: '[USACO Platinum] Event Horizon', difficulty: 166, boosts: [{ type: '图论', amount: 38 }, { type: '动态规划', amount: 16 }] },
     { name: '[JOI2020] 超弦理論', difficulty: 168, boosts: [{ type: '动态规划', amount: 38 }, { type: '数学', amount: 17 }, { type: '数据结构', amount: 15 }] },
-    { name: '[AtCoder AGC] Prime Dimension', difficulty: 176, boosts: [{ type: '数学', amount: 40 }, { type: '图论', amount: 17 }] },
+    { name: '[AtCoder AGC] Prime Dimension', difficulty: 176, boosts: [{ type: '数论', amount: 40 }, { type: '图论', amount: 17 }] },
     { name: '[IOI2017] Holographic Principle', difficulty: 210, boosts: [{ type: '动态规划', amount: 47 }, { type: '数学', amount: 23 }, { type: '图论', amount: 21 }] },
     { name: '[NOI2017] 量子隧道', difficulty: 195, boosts: [{ type: '图论', amount: 44 }, { type: '数学', amount: 20 }, { type: '数据结构', amount: 19 }] },
     { name: '[CF] Homological Algebra', difficulty: 183, boosts: [{ type: '数学', amount: 41 }, { type: '动态规划', amount: 18 }] },
@@ -504,7 +506,7 @@ function selectRandomTasks(count = 7) {
   }
 
   // 应用全局题目难度增幅
-  const difficultyMult = (typeof DIFFICULTY_MULTIPLIER !== 'undefined' ? DIFFICULTY_MULTIPLIER : 1.0);
+  const difficultyMult = getRuleMultiplier('difficulty');
 
   // 计算所有题目的吸收率和有效难度
   const tasksWithScore = TASK_POOL.map(task => {
@@ -622,7 +624,7 @@ function shuffleArray(array) {
  */
 function calculateBoostMultiplier(studentAbility, taskDifficulty) {
   // 应用全局题目难度增幅
-  const difficultyMult = (typeof DIFFICULTY_MULTIPLIER !== 'undefined' ? DIFFICULTY_MULTIPLIER : 1.0);
+  const difficultyMult = getRuleMultiplier('difficulty');
   const effectiveDifficulty = taskDifficulty * difficultyMult;
   
   const diff = studentAbility - effectiveDifficulty;
@@ -51,6 +51,31 @@ function setRandomSeed(seed) {
   }
 }
 
+// 获取当前随机数生成器状态（用于存档）；未设置种子时返回 null
+function getRandomState() {
+  if (!_globalRng) return null;
+  return {
+    seed: _globalRng.seed,
+    useNative: _globalRng.useNative,
+    state0: _globalRng.state0,
+    state1: _globalRng.state1
+  };
+}
+
+// 恢复随机数生成器状态（getRandomState 的逆操作）
+function setRandomState(state) {
+  if (!state) {
+    _globalRng = null;
+    return;
+  }
+  const rng = new SeededRandom(state.useNative ? -1 : state.seed);
+  if (!rng.useNative) {
+    rng.state0 = state.state0;
+    rng.state1 = state.state1;
+  }
+  _globalRng = rng;
+}
+
 // 获取随机数（0-1之间）
 function getRandom() {
   if (_globalRng) {
@@ -0,0 +1,47 @@
+/* example.js - 示例插件：演示 PluginManager 的注册 API 与钩子（默认不启用，可在开始页勾选） */
+(function(){
+  if(typeof PluginManager === 'undefined') return;
+
+  PluginManager.register({
+    id: 'example',
+    name: '示例插件',
+    version: '1.0',
+    author: 'OItrainer',
+    description: '新增一道练习题、一个声明式天赋和一个小事件，并在比赛结束后记录全队最高分。',
+    setup(api){
+      api.addTask({ name: '[插件] 示例·前缀和入门', difficulty: 20, boosts: [{ type: '数据结构', amount: 6 }] });
+
+      api.registerTalent({
+        name: '夜猫子',
+        description: '比赛开始时有一半概率进入状态，代码能力临时+10%。',
+        color: '#455A64',
+        prob: 0.03,
+        kind: 'positive',
+        rules: [{
+          on: 'contest_start',
+          chance: 0.5,
+          once: true,
+          effects: [{ stat: 'coding', mul: 1.1 }],
+          message: '夜猫子发动：代码能力 +10%（赛中临时）'
+        }]
+      });
+
+      api.registerEvent({
+        id: 'example_pizza_night',
+        name: '披萨之夜',
+        description: '教练自掏腰包请全队吃披萨',
+        when: { pressure: { gte: 50 } },
+        chance: 0.02,
+        effects: { budget: -500, pressure: -5 },
+        message: '教练请全队吃披萨，花费 ¥{budget}，学生压力 -{pressure}'
+      });
+    },
+    hooks: {
+      contestFinish(ctx){
+        if(ctx.mock || !Array.isArray(ctx.results)) return;
+        const best = ctx.results.reduce((m, r) => Math.max(m, Number(r.totalScore) || 0), 0);
+        console.log(`[插件:示例插件] ${ctx.comp && ctx.comp.name} 全队最高分 ${best}`);
+      }
+    }
+  });
+})();
@@ -49,22 +49,16 @@ function getStudentQualificationStatus(student) {
     result.nextContest = nextComp.name;
     
     // 检查学生是否已经晋级下一场比赛
-    // CSP-S1 不需要晋级资格，所有人都可以参加
-    if (nextComp.name === 'CSP-S1') {
+    // 晋级链第一场（官方赛季为 CSP-S1）不需要晋级资格，所有人都可以参加
+    const chainIdx = COMPETITION_ORDER.indexOf(nextComp.name);
+    if (chainIdx === 0) {
       result.hasQualification = true;
-      result.html = '<span class="qualification-badge qualified" title="所有学生均可参加CSP-S1">✓</span>';
+      result.html = `<span class="qualification-badge qualified" title="所有学生均可参加${nextComp.name}">✓</span>`;
       return result;
     }
     
-    // 检查晋级链：CSP-S1 -> CSP-S2 -> NOIP -> 省选 -> NOI
-    const qualChain = {
-      'CSP-S2': 'CSP-S1',
-      'NOIP': 'CSP-S2',
-      '省选': 'NOIP',
-      'NOI': '省选'
-    };
-    
-    const requiredComp = qualChain[nextComp.name];
+    // 检查晋级链（COMPETITION_ORDER，官方赛季为 CSP-S1 -> CSP-S2 -> NOIP -> 省选 -> NOI）
+    const requiredComp = chainIdx > 0 ? COMPETITION_ORDER[chainIdx - 1] : null;
     if (requiredComp) {
       // 检查学生是否在qualification集合中
       const qualSet = game.qualification[currentHalf][requiredComp];
@@ -432,6 +426,10 @@ function renderAll(){
   
   const comfortEl = $('comfort-val');
   if(comfortEl) comfortEl.innerText = Math.floor(displayComfort);
+  const chemistryEl = $('chemistry-val');
+  if(chemistryEl) chemistryEl.innerText = Math.round(game.getTeamChemistry());
+  const plannerTitle = document.querySelector('#action-planner .card-title');
+  if(plannerTitle) plannerTitle.innerText = (window.TrainingPlanner && TrainingPlanner.isRunning()) ? '停止自动执行' : '训练计划';
   $('fac-computer').innerText = game.facilities.computer;
   $('fac-library').innerText = game.facilities.library;
   $('fac-ac').innerText = game.facilities.ac;
@@ -468,8 +466,17 @@ function renderAll(){
     let qualificationInfo = getStudentQualificationStatus(s);
     
     let talentsHtml = '';
+    let synergyHtml = '';
     if(s.talents && s.talents.size > 0){
       const talentArray = Array.from(s.talents);
+      // 天赋冲突：不生效的天赋划线显示；已激活的协同单独列出
+      const tm = window.TalentManager;
+      const suppressed = (tm && typeof tm.getSuppressedTalents === 'function') ? tm.getSuppressedTalents(s) : new Set();
+      const synergies = (tm && typeof tm.getActiveSynergies === 'function') ? tm.getActiveSynergies(s) : [];
+      synergyHtml = synergies.map(syn => `<span class="talent-tag" data-synergy="${syn.name}" style="background-color:${syn.color}20;color:${syn.color};border-color:${syn.color}40;">
+    ${syn.name}
+    <span class="talent-tooltip">${syn.description}</span>
+  </span>`).join('');
         talentsHtml = talentArray.map(talentName => {
             const talentInfo = window.TalentManager ? window.TalentManager.getTalentInfo(talentName) : { name: talentName, description: '暂无描述', color: '#2b6cb0' };
 
@@ -501,13 +508,40 @@ function renderAll(){
              border-color: ${talentInfo.color}40;`;
             }
 
-            return `<span class="talent-tag" data-talent="${talentName}" style="${style}">
+            if (suppressed.has(talentName)) {
+                const conflict = tm.getConflicts().find(c => c.talents.includes(talentName) && c.talents.every(t => s.talents.has(t)));
+                return `<span class="talent-tag" data-talent="${talentName}" style="${style}text-decoration:line-through;opacity:0.6;">
     ${talentName}
-    <span class="talent-tooltip">${talentInfo.description}</span>
+    <span class="talent-tooltip">${talentInfo.description}（冲突不生效：${conflict ? conflict.description : ''}）</span>
+  </span>`;
+            }
+
+            // 可进阶天赋显示等级与进度
+            let tierLabel = '';
+            let tierTip = '';
+            if (tm && typeof tm.getTalentProgress === 'function' && tm.getTalent(talentName) && tm.getTalent(talentName).tiers) {
+                const tp = tm.getTalentProgress(s, talentName);
+                tierLabel = ` Lv${tp.level}`;
+                tierTip = tp.need ? `（进阶进度 ${tp.progress}/${tp.need}）` : '（已满级）';
+            }
+
+            return `<span class="talent-tag" data-talent="${talentName}" style="${style}">
+    ${talentName}${tierLabel}
+    <span class="talent-tooltip">${talentInfo.description}${tierTip}</span>
   </span>`;
         }).join('');
     }
     
+    // 知识遗忘：生疏的知识点徽章虚线显示
+    const rustyTopics = game.getRustyTopics(s);
+    const rustyAttr = topic => rustyTopics.includes(topic) ? ' rusty' : '';
+    const rustyTip = topic => rustyTopics.includes(topic) ? `（生疏：已 ${s.weeksSinceKnowledgeGain(topic, game.week)} 周未训练）` : '';
+    // 子知识点短板：掌握度修正明显低于 1 的子知识点
+    const gapTip = topic => {
+      const weak = listSubtopics(topic).filter(k => s.getSubtopicFactor(k) < 0.95);
+      return weak.length ? `（短板：${weak.join('、')}）` : '';
+    };
+    
     out += `<div class="student-box">
       <button class="evict-btn" data-idx="${game.students.indexOf(s)}" title="劝退">劝退</button>
       
@@ -527,19 +561,19 @@ function renderAll(){
         <div style="display:flex;align-items:center;gap:6px;">
           <span style="font-size:12px;color:#718096;font-weight:600;">知识</span>
           <div class="knowledge-badges">
-            <span class="kb" title="数据结构: ${Math.floor(Number(s.knowledge_ds||0))}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.knowledge_ds||0)))}">
+            <span class="kb${rustyAttr('数据结构')}" title="数据结构: ${Math.floor(Number(s.knowledge_ds||0))}${rustyTip('数据结构')}${gapTip('数据结构')}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.knowledge_ds||0)))}">
               DS ${getLetterGradeAbility(Math.floor(Number(s.knowledge_ds||0)))}
             </span>
-            <span class="kb" title="图论: ${Math.floor(Number(s.knowledge_graph||0))}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.knowledge_graph||0)))}">
+            <span class="kb${rustyAttr('图论')}" title="图论: ${Math.floor(Number(s.knowledge_graph||0))}${rustyTip('图论')}${gapTip('图论')}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.knowledge_graph||0)))}">
               图论 ${getLetterGradeAbility(Math.floor(Number(s.knowledge_graph||0)))}
             </span>
-            <span class="kb" title="字符串: ${Math.floor(Number(s.knowledge_string||0))}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.knowledge_string||0)))}">
+            <span class="kb${rustyAttr('字符串')}" title="字符串: ${Math.floor(Number(s.knowledge_string||0))}${rustyTip('字符串')}${gapTip('字符串')}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.knowledge_string||0)))}">
               字符串${getLetterGradeAbility(Math.floor(Number(s.knowledge_string||0)))}
             </span>
-            <span class="kb" title="数学: ${Math.floor(Number(s.knowledge_math||0))}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.knowledge_math||0)))}">
+            <span class="kb${rustyAttr('数学')}" title="数学: ${Math.floor(Number(s.knowledge_math||0))}${rustyTip('数学')}${gapTip('数学')}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.knowledge_math||0)))}">
               数学 ${getLetterGradeAbility(Math.floor(Number(s.knowledge_math||0)))}
             </span>
-            <span class="kb" title="动态规划: ${Math.floor(Number(s.knowledge_dp||0))}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.knowledge_dp||0)))}">
+            <span class="kb${rustyAttr('动态规划')}" title="动态规划: ${Math.floor(Number(s.knowledge_dp||0))}${rustyTip('动态规划')}${gapTip('动态规划')}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.knowledge_dp||0)))}">
               DP ${getLetterGradeAbility(Math.floor(Number(s.knowledge_dp||0)))}
             </span>
             <span class="kb ability" title="思维: ${Math.floor(Number(s.thinking||0))}" data-grade="${getLetterGradeAbility(Math.floor(Number(s.thinking||0)))}">思维${getLetterGradeAbility(Math.floor(Number(s.thinking||0)))}</span>
@@ -548,6 +582,7 @@ function renderAll(){
         </div>
         
         ${talentsHtml ? `<div style="display:flex;align-items:center;gap:6px;"><span style="font-size:12px;color:#718096;font-weight:600;">天赋</span><div class="student-talents">${talentsHtml}</div></div>` : ''}
+        ${synergyHtml ? `<div style="display:flex;align-items:center;gap:6px;"><span style="font-size:12px;color:#718096;font-weight:600;">协同</span><div class="student-talents">${synergyHtml}</div></div>` : ''}
       </div>
     </div>`;
   }
@@ -752,8 +787,15 @@ function trainStudentsUI(){
     game.weeklyTasks = tasks;
   }
   
+  // 知识遗忘：标出能复习生疏知识点的题目
+  const teamRusty = new Set();
+  for(const s of game.students){ if(s && s.active !== false) game.getRustyTopics(s).forEach(t => teamRusty.add(t)); }
   const taskCards = tasks.map((task, idx) => {
-    const boostStr = task.boosts.map(b => `${b.type}+${b.amount}`).join(' ');
+    const boostStr = task.boosts.map(b => {
+      const rusty = teamRusty.has(getTopicParent(b.type));
+      const label = isSubtopic(b.type) ? `${getTopicParent(b.type)}·${b.type}` : b.type;
+      return `${label}+${b.amount}${rusty ? '<span style="color:#b45309">(复习)</span>' : ''}`;
+    }).join(' ');
     const diffTag = renderDifficultyTag(task.difficulty);
     return `
     <div class="prov-card option-card task-card" data-idx="${idx}" style="min-width:200px;padding:12px;border-radius:6px;cursor:pointer;border:2px solid #ddd;">
@@ -778,6 +820,30 @@ function trainStudentsUI(){
     <div class="small muted" style="margin-top:6px;text-align:center;">强度影响压力和训练效果</div>
   `;
 
+  // 个别安排：每名学生可跟随全队、单独指定题目 / 强度或本周休息
+  const planStudents = game.students.filter(s => s && s.active !== false);
+  const planRows = planStudents.map((s, i) => {
+    const suggestRest = s.sick_weeks > 0 || s.pressure >= 80;
+    const taskOpts = tasks.map((t, idx) => `<option value="${idx}">${t.name}</option>`).join('');
+    return `<tr data-plan-idx="${i}">
+      <td style="padding:3px 6px">${s.name}${suggestRest ? ' <span class="warn">建议休息</span>' : ''}</td>
+      <td style="padding:3px 6px;text-align:center">${Math.round(s.pressure)}</td>
+      <td style="padding:3px 6px"><select class="plan-task"><option value="">跟随全队</option><option value="rest">休息</option>${taskOpts}</select></td>
+      <td style="padding:3px 6px"><select class="plan-intensity"><option value="">跟随全队</option><option value="1">轻度</option><option value="2">中度</option><option value="3">重度</option></select></td>
+      <td style="padding:3px 6px;text-align:center" class="plan-predicted">-</td>
+    </tr>`;
+  }).join('');
+  const planHtml = `
+    <details id="train-plan" style="margin-top:12px">
+      <summary class="small" style="cursor:pointer">个别安排（可选）：为学生单独指定题目、强度或休息</summary>
+      <table class="small" style="margin-top:6px;border-collapse:collapse;width:100%">
+        <tr><th style="text-align:left;padding:3px 6px">学生</th><th style="padding:3px 6px">压力</th><th style="padding:3px 6px">安排</th><th style="padding:3px 6px">强度</th><th style="padding:3px 6px">预计压力</th></tr>
+        ${planRows}
+      </table>
+      <div class="small muted" style="margin-top:4px">休息的学生本周不训练，压力额外 -${TRAINING_REST_PRESSURE_RELIEF}</div>
+    </details>
+  `;
+
   showModal(`<h3>选择训练题目</h3>
     <div class="small muted" style="margin-bottom:10px">从下方7道题目中选择一道进行训练。题目提升效果受学生能力与难度匹配度影响。</div>
     <label class="block">可选题目</label>
@@ -785,6 +851,7 @@ function trainStudentsUI(){
     <div id="train-task-helper" class="small muted" style="margin-top:6px;display:none;color:#c53030;font-weight:700"></div>
     <label class="block" style="margin-top:14px">训练强度</label>
     ${intensityHtml}
+    ${planHtml}
     <div class="modal-actions" style="margin-top:16px">
       <button class="btn btn-ghost" onclick="closeModal()">取消</button>
       <button class="btn" id="train-confirm">开始训练（1周）</button>
@@ -841,6 +908,22 @@ function trainStudentsUI(){
   `;
   document.head.appendChild(style);
 
+  // 读取个别安排，没有任何个别安排时返回 null
+  function collectTrainingPlan() {
+    const plan = {};
+    document.querySelectorAll('#train-plan tr[data-plan-idx]').forEach(row => {
+      const s = planStudents[parseInt(row.dataset.planIdx)];
+      const taskVal = row.querySelector('.plan-task').value;
+      const intensityVal = row.querySelector('.plan-intensity').value;
+      if(taskVal === 'rest'){ plan[s.name] = { rest: true }; return; }
+      const assign = {};
+      if(taskVal !== '') assign.task = tasks[parseInt(taskVal)];
+      if(intensityVal !== '') assign.intensity = parseInt(intensityVal);
+      if(Object.keys(assign).length > 0) plan[s.name] = assign;
+    });
+    return Object.keys(plan).length > 0 ? plan : null;
+  }
+
   function updateIntensityWarning() {
     const intensity = parseInt(slider.value);
     const intensityNames = ['', '轻度', '中度', '重度'];
@@ -854,8 +937,18 @@ function trainStudentsUI(){
     
     // 预计算压力变化
     const warningDiv = document.getElementById('intensity-warning');
-    const result = calculateTrainingPressure(selectedTask, intensity);
+    const result = calculateTrainingPressure(selectedTask, intensity, collectTrainingPlan());
     warningDiv.style.display = 'block';
+    // 每名学生的预计压力
+    document.querySelectorAll('#train-plan tr[data-plan-idx]').forEach(row => {
+      const s = planStudents[parseInt(row.dataset.planIdx)];
+      const est = (result.students || []).find(x => x.name === s.name);
+      const cell = row.querySelector('.plan-predicted');
+      if(!est || !cell) return;
+      const v = Math.round(est.predicted);
+      cell.innerText = est.rest ? `${v}（休息）` : String(v);
+      cell.style.color = v >= 90 ? '#c53030' : v >= 70 ? '#d97706' : '#2f855a';
+    });
     // 仅使用彩色文本展示简单状态（不显示背景或额外描述）
     if(result.hasQuitRisk) {
       warningDiv.style.color = '#c53030';
@@ -869,7 +962,9 @@ function trainStudentsUI(){
     }
   }
 
+  // 每次调整都会重新预估（calculateTrainingPressure 会恢复随机数状态，不影响回放）
   slider.addEventListener('input', updateIntensityWarning);
+  document.querySelectorAll('#train-plan select').forEach(sel => sel.addEventListener('change', updateIntensityWarning));
   updateIntensityWarning();
 
   $('train-confirm').onclick = () => {
@@ -886,10 +981,11 @@ function trainStudentsUI(){
     let taskIdx = parseInt(taskBtn.dataset.idx);
     let selectedTask = tasks[taskIdx];
     let intensity = parseInt(slider.value);
+    const plan = collectTrainingPlan();
     
     closeModal();
     
-    trainStudentsWithTask(selectedTask, intensity);
+    trainStudentsWithTask(selectedTask, intensity, plan);
     
     let nextComp = competitions.find(c => c.week > currWeek());
     let weeksToComp = nextComp ? (nextComp.week - currWeek()) : Infinity;
@@ -999,84 +1095,95 @@ function holdMockContestUI(){
   
   $('mock-submit').onclick = ()=>{
     const isPurchased = $('mock-purchase').value === "1";
-    let difficultyConfig, numProblems, questionTagsArray = [];
+    let idx, questionTagsArray = null;
     
     if(isPurchased){
-      const diffIdx = parseInt($('mock-difficulty').value);
-      const comp = COMPETITION_SCHEDULE[diffIdx];
-      difficultyConfig = {
-        type: 'official',
-        difficulty: comp.difficulty,
-        name: comp.name,
-        numProblems: comp.numProblems
-      };
-      numProblems = comp.numProblems;
+      idx = parseInt($('mock-difficulty').value);
+      const numProblems = COMPETITION_SCHEDULE[idx].numProblems;
+      questionTagsArray = [];
       
       let kpOptions = Array.from(document.querySelectorAll('.kp-option'));
       let groupSize = KP_OPTIONS.length;
       for(let q = 0; q < numProblems; q++){
         let tags = [];
         for(let k = 0; k < groupSize; k++){
-          let idx = q * groupSize + k;
-          if(kpOptions[idx] && kpOptions[idx].checked) tags.push(kpOptions[idx].value);
+          let optIdx = q * groupSize + k;
+          if(kpOptions[optIdx] && kpOptions[optIdx].checked) tags.push(kpOptions[optIdx].value);
         }
         questionTagsArray.push(tags);
       }
     } else {
-      const typeIdx = parseInt($('mock-contest-type').value);
-      const contestType = ONLINE_CONTEST_TYPES[typeIdx];
-      difficultyConfig = {
-        type: 'online',
-        typeIdx: typeIdx,
-        difficulty: contestType.difficulty,
-        name: contestType.displayName,
-        onlineContestType: contestType.name,
-        numProblems: contestType.numProblems
-      };
-      numProblems = contestType.numProblems;
-      
-      const allTags = ["数据结构", "图论", "字符串", "数学", "动态规划"];
-      for(let q = 0; q < numProblems; q++){
-        let tags = [];
-        const numTags = 1 + Math.floor(getRandom() * 2);
-        for(let j = 0; j < numTags; j++){
-          const tag = allTags[Math.floor(getRandom() * allTags.length)];
-          if(!tags.includes(tag)) tags.push(tag);
-        }
-        questionTagsArray.push(tags);
-      }
+      idx = parseInt($('mock-contest-type').value);
     }
     
     closeModal();
+    startMockContest(isPurchased, idx, questionTagsArray);
+  };
+}
+
+// 开始一场模拟赛（付费题目 idx 为 COMPETITION_SCHEDULE 下标，网赛 idx 为 ONLINE_CONTEST_TYPES 下标）
+// 网赛的题目标签在这里随机生成，付费题目使用玩家勾选的 questionTagsArray
+function startMockContest(isPurchased, idx, questionTagsArray){
+  let difficultyConfig, numProblems;
+  questionTagsArray = Array.isArray(questionTagsArray) ? questionTagsArray : [];
+  
+  if(isPurchased){
+    const comp = COMPETITION_SCHEDULE[idx];
+    difficultyConfig = {
+      type: 'official',
+      difficulty: comp.difficulty,
+      name: comp.name,
+      numProblems: comp.numProblems
+    };
+  } else {
+    const contestType = ONLINE_CONTEST_TYPES[idx];
+    difficultyConfig = {
+      type: 'online',
+      typeIdx: idx,
+      difficulty: contestType.difficulty,
+      name: contestType.displayName,
+      onlineContestType: contestType.name,
+      numProblems: contestType.numProblems
+    };
+    numProblems = contestType.numProblems;
     
-    if(isPurchased){
-      let cost = uniformInt(MOCK_CONTEST_PURCHASE_MIN_COST, MOCK_CONTEST_PURCHASE_MAX_COST);
-      const adj = Math.round(cost * (game.getExpenseMultiplier ? game.getExpenseMultiplier() : 1));
-      if(game.budget < adj){ alert("经费不足，无法购买题目"); return; }
-      game.recordExpense(adj, '购买付费比赛题目');
-      log(`购买付费比赛题目（${difficultyConfig.name}）， ¥${adj}`);
-    } else {
-      log(`参加网赛（${difficultyConfig.name}，免费）`);
-    }
-    
-    if(typeof window.holdMockContestModalNew === 'function'){
-      window.holdMockContestModalNew(isPurchased, difficultyConfig, questionTagsArray);
-    } else {
-      alert('比赛系统未加载，请刷新页面');
-      return;
+    // 每个标签先选大类，再选其下的子知识点
+    const allTags = listKnowledgeTopics();
+    for(let q = 0; q < numProblems; q++){
+      let tags = [];
+      const numTags = 1 + Math.floor(getRandom() * 2);
+      for(let j = 0; j < numTags; j++){
+        const tag = allTags[Math.floor(getRandom() * allTags.length)];
+        if(tags.some(t => getTopicParent(t) === tag)) continue;
+        const subs = listSubtopics(tag);
+        tags.push(subs.length ? subs[Math.floor(getRandom() * subs.length)] : tag);
+      }
+      questionTagsArray.push(tags);
     }
-    safeWeeklyUpdate(1);
-    renderAll();
-  };
+  }
+  
+  if(isPurchased){
+    let cost = uniformInt(MOCK_CONTEST_PURCHASE_MIN_COST, MOCK_CONTEST_PURCHASE_MAX_COST);
+    const adj = Math.round(cost * (game.getExpenseMultiplier ? game.getExpenseMultiplier() : 1));
+    if(game.budget < adj){ alert("经费不足，无法购买题目"); return; }
+    game.recordExpense(adj, '购买付费比赛题目');
+    log(`购买付费比赛题目（${difficultyConfig.name}）， ¥${adj}`);
+  } else {
+    log(`参加网赛（${difficultyConfig.name}，免费）`);
+  }
+  
+  if(typeof window.holdMockContestModalNew === 'function'){
+    window.holdMockContestModalNew(isPurchased, difficultyConfig, questionTagsArray);
+  } else {
+    alert('比赛系统未加载，请刷新页面');
+    return;
+  }
+  safeWeeklyUpdate(1);
+  renderAll();
 }
 
 function entertainmentUI(){
-  const opts = [
-    {id:1,label:'放假',desc:'减小少许压力',cost:0},
-    {id:2,label:`请学生吃饭 (¥${ENTERTAINMENT_COST_MEAL})`,desc:'补充能量,减小一定压力',cost:ENTERTAINMENT_COST_MEAL},
-    {id:3,label:'体育运动',desc:`减小一定压力,注意天气影响，当前是${game.getWeatherDescription()}天`,cost:0},
-    {id:5,label:`邀请学生打游戲`,desc:'适度减压,有可能提升学生能力',cost:ENTERTAINMENT_COST_CS}
-  ];
+  const opts = getEntertainmentOptions();
   let cardsHtml = opts.map(o=>`
     <div class="prov-card option-card" data-id="${o.id}" style="min-width:120px;border:1px solid #ddd;padding:8px;border-radius:6px;cursor:pointer;">
       <div class="card-title">${o.label}</div>
@@ -1096,53 +1203,174 @@ function entertainmentUI(){
     let sel = document.querySelector('.option-card.selected');
     let id = sel ? parseInt(sel.dataset.id) : opts[0].id;
     let opt = opts.find(o=>o.id===id) || {cost:0, id: id};
-    let cost = opt.cost;
     if(opt.id === 5 && game.facilities.computer < 3){ alert("需要计算机等级 ≥ 3"); return; }
+    const costAdj = Math.round(opt.cost * (game.getExpenseMultiplier ? game.getExpenseMultiplier() : 1));
+    if(game.budget < costAdj){ alert("经费不足"); return; }
+    closeModal();
+    applyEntertainment(opt.id);
+  };
+}
+
+// 训练计划面板：为接下来几周安排行动，可保存后自动逐周执行（见 lib/planner.js）
+function plannerUI(){
+  const TP = window.TrainingPlanner;
+  if(!TP){ alert('训练计划模块未加载'); return; }
+  if(TP.isRunning()){
+    TP.stop();
+    return;
+  }
+  TP.prune();
+  const startWeek = currWeek();
+  const endWeek = Math.min(SEASON_WEEKS, startWeek + PLANNER_MAX_WEEKS - 1);
+  const topics = listKnowledgeTopics();
+  // 放假单独作为行动类型；打游戏需要计算机等级 ≥ 3
+  const ents = getEntertainmentOptions().filter(o => o.id !== 1 && (o.id !== 5 || game.facilities.computer >= 3));
+  const provOpts = Object.keys(PROVINCES).map(id => `<option value="${id}">${PROVINCES[id].name}</option>`).join('');
+  const rows = [];
+  for(let w = startWeek; w <= endWeek; w++){
+    const comp = competitions.find(c => c.week === w);
+    const a = TP.getAction(w) || {};
+    const sel = (v, cur) => String(v) === String(cur) ? ' selected' : '';
+    rows.push(`<tr data-week="${w}">
+      <td style="padding:3px 6px;white-space:nowrap">第 ${w} 周${comp ? ` <span class="warn">${comp.name}</span>` : ''}</td>
+      <td style="padding:3px 6px"><select class="plan-type">
+        <option value="">无</option>
+        ${Object.keys(TP.ACTION_TYPES).map(t => `<option value="${t}"${sel(t, a.type)}>${TP.ACTION_TYPES[t]}</option>`).join('')}
+      </select></td>
+      <td style="padding:3px 6px">
+        <span class="plan-opt" data-for="train"><select class="plan-topic"><option value="">不限知识点</option>${topics.map(t => `<option value="${t}"${sel(t, a.topic)}>${t}</option>`).join('')}</select>
+          <select class="plan-intensity"><option value="1"${sel(1, a.intensity)}>轻度</option><option value="2"${a.intensity ? sel(2, a.intensity) : ' selected'}>中度</option><option value="3"${sel(3, a.intensity)}>重度</option></select></span>
+        <span class="plan-opt" data-for="mock"><select class="plan-contest">${ONLINE_CONTEST_TYPES.map((c, i) => `<option value="${i}"${sel(i, a.contest)}>${c.displayName}</option>`).join('')}</select></span>
+        <span class="plan-opt" data-for="entertainment"><select class="plan-ent">${ents.map(o => `<option value="${o.id}"${sel(o.id, a.id)}>${o.label}</option>`).join('')}</select></span>
+        <span class="plan-opt" data-for="outing"><select class="plan-province">${provOpts.replace(`value="${a.province}"`, `value="${a.province}" selected`)}</select>
+          <select class="plan-difficulty"><option value="1"${sel(1, a.difficulty)}>基础班</option><option value="2"${sel(2, a.difficulty)}>提高班</option><option value="3"${sel(3, a.difficulty)}>冲刺班</option></select></span>
+      </td>
+    </tr>`);
+  }
+  showModal(`<h3>训练计划</h3>
+    <div class="small muted" style="margin-top:6px">为接下来的周安排行动，开始自动执行后逐周执行。遇到待处理事件、比赛周、经费不足、没有安排的周或学生压力达到阈值时会自动暂停。比赛周请留空，参赛后再继续。</div>
+    <div style="overflow-x:auto;margin-top:10px">
+      <table class="small" style="border-collapse:collapse;width:100%">${rows.join('')}</table>
+    </div>
+    <div class="small" style="margin-top:8px">压力阈值：<input type="number" id="plan-threshold" min="1" max="100" value="${Number(game.plannerPressureThreshold) || PLANNER_PRESSURE_THRESHOLD}" style="width:60px"></div>
+    <div class="modal-actions" style="margin-top:12px">
+      <button class="btn btn-ghost" onclick="closeModal()">取消</button>
+      <button class="btn btn-ghost" id="plan-save">保存计划</button>
+      <button class="btn" id="plan-run">保存并自动执行</button>
+    </div>`);
+
+  const rowsEls = Array.from(document.querySelectorAll('#modal-root tr[data-week]'));
+  const syncRow = row => {
+    const type = row.querySelector('.plan-type').value;
+    row.querySelectorAll('.plan-opt').forEach(el => { el.style.display = el.dataset.for === type ? '' : 'none'; });
+  };
+  rowsEls.forEach(row => {
+    syncRow(row);
+    row.querySelector('.plan-type').onchange = () => syncRow(row);
+  });
+
+  const save = () => {
+    for(const row of rowsEls){
+      const week = parseInt(row.dataset.week);
+      const type = row.querySelector('.plan-type').value;
+      let action = null;
+      if(type === 'train') action = { type, topic: row.querySelector('.plan-topic').value, intensity: parseInt(row.querySelector('.plan-intensity').value) };
+      else if(type === 'mock') action = { type, contest: parseInt(row.querySelector('.plan-contest').value) };
+      else if(type === 'rest') action = { type };
+      else if(type === 'entertainment') action = { type, id: parseInt(row.querySelector('.plan-ent').value) };
+      else if(type === 'outing') action = { type, province: parseInt(row.querySelector('.plan-province').value), difficulty: parseInt(row.querySelector('.plan-difficulty').value) };
+      TP.setAction(week, action);
+    }
+    const threshold = parseInt($('plan-threshold').value);
+    if(threshold > 0) game.plannerPressureThreshold = Math.min(100, threshold);
+  };
+  $('plan-save').onclick = () => { save(); closeModal(); renderAll(); };
+  $('plan-run').onclick = () => { save(); closeModal(); TP.start(); };
+}
+
+// 团队关系面板：两两好感度矩阵（不消耗周数）
+function teamChemistryUI(){
+  const active = game.students.filter(s => s && s.active !== false);
+  if(active.length < 2){ alert('至少需要两名在队学生'); return; }
+  const cellColor = v => v >= 30 ? '#c6f6d5' : v > 0 ? '#f0fff4' : v <= -30 ? '#fed7d7' : v < 0 ? '#fff5f5' : '#fff';
+  const head = active.map(s => `<th style="padding:4px 6px">${s.name}</th>`).join('');
+  const rows = active.map(a => `<tr><th style="padding:4px 6px;text-align:left">${a.name}</th>${active.map(b => {
+    if(a === b) return '<td style="background:#f7f7f7"></td>';
+    const v = Math.round(game.getAffinity(a, b));
+    return `<td style="padding:4px 6px;text-align:center;background:${cellColor(v)}">${v}</td>`;
+  }).join('')}<td style="padding:4px 6px;text-align:center;color:#666">${Math.round(game.getAverageAffinity(a))}</td></tr>`).join('');
+  showModal(`<h3>团队关系</h3>
+    <div class="small muted" style="margin-top:6px">好感度范围 ${AFFINITY_MIN} ~ ${AFFINITY_MAX}。一起训练、外出集训与集体娱乐会增进感情，内部矛盾会使关系变差。与队友平均好感度越高，每周压力恢复越快，多人参赛时心理也更稳定。</div>
+    <div style="overflow-x:auto;margin-top:10px">
+      <table class="small" style="border-collapse:collapse">
+        <tr><th></th>${head}<th style="padding:4px 6px;color:#666">平均</th></tr>
+        ${rows}
+      </table>
+    </div>
+    <div class="small" style="margin-top:8px">团队氛围（两两平均）：<strong>${Math.round(game.getTeamChemistry())}</strong></div>
+    <div class="modal-actions" style="margin-top:12px">
+      <button class="btn" onclick="closeModal()">关闭</button>
+    </div>`);
+}
+
+function getEntertainmentOptions(){
+  return [
+    {id:1,label:'放假',desc:'减小少许压力',cost:0},
+    {id:2,label:`请学生吃饭 (¥${ENTERTAINMENT_COST_MEAL})`,desc:'补充能量,减小一定压力',cost:ENTERTAINMENT_COST_MEAL},
+    {id:3,label:'体育运动',desc:`减小一定压力,注意天气影响，当前是${game.getWeatherDescription()}天`,cost:0},
+    {id:5,label:`邀请学生打游戲`,desc:'适度减压,有可能提升学生能力',cost:ENTERTAINMENT_COST_CS}
+  ];
+}
+
+// 执行娱乐活动（扣费、减压、天赋触发并推进1周），条件检查由 entertainmentUI 负责
+function applyEntertainment(id){
+  const opts = getEntertainmentOptions();
+  let opt = opts.find(o=>o.id===id) || {cost:0, id: id};
+  let cost = opt.cost;
   const costAdj = Math.round(cost * (game.getExpenseMultiplier ? game.getExpenseMultiplier() : 1));
-  if(game.budget < costAdj){ alert("经费不足"); return; }
   game.recordExpense(costAdj, `娱乐活动：${opt.val}`);
-    closeModal();
-      for(let s of game.students){
-        if(!s || s.active === false) continue;
-        if(opt.id === 1){
-          s.mental += uniform(3,7); var oldP = s.pressure; s.pressure = Math.max(0, s.pressure - uniform(30,45)); var newP = s.pressure;
-        } else if(opt.id === 2){
-          s.mental += uniform(8,20); var oldP = s.pressure; s.pressure = Math.max(0, s.pressure - uniform(40,55)); var newP = s.pressure;
-        } else if(opt.id === 3){
-          let wf=1.0; if(game.weather==='雪') wf=2.0; else if(game.weather==='雨' && game.facilities.dorm<2) wf=0.5; var oldP = s.pressure; s.pressure = Math.max(0, s.pressure - uniform(20,35)*wf); var newP = s.pressure; s.mental += uniform(3,8);
-        } else if(opt.id === 5){
-          s.mental += uniform(1,5); s.coding += uniform(0.5,1.0); var oldP = s.pressure; s.pressure = Math.max(0, s.pressure - uniform(10,20)); var newP = s.pressure;
-        }
-        s.mental = Math.min(100, s.mental);
-        try{
-          if(typeof s.triggerTalents === 'function'){
-            const results = s.triggerTalents('entertainment_finished', { entertainmentId: opt.id, entertainmentName: opt.val, cost: opt.cost }) || [];
-            for(const r of results){ if(!r || !r.result) continue; const out = r.result; if(typeof out === 'object'){
-              if(out.action === 'quit_for_esports'){
-                s.active = false; s._quit_for_esports = true;
-                console.log(out.message || '学生退队去学电竞');
-                if(typeof log === 'function') log(`${s.name} ${out.message || '退队去学电竞'}`);
-                try{ checkAndTriggerEnding(); }catch(e){}
-              }
-              if(out.action === 'vacation_half_minus5'){
-                const delta = (typeof oldP !== 'undefined' && typeof newP !== 'undefined') ? (oldP - newP) : 0;
-                const addBack = delta * 0.5;
-                s.pressure = Math.min(100, s.pressure + addBack);
-                console.log(out.message || '睡觉也在想题：压力-5效果减半');
-                if(typeof log === 'function') log(`${s.name} ${out.message || '睡觉也在想题：压力-5效果减半'}`);
-              }
-            } else if(typeof r.result === 'string'){
-              if(typeof log === 'function') log(`${s.name} ${r.result}`);
-            }
-            }
+  for(let s of game.students){
+    if(!s || s.active === false) continue;
+    if(opt.id === 1){
+      s.mental += uniform(3,7); var oldP = s.pressure; s.pressure = Math.max(0, s.pressure - uniform(30,45)); var newP = s.pressure;
+    } else if(opt.id === 2){
+      s.mental += uniform(8,20); var oldP = s.pressure; s.pressure = Math.max(0, s.pressure - uniform(40,55)); var newP = s.pressure;
+    } else if(opt.id === 3){
+      let wf=1.0; if(game.weather==='雪') wf=2.0; else if(game.weather==='雨' && game.facilities.dorm<2) wf=0.5; var oldP = s.pressure; s.pressure = Math.max(0, s.pressure - uniform(20,35)*wf); var newP = s.pressure; s.mental += uniform(3,8);
+    } else if(opt.id === 5){
+      s.mental += uniform(1,5); s.coding += uniform(0.5,1.0); var oldP = s.pressure; s.pressure = Math.max(0, s.pressure - uniform(10,20)); var newP = s.pressure;
+    }
+    s.mental = Math.min(100, s.mental);
+    try{
+      if(typeof s.triggerTalents === 'function'){
+        const results = s.triggerTalents('entertainment_finished', { entertainmentId: opt.id, entertainmentName: opt.val, cost: opt.cost }) || [];
+        for(const r of results){ if(!r || !r.result) continue; const out = r.result; if(typeof out === 'object'){
+          if(out.action === 'quit_for_esports'){
+            s.active = false; s._quit_for_esports = true;
+            console.log(out.message || '学生退队去学电竞');
+            if(typeof log === 'function') log(`${s.name} ${out.message || '退队去学电竞'}`);
+            try{ checkAndTriggerEnding(); }catch(e){}
+          }
+          if(out.action === 'vacation_half_minus5'){
+            const delta = (typeof oldP !== 'undefined' && typeof newP !== 'undefined') ? (oldP - newP) : 0;
+            const addBack = delta * 0.5;
+            s.pressure = Math.min(100, s.pressure + addBack);
+            console.log(out.message || '睡觉也在想题：压力-5效果减半');
+            if(typeof log === 'function') log(`${s.name} ${out.message || '睡觉也在想题：压力-5效果减半'}`);
           }
-        }catch(e){ console.error('triggerTalents entertainment_finished', e); }
+        } else if(typeof r.result === 'string'){
+          if(typeof log === 'function') log(`${s.name} ${r.result}`);
+        }
+        }
       }
+    }catch(e){ console.error('triggerTalents entertainment_finished', e); }
+  }
+  // 集体娱乐增进感情
+  game.changeGroupAffinity(game.students, AFFINITY_ENTERTAINMENT_GAIN);
   game.weeks_since_entertainment += 1;
   safeWeeklyUpdate(1);
-    renderAll();
-    log("娱乐活动完成");
-  };
+  renderAll();
+  log("娱乐活动完成");
 }
 
 function takeVacationUI(){
@@ -1241,6 +1469,42 @@ function renderStartPageUI(){
   if(grid.firstChild) grid.firstChild.classList.add('selected');
 }
 
+// 开始页赛季选择：官方赛季 + 本地赛季库中的自定义赛季（见 lib/season.js）
+function renderSeasonPicker(){
+  const el = document.getElementById('start-season');
+  if(!el || !window.SeasonManager) return;
+  const esc = (str) => String(str == null ? '' : str).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+  el.innerHTML = '<option value="">官方赛季</option>' + SeasonManager.listSaved().map(s =>
+    `<option value="${esc(s.name)}">${esc(s.name)}（${esc(s.contests.map(c => c.name).join(' → '))}）</option>`).join('');
+}
+
+// 开始页插件列表：勾选后保存偏好并刷新页面（插件可能新增省份等内容）
+function renderPluginPanel(){
+  const el = document.getElementById('plugin-list');
+  if(!el || !window.PluginManager) return;
+  const plugins = PluginManager.list();
+  if(plugins.length === 0){
+    el.innerHTML = '<div class="small muted">未安装插件</div>';
+    return;
+  }
+  const esc = (str) => String(str == null ? '' : str).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+  const enabled = new Set(PluginManager.getPreferredIds());
+  el.innerHTML = plugins.map(p => `
+    <label style="display:flex; align-items:flex-start; gap:8px; padding:6px 0; border-bottom:1px solid #eee; cursor:pointer;">
+      <input type="checkbox" class="plugin-toggle" data-id="${esc(p.id)}" ${enabled.has(p.id) ? 'checked' : ''} />
+      <div style="flex:1">
+        <div><strong>${esc(p.name)}</strong> <span class="small muted">${esc(p.version ? 'v' + p.version : '')}${p.author ? ' · ' + esc(p.author) : ''}</span></div>
+        <div class="small muted">${esc(p.description)}</div>
+      </div>
+    </label>`).join('');
+  el.querySelectorAll('.plugin-toggle').forEach(cb => {
+    cb.onchange = () => {
+      PluginManager.setPreferred(cb.dataset.id, cb.checked);
+      window.location.reload();
+    };
+  });
+}
+
 function renderEndSummary(){
   const el = document.getElementById('end-summary');
   if(!el) return;
@@ -1323,6 +1587,11 @@ function renderEndSummary(){
     let budget = o.budget || 0;
     let totalExpenses = o.totalExpenses || 0;
     let week = o.week || 0;
+    const ruleset = getRuleset(o.ruleset);
+    // 自定义赛季的对局按其比赛日历显示时间线
+    if(window.SeasonManager){
+      try{ SeasonManager.apply(o.season || null); }catch(e){ console.error('启用存档赛季失败', e); }
+    }
     
     let avgP = 0; 
     if(o.students && o.students.length>0){ 
@@ -1427,7 +1696,7 @@ function renderEndSummary(){
       careerHtml += `<div style="margin-top:12px"><h4>📊 比赛生涯记录</h4></div>`;
       careerHtml += `<div style="margin-top:8px;max-height:300px;overflow:auto;border:1px solid #ddd;border-radius:4px;padding:8px;background:#fafafa">`;
       
-      for(let rec of career){
+      career.forEach((rec, recIdx) => {
         const passedCount = rec.passedCount || 0;
         const totalStudents = rec.totalStudents || 0;
         const passRate = totalStudents > 0 ? ((passedCount / totalStudents) * 100).toFixed(0) : '0';
@@ -1457,6 +1726,16 @@ function renderEndSummary(){
         } else {
           careerHtml += `<div style="font-size:13px;color:#666;margin-bottom:6px">晋级：${passedCount}/${totalStudents} 人 (${passRate}%)</div>`;
         }
+
+        // 比赛日志（旧存档中的记录没有 log）
+        if(rec.log){
+          careerHtml += `<div style="display:flex;gap:6px;margin-bottom:6px">
+            ${Array.isArray(rec.log.snapshots) && rec.log.snapshots.length ? `<button class="btn btn-ghost" data-contest-log="${recIdx}" data-format="replay">回看比赛</button>` : ''}
+            <button class="btn btn-ghost" data-contest-log="${recIdx}" data-format="view">查看日志</button>
+            <button class="btn btn-ghost" data-contest-log="${recIdx}" data-format="txt">导出文本</button>
+            <button class="btn btn-ghost" data-contest-log="${recIdx}" data-format="json">导出 JSON</button>
+          </div>`;
+        }
         
         if(rec.entries && rec.entries.length > 0){
           careerHtml += `<table style="width:100%;font-size:12px;border-collapse:collapse">`;
@@ -1496,7 +1775,7 @@ function renderEndSummary(){
           careerHtml += `</tbody></table>`;
         }
         careerHtml += `</div>`;
-      }
+      });
       
       careerHtml += `</div>`;
     } else {
@@ -1565,6 +1844,7 @@ function renderEndSummary(){
         <div>
           <h4>📈 基本信息</h4>
           <div style="background:#f9f9f9;padding:12px;border-radius:8px">
+            <div>规则: <strong>${ruleset.name}</strong></div>
             <div>初始人数: <strong>${initial}</strong></div>
             <div>当前在队: <strong>${active}</strong></div>
             <div>平均压力: <strong>${avgP}</strong></div>
@@ -1624,6 +1904,19 @@ function renderEndSummary(){
         descEl.textContent = descText;
       }
     }, 500);
+
+    el.querySelectorAll('[data-contest-log]').forEach(btn => {
+      btn.onclick = () => {
+        const rec = career[Number(btn.dataset.contestLog)];
+        if(btn.dataset.format === 'replay'){
+          if(window.ContestUI) ContestUI.showContestReplayViewer(rec.log, contestLogTitle(rec));
+        } else if(btn.dataset.format === 'view'){
+          showContestLogModal(rec);
+        } else {
+          downloadContestLog(rec, btn.dataset.format);
+        }
+      };
+    });
     
   }catch(e){ 
     el.innerText = '读取结算数据失败：' + e.message; 
@@ -1631,6 +1924,43 @@ function renderEndSummary(){
   }
 }
 
+/* =========== 比赛日志查看与导出 =========== */
+function contestLogTitle(rec){
+  return `第${rec.week}周 ${rec.name}`;
+}
+
+function showContestLogModal(rec){
+  if(!rec || !rec.log || !window.CompetitionEngine) return;
+  showModal(`<h3>${contestLogTitle(rec)} 比赛日志</h3>
+    <pre id="contest-log-text" style="max-height:60vh;overflow:auto;background:#f9f9f9;border:1px solid #ddd;border-radius:4px;padding:10px;font-size:12px;white-space:pre-wrap"></pre>
+    <div class="modal-actions"><button class="btn" onclick="closeModal()">关闭</button></div>`);
+  const pre = document.getElementById('contest-log-text');
+  if(pre) pre.textContent = CompetitionEngine.formatContestLogText(rec.log, contestLogTitle(rec));
+}
+
+// format: 'txt' | 'json'
+function downloadContestLog(rec, format){
+  if(!rec || !rec.log) return;
+  try{
+    const isJson = format === 'json';
+    const content = isJson
+      ? JSON.stringify(Object.assign({ week: rec.week, entries: rec.entries }, rec.log), null, 2)
+      : CompetitionEngine.formatContestLogText(rec.log, contestLogTitle(rec));
+    const blob = new Blob([content], { type: isJson ? 'application/json' : 'text/plain;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `oi-coach-contest-w${rec.week}-${String(rec.name).replace(/[\\/:*?"<>|\s]/g, '')}.${isJson ? 'json' : 'txt'}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }catch(e){
+    console.error('[比赛日志] 导出失败', e);
+    alert('导出比赛日志失败：' + e.message);
+  }
+}
+
 /* =========== 表现分计算函数 =========== */
 /**
  * 比赛含金量配置
@@ -2437,14 +2767,8 @@ function executeExtraTraining(task) {
                     source: 'extra_train',
                     amount: pressureIncrease
                 }) || [];
-                // 处理天赋对压力的修正（如减半、抵消等）
-                for (const r of talentResults) {
-                    if (r?.result?.action === 'halve_pressure') {
-                        pressureIncrease *= 0.5;
-                    } else if (r?.result?.action === 'moyu_cancel_pressure') {
-                        pressureIncrease = 0;
-                    }
-                }
+                // 处理天赋对压力的修正（如减半、抵消、按等级缩放等）
+                pressureIncrease = applyTalentPressureActions(pressureIncrease, talentResults);
             }
         } catch (e) {
             console.error('天赋处理压力失败:', e);
@@ -2783,13 +3107,7 @@ function executePartTimeJobWithSelection(selectedStudentNames) {
                     source: 'part_time_job',
                     amount: pressureIncrease
                 }) || [];
-                for (const r of talentResults) {
-                    if (r?.result?.action === 'halve_pressure') {
-                        pressureIncrease *= 0.5;
-                    } else if (r?.result?.action === 'moyu_cancel_pressure') {
-                        pressureIncrease = 0;
-                    }
-                }
+                pressureIncrease = applyTalentPressureActions(pressureIncrease, talentResults);
             }
         } catch (e) {
             console.error('天赋处理打工压力失败:', e);
@@ -0,0 +1,445 @@
+/* simulate-season.js - 整季蒙特卡洛平衡性分析
+   在 Node.js 中无界面地批量跑完整赛季：开局走 initGame，每周由固定的教练策略决定行动
+   （通过 TrainingPlanner.executeAction 调用 trainStudentsWithTask / applyEntertainment 与 safeWeeklyUpdate），
+   正式比赛走 lib/contest-integration.js 的完整流程（晋级资格、奖励、声誉、生涯记录），
+   最后按 难度 × 省份类型 汇总奖牌、经费、退队率与天赋影响，结果保存为 JSON 与 CSV。
+
+   用法：node simulate-season.js [每组局数=20] [起始种子=1] [选项...]
+     --difficulty=1,2,3           参与统计的难度（1 简单 / 2 普通 / 3 困难）
+     --province=强省,普通省,弱省   参与统计的省份类型（PROVINCES 中的 type）
+     --students=5                 每局学生人数
+     --ruleset=classic            规则预设 id（见 RULESETS：classic / hardcore / sandbox）
+     --season=my-season.json      自定义赛季文件（见 lib/season.js），奖牌统计改为赛季中颁发奖牌的比赛
+     --out=season-report          输出文件前缀：<前缀>.json、<前缀>-runs.csv、<前缀>-summary.csv、<前缀>-talents.csv
+   例如：node simulate-season.js 200 42 --difficulty=2 --province=弱省
+
+   教练策略（coachPolicy）：
+     - 可选择的事件卡片一律选第一个选项
+     - 比赛周先参加比赛，赛后照常安排本周行动
+     - 经费在留足剩余赛季的维护费后仍够用、且压力允许时，全队去强省参加基础外出集训
+     - 否则针对全队最弱的知识点做题训练（题目按训练计划的规则挑选），强度取训练界面压力预估下
+       所有学生都不超过 SAFE_PRESSURE 的最高强度（最多中强度）；轻强度也超过时放假
+     - 不升级设施、不开模拟赛
+   说明：
+     - 同一组（难度、省份类型、种子）结果完全一致；省份在该类型的省份中按种子轮换
+     - 第二年 NOI 金牌后的国家集训队需要玩家在弹窗中选择，这里不继续进行，赛季按正常结束计
+     - 第二年比赛无人晋级时按游戏规则以“晋级链断裂”结束
+     - “退队”只统计因压力、天赋等离队的学生；第二年因晋级链断裂自动退役的学生单独计为“退役”
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const shim = require('./tests/shim');
+
+// 与 game.html 中的加载顺序一致（不含教程、调试脚本与 CDN 依赖）
+const GAME_SCRIPTS = [
+  'events.js',
+  'lib/constants.js',
+  'lib/utils.js',
+  'lib/models.js',
+  'lib/save.js',
+  'lib/replay.js',
+  'lib/talent.js',
+  'lib/plugins.js',
+  'lib/season.js',
+  'lib/task.js',
+  'lib/competitions.js',
+  'lib/contest-ui.js',
+  'lib/contest-integration.js',
+  'lib/national-team.js',
+  'lib/planner.js',
+  'game.js',
+  'render.js'
+];
+
+const SAFE_PRESSURE = 60;       // 训练后预估压力的上限（达到 90 会产生退队倾向）
+const MAX_INTENSITY = 2;        // 不安排重度训练
+const MAX_STEPS = 200;          // 单局最多行动次数（防止异常情况下死循环）
+const NOI_MEDALS = ['gold', 'silver', 'bronze'];
+
+let installed = false;
+let currentRun = null;
+
+// 加载全部游戏脚本，并把依赖弹窗 / 页面跳转的环节替换为无界面版本
+function installHeadless() {
+  if (installed) return;
+  shim.load(GAME_SCRIPTS);
+  // 事件包（EVENT_PACKS）直接从磁盘同步读取，保证每局开局前已注册
+  window.EventManager.loadEventPack = function(url) {
+    return Promise.resolve(this.loadEventDefinitions(fs.readFileSync(path.join(shim.ROOT, url), 'utf8')));
+  };
+  // 与浏览器启动时一致：注册默认事件、事件包与天赋（页面元素不存在，不会开局）
+  window.onload();
+
+  window.log = function() {};
+  window.renderAll = function() {};
+  window.renderEventCards = function() {};
+  window.saveGame = function() {};
+  window.captureWeekSnapshot = function() {};
+
+  // 比赛：跳过赛前部署，直接同步跑完
+  window.ContestUI.showContestSetupModal = function(comp, students, onStart) { onStart(); };
+  window.ContestUI.showContestLiveModal = function(simulator, onFinish) {
+    simulator.onFinish(onFinish);
+    simulator.start = function() { simulator.runToCompletion(); };
+  };
+
+  // 结局：只记录原因，不保存、不跳转
+  window.triggerGameEnding = function(reason) {
+    game.seasonEndTriggered = true;
+    if (currentRun && !currentRun.endingReason) currentRun.endingReason = normalizeEndingReason(reason);
+  };
+
+  // 记录晋级链断裂自动退役的学生（用于区分主动退队）
+  const origPushEvent = window.pushEvent;
+  window.pushEvent = function(msg) {
+    if (currentRun && msg && msg.name === '晋级链断裂退队') {
+      const names = String(msg.description || '').split(' ')[0].split('、');
+      for (const n of names) currentRun.retired.add(n);
+    }
+    return origPushEvent(msg);
+  };
+  installed = true;
+}
+
+function provinceIdsOfType(type) {
+  return Object.keys(PROVINCES).map(Number).filter(id => PROVINCES[id].type === type).sort((a, b) => a - b);
+}
+
+function activeStudents() {
+  return game.students.filter(s => s && s.active !== false);
+}
+
+// 本周尚未进行的正式比赛
+function pendingCompetition() {
+  const half = currWeek() > WEEKS_PER_HALF ? 1 : 0;
+  return competitions.find(c => c.week === currWeek() && !game.completedCompetitions.has(`${half}_${c.name}_${c.week}`)) || null;
+}
+
+// 全队平均水平最低的知识点
+function weakestTopic(students) {
+  let best = null, bestValue = Infinity;
+  for (const topic of listKnowledgeTopics()) {
+    const avg = students.reduce((sum, s) => sum + s.getKnowledgeByType(topic), 0) / Math.max(1, students.length);
+    if (avg < bestValue) { bestValue = avg; best = topic; }
+  }
+  return best;
+}
+
+// 经费在留足剩余赛季维护费后仍够用、且压力允许时，全队去强省参加基础集训
+function outingAction(students) {
+  const province = provinceIdsOfType('强省')[0];
+  const maxPressure = Math.max(0, ...students.map(s => Number(s.pressure) || 0));
+  if (maxPressure + OUTFIT_PRESSURE_BASIC >= SAFE_PRESSURE) return null;
+  const cost = computeOutingCostQuadratic(1, province, students.length);
+  const reserve = game.getWeeklyCost() * (SEASON_WEEKS - currWeek() + 1);
+  if (game.budget - cost < reserve) return null;
+  return { type: 'outing', province: province, difficulty: 1 };
+}
+
+// 教练策略：返回本周要执行的 TrainingPlanner 行动
+// 做题训练按训练界面的压力预估，选不会让任何学生压力超过 SAFE_PRESSURE 的最高强度；都不行则放假
+function coachPolicy() {
+  const students = activeStudents();
+  const outing = outingAction(students);
+  if (outing) return outing;
+  const topic = weakestTopic(students);
+  const task = TrainingPlanner.pickTask(topic);
+  for (let intensity = MAX_INTENSITY; intensity >= 1; intensity--) {
+    const preview = calculateTrainingPressure(task, intensity);
+    if (preview.students.every(p => p.predicted < SAFE_PRESSURE)) return { type: 'train', topic: topic, intensity: intensity };
+  }
+  return { type: 'rest' };
+}
+
+function resolvePendingEvents() {
+  for (const ev of recentEvents.slice()) {
+    if (ev && ev.options && ev.options.length > 0 && !ev._isHandled) chooseEventOption(ev._uid, 0);
+  }
+}
+
+// 参加本周比赛；第二年无人晋级时与比赛结果弹窗一样触发“晋级链断裂”
+function playCompetition(comp) {
+  const before = game.careerCompetitions.length;
+  window.holdCompetitionModalNew(comp);
+  const record = game.careerCompetitions.length > before ? game.careerCompetitions[game.careerCompetitions.length - 1] : null;
+  if (record && currWeek() > WEEKS_PER_HALF && !comp.nationalTeam && record.passedCount === 0) {
+    triggerGameEnding('晋级链断裂');
+  }
+}
+
+// 从生涯记录中整理每名学生的最远比赛与 NOI 奖牌（自定义赛季为颁发奖牌的比赛）
+function collectStudentResults(initial, run) {
+  const byName = {};
+  for (const s of initial) byName[s.name] = { stage: -1, medal: null };
+  game.careerCompetitions.forEach(rec => {
+    const stage = COMPETITION_ORDER.indexOf(rec.name);
+    for (const e of rec.entries || []) {
+      const info = byName[e.name];
+      if (!info || e.score === null) continue;
+      info.stage = Math.max(info.stage, stage);
+      if (isMedalContest(rec.name) && e.medal && (!info.medal || NOI_MEDALS.indexOf(e.medal) < NOI_MEDALS.indexOf(info.medal))) {
+        info.medal = e.medal;
+      }
+    }
+  });
+  return initial.map(s => {
+    const left = s.active === false || !game.students.includes(s);
+    const retired = left && run.retired.has(s.name);
+    return {
+      talents: Array.from(s.talents || []),
+      stage: byName[s.name].stage,
+      medal: byName[s.name].medal,
+      quit: left && !retired,
+      retired: retired
+    };
+  });
+}
+
+/**
+ * 跑完一整季
+ * @param {Object} opts - { seed, difficulty, provinceId, students }
+ * @returns {Object} 单局结果（含每名学生的记录 studentResults）
+ */
+function simulateSeason(opts) {
+  installHeadless();
+  const run = { endingReason: null, retired: new Set() };
+  currentRun = run;
+  // 浏览器中每局都会重新载入页面，这里手动清空跨局保留的页面状态（含题目去重记录）
+  recentEvents.length = 0;
+  resetWeekHistory();
+  window._recentRecommendedTasks = [];
+  window._recentRandomTasks = [];
+
+  setRandomSeed(opts.seed);
+  initGame(opts.difficulty, opts.provinceId, opts.students, { ruleset: opts.ruleset, season: opts.season || null });
+  const initial = game.students.slice();
+
+  let steps = 0;
+  while (!game.seasonEndTriggered && steps++ < MAX_STEPS) {
+    resolvePendingEvents();
+    const comp = pendingCompetition();
+    if (comp) {
+      playCompetition(comp);
+      continue;
+    }
+    // 周数推进被新出现的事件卡片拦下时，下一轮先处理事件
+    TrainingPlanner.executeAction(coachPolicy());
+  }
+  currentRun = null;
+
+  const noi = [0, 1].map(() => ({ gold: 0, silver: 0, bronze: 0 }));
+  game.careerCompetitions.filter(rec => isMedalContest(rec.name)).forEach(rec => {
+    const half = rec.week > WEEKS_PER_HALF ? 1 : 0;
+    for (const e of rec.entries || []) if (e.medal) noi[half][e.medal]++;
+  });
+  const studentResults = collectStudentResults(initial, run);
+  const prov = PROVINCES[opts.provinceId];
+  return {
+    seed: opts.seed,
+    difficulty: game.difficulty,
+    ruleset: game.ruleset,
+    provinceId: opts.provinceId,
+    provinceName: prov.name,
+    provinceType: prov.type,
+    students: initial.length,
+    endingReason: run.endingReason || (steps > MAX_STEPS ? '未结束' : '赛季结束'),
+    endWeek: game.week,
+    gold: noi[0].gold + noi[1].gold,
+    silver: noi[0].silver + noi[1].silver,
+    bronze: noi[0].bronze + noi[1].bronze,
+    noiByYear: noi,
+    furthestStage: COMPETITION_ORDER[Math.max(-1, ...studentResults.map(r => r.stage))] || '',
+    finalBudget: game.budget,
+    reputation: game.reputation,
+    quitRate: studentResults.filter(r => r.quit).length / Math.max(1, initial.length),
+    retiredRate: studentResults.filter(r => r.retired).length / Math.max(1, initial.length),
+    studentResults: studentResults
+  };
+}
+
+function round(v, digits) {
+  const k = Math.pow(10, digits === undefined ? 2 : digits);
+  return Math.round(v * k) / k;
+}
+
+// 分布摘要：均值与分位数
+function distribution(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n === 0) return { mean: 0, min: 0, p10: 0, median: 0, p90: 0, max: 0 };
+  const at = q => sorted[Math.min(n - 1, Math.floor(q * n))];
+  return {
+    mean: round(sorted.reduce((a, b) => a + b, 0) / n),
+    min: round(sorted[0]),
+    p10: round(at(0.1)),
+    median: round(at(0.5)),
+    p90: round(at(0.9)),
+    max: round(sorted[n - 1])
+  };
+}
+
+function studentStats(list) {
+  const n = Math.max(1, list.length);
+  return {
+    students: list.length,
+    noiMedalRate: round(list.filter(r => r.medal).length / n, 4),
+    noiGoldRate: round(list.filter(r => r.medal === 'gold').length / n, 4),
+    quitRate: round(list.filter(r => r.quit).length / n, 4),
+    avgStage: round(list.reduce((a, r) => a + r.stage, 0) / n)
+  };
+}
+
+// 天赋影响：持有该天赋的学生与全体学生的对比（天赋为赛季结束时所持有的）
+function talentImpact(students) {
+  const base = studentStats(students);
+  const names = new Set();
+  students.forEach(r => r.talents.forEach(t => names.add(t)));
+  const rows = [];
+  for (const name of Array.from(names).sort()) {
+    const stats = studentStats(students.filter(r => r.talents.includes(name)));
+    rows.push(Object.assign({ talent: name }, stats, {
+      medalRateDelta: round(stats.noiMedalRate - base.noiMedalRate, 4),
+      quitRateDelta: round(stats.quitRate - base.quitRate, 4),
+      avgStageDelta: round(stats.avgStage - base.avgStage)
+    }));
+  }
+  return { baseline: base, talents: rows };
+}
+
+function summarizeGroup(runs) {
+  const endings = {};
+  runs.forEach(r => { endings[r.endingReason] = (endings[r.endingReason] || 0) + 1; });
+  const n = Math.max(1, runs.length);
+  return {
+    runs: runs.length,
+    noiGoldRunRate: round(runs.filter(r => r.gold > 0).length / n, 4),
+    noiMedalRunRate: round(runs.filter(r => r.gold + r.silver + r.bronze > 0).length / n, 4),
+    secondYearNoiGoldRunRate: round(runs.filter(r => r.noiByYear[1].gold > 0).length / n, 4),
+    gold: distribution(runs.map(r => r.gold)),
+    silver: distribution(runs.map(r => r.silver)),
+    bronze: distribution(runs.map(r => r.bronze)),
+    finalBudget: distribution(runs.map(r => r.finalBudget)),
+    reputation: distribution(runs.map(r => r.reputation)),
+    quitRate: distribution(runs.map(r => r.quitRate)),
+    retiredRate: distribution(runs.map(r => r.retiredRate)),
+    endings: endings,
+    talentImpact: talentImpact([].concat(...runs.map(r => r.studentResults)))
+  };
+}
+
+/**
+ * 按 难度 × 省份类型 批量模拟
+ * @param {Object} opts - { runs, seed, difficulties, provinceTypes, students, ruleset, season }
+ * @returns {{options: Object, groups: Array, runs: Array}}
+ */
+function simulateBatch(opts) {
+  const groups = [];
+  const allRuns = [];
+  for (const difficulty of opts.difficulties) {
+    for (const type of opts.provinceTypes) {
+      const ids = provinceIdsOfType(type);
+      if (ids.length === 0) throw new Error('未知省份类型：' + type);
+      const runs = [];
+      for (let i = 0; i < opts.runs; i++) {
+        const seed = opts.seed + i;
+        runs.push(simulateSeason({ seed: seed, difficulty: difficulty, provinceId: ids[seed % ids.length], students: opts.students, ruleset: opts.ruleset, season: opts.season }));
+      }
+      groups.push(Object.assign({ difficulty: difficulty, provinceType: type }, summarizeGroup(runs)));
+      allRuns.push(...runs);
+    }
+  }
+  return { options: opts, groups: groups, runs: allRuns };
+}
+
+function csvCell(v) {
+  const s = String(v === null || v === undefined ? '' : v);
+  return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function toCsv(header, rows) {
+  return [header].concat(rows).map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// 写出 <前缀>.json 与三份 CSV，返回写出的文件路径
+function writeReport(report, prefix) {
+  const files = {
+    json: prefix + '.json',
+    runs: prefix + '-runs.csv',
+    summary: prefix + '-summary.csv',
+    talents: prefix + '-talents.csv'
+  };
+  const json = Object.assign({}, report, {
+    runs: report.runs.map(r => Object.assign({}, r, { studentResults: undefined }))
+  });
+  fs.writeFileSync(files.json, JSON.stringify(json, null, 2));
+
+  fs.writeFileSync(files.runs, toCsv(
+    ['seed', 'ruleset', 'difficulty', 'provinceType', 'province', 'students', 'ending', 'endWeek', 'gold', 'silver', 'bronze', 'furthestStage', 'finalBudget', 'reputation', 'quitRate', 'retiredRate'],
+    report.runs.map(r => [r.seed, r.ruleset, r.difficulty, r.provinceType, r.provinceName, r.students, r.endingReason, r.endWeek, r.gold, r.silver, r.bronze, r.furthestStage, r.finalBudget, r.reputation, round(r.quitRate, 4), round(r.retiredRate, 4)])
+  ));
+
+  const dist = ['gold', 'finalBudget', 'quitRate'];
+  fs.writeFileSync(files.summary, toCsv(
+    ['difficulty', 'provinceType', 'runs', 'noiGoldRunRate', 'noiMedalRunRate', 'secondYearNoiGoldRunRate']
+      .concat(...dist.map(k => [k + 'Mean', k + 'P10', k + 'Median', k + 'P90']))
+      .concat(['endings']),
+    report.groups.map(g => [g.difficulty, g.provinceType, g.runs, g.noiGoldRunRate, g.noiMedalRunRate, g.secondYearNoiGoldRunRate]
+      .concat(...dist.map(k => [g[k].mean, g[k].p10, g[k].median, g[k].p90]))
+      .concat([Object.keys(g.endings).map(k => k + ':' + g.endings[k]).join(' ')]))
+  ));
+
+  const talentRows = [];
+  report.groups.forEach(g => {
+    const impact = g.talentImpact;
+    talentRows.push([g.difficulty, g.provinceType, '（全体）', impact.baseline.students, impact.baseline.noiMedalRate, impact.baseline.noiGoldRate, impact.baseline.quitRate, impact.baseline.avgStage, 0, 0, 0]);
+    impact.talents.forEach(t => talentRows.push([g.difficulty, g.provinceType, t.talent, t.students, t.noiMedalRate, t.noiGoldRate, t.quitRate, t.avgStage, t.medalRateDelta, t.quitRateDelta, t.avgStageDelta]));
+  });
+  fs.writeFileSync(files.talents, toCsv(
+    ['difficulty', 'provinceType', 'talent', 'students', 'noiMedalRate', 'noiGoldRate', 'quitRate', 'avgStage', 'medalRateDelta', 'quitRateDelta', 'avgStageDelta'],
+    talentRows
+  ));
+  return files;
+}
+
+function parseArgs(argv) {
+  const opts = { runs: 20, seed: 1, difficulties: [1, 2, 3], provinceTypes: ['强省', '普通省', '弱省'], students: 5, ruleset: DEFAULT_RULESET, out: 'season-report' };
+  const positional = [];
+  for (const arg of argv) {
+    const m = /^--([\w-]+)=(.*)$/.exec(arg);
+    if (!m) { positional.push(arg); continue; }
+    if (m[1] === 'difficulty') opts.difficulties = m[2].split(',').map(v => clampInt(parseInt(v, 10), 1, 3));
+    else if (m[1] === 'province') opts.provinceTypes = m[2].split(',').filter(Boolean);
+    else if (m[1] === 'students') opts.students = clampInt(parseInt(m[2], 10), 3, 10);
+    else if (m[1] === 'ruleset') {
+      if (!RULESETS[m[2]]) throw new Error('未知规则：' + m[2]);
+      opts.ruleset = m[2];
+    }
+    else if (m[1] === 'season') opts.season = SeasonManager.parseFile(fs.readFileSync(m[2], 'utf8'));
+    else if (m[1] === 'out') opts.out = m[2];
+    else throw new Error('未知选项：--' + m[1]);
+  }
+  if (positional[0]) opts.runs = Math.max(1, parseInt(positional[0], 10) || 1);
+  if (positional[1]) opts.seed = parseInt(positional[1], 10) || 0;
+  return opts;
+}
+
+// 如果在 Node.js 环境中运行
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { installHeadless, simulateSeason, simulateBatch, summarizeGroup, writeReport };
+}
+
+// 如果直接运行此脚本
+if (typeof require !== 'undefined' && require.main === module) {
+  installHeadless();
+  const opts = parseArgs(process.argv.slice(2));
+  const started = Date.now();
+  const report = simulateBatch(opts);
+  const files = writeReport(report, path.resolve(opts.out));
+  for (const g of report.groups) {
+    process.stdout.write(`难度${g.difficulty} ${g.provinceType}：${g.runs} 局，NOI 金牌局占比 ${(g.noiGoldRunRate * 100).toFixed(1)}%，` +
+      `奖牌局占比 ${(g.noiMedalRunRate * 100).toFixed(1)}%，平均退队率 ${(g.quitRate.mean * 100).toFixed(1)}%，期末经费中位数 ${g.finalBudget.median}\n`);
+  }
+  process.stdout.write(`用时 ${((Date.now() - started) / 1000).toFixed(1)} 秒，结果已保存：\n  ${Object.values(files).join('\n  ')}\n`);
+}
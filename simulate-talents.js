@@ -0,0 +1,238 @@
+/* simulate-talents.js - 天赋影响统计
+   对每个已注册的天赋，用同一组种子分别让“没有天赋”和“全员拥有该天赋”的相同学生参加 ContestSimulator 比赛，
+   统计各级别比赛（CSP-S2 到 IOI）的平均分差，按影响大小排序，并标出需要重新平衡的异常项：
+     - 影响远超其他天赋（按全部天赋影响的四分位距判断）
+     - 正面天赋反而降分、负面天赋反而加分（超出两倍标准误）
+     - 训练题目中增幅远超题库整体水平或难度无效的题目（如全知识点 +100 的题）
+
+   用法：node simulate-talents.js [每级场数=20] [起始种子=1] [--out=talent-report]
+   例如：node simulate-talents.js 100 42
+   输出：控制台打印排行与异常项，完整结果保存为 <前缀>.json 与 <前缀>.csv
+   说明：
+     - 只统计比赛中的影响；只在训练、娱乐、周结算等场景触发的天赋分差为 0，单独列出
+     - 不同级别的学生能力取 TIER_ABILITY，使无天赋时得分大致在总分的一半附近，便于比较
+     - 同一种子下无天赋的一组只跑一次，所有天赋共用
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const shim = require('./tests/shim');
+
+const TEAM_SIZE = 4;
+const FIRST_TIER = 'CSP-S2';
+
+// 各级别比赛的学生能力（思维 / 代码 / 各知识点）
+const TIER_ABILITY = {
+  'CSP-S2': 50,
+  'NOIP': 80,
+  '省选': 120,
+  'NOI': 160,
+  'CTT-day1-2': 240,
+  'CTT-day3-4': 240,
+  'CTS': 300,
+  'IOI': 300
+};
+
+let installed = false;
+
+function install() {
+  if (installed) return;
+  shim.load();
+  shim.newGame({ week: 1, difficulty: 2, province_type: '普通省' });
+  shim.registerTalents();
+  installed = true;
+}
+
+function contestTiers() {
+  const start = COMPETITION_SCHEDULE.findIndex(c => c.name === FIRST_TIER);
+  return COMPETITION_SCHEDULE.slice(start);
+}
+
+// 参与统计的天赋（不含内部使用的 __ 开头的处理器）
+function listTalents() {
+  return TalentManager.getRegistered().filter(name => !name.startsWith('__')).sort();
+}
+
+function createStudents(ability, talent) {
+  const students = [];
+  for (let i = 0; i < TEAM_SIZE; i++) {
+    const s = new Student('选手' + (i + 1), ability, ability, 60);
+    s.knowledge_ds = s.knowledge_graph = s.knowledge_string = s.knowledge_math = s.knowledge_dp = ability;
+    if (talent) s.addTalent(talent);
+    students.push(s);
+  }
+  return students;
+}
+
+// 以指定种子跑一场比赛，返回全队平均分
+function runContest(contestDef, seed, talent) {
+  setRandomSeed(seed);
+  const config = CompetitionEngine.buildContestConfig(contestDef);
+  const students = createStudents(TIER_ABILITY[contestDef.name] || 100, talent);
+  const result = new CompetitionEngine.ContestSimulator(config, students, window.game).runToCompletion();
+  return result.students.reduce((sum, st) => sum + st.totalScore, 0) / result.students.length;
+}
+
+function round(v, digits) {
+  const k = Math.pow(10, digits === undefined ? 2 : digits);
+  return Math.round(v * k) / k;
+}
+
+function meanAndError(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / Math.max(1, n);
+  const variance = n > 1 ? values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (n - 1) : 0;
+  return { mean: mean, se: Math.sqrt(variance / Math.max(1, n)) };
+}
+
+function quartiles(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const at = q => {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos), hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  };
+  return { q1: at(0.25), q3: at(0.75) };
+}
+
+/**
+ * 统计每个天赋在各级别比赛中的平均分差
+ * @param {Object} opts - { runs, seed, talents?: string[] }
+ * @returns {Array} 按总体影响从高到低排序的 [{ talent, beneficial, impact, impactSe, tiers: { 比赛名: {...} } }]
+ */
+function measureTalents(opts) {
+  install();
+  const tiers = contestTiers();
+  const seeds = [];
+  for (let i = 0; i < opts.runs; i++) seeds.push(opts.seed + i);
+  const baseline = {};
+  for (const def of tiers) baseline[def.name] = seeds.map(sd => runContest(def, sd, null));
+
+  const rows = [];
+  for (const talent of opts.talents || listTalents()) {
+    const row = { talent: talent, beneficial: TalentManager.getTalent(talent).beneficial !== false, tiers: {} };
+    const pctDiffs = seeds.map(() => 0);
+    for (const def of tiers) {
+      const diffs = seeds.map((sd, i) => runContest(def, sd, talent) - baseline[def.name][i]);
+      const stat = meanAndError(diffs);
+      row.tiers[def.name] = {
+        baseline: round(baseline[def.name].reduce((a, b) => a + b, 0) / seeds.length),
+        delta: round(stat.mean),
+        se: round(stat.se),
+        deltaPct: round(stat.mean / def.maxScore * 100)
+      };
+      diffs.forEach((d, i) => { pctDiffs[i] += d / def.maxScore * 100 / tiers.length; });
+    }
+    // 总体影响：各级别分差占总分百分比的平均值（同一种子的各级别合在一起计算标准误）
+    const overall = meanAndError(pctDiffs);
+    row.impact = round(overall.mean);
+    row.impactSe = round(overall.se);
+    row.noContestEffect = tiers.every(def => row.tiers[def.name].delta === 0 && row.tiers[def.name].se === 0);
+    rows.push(row);
+  }
+  rows.sort((a, b) => b.impact - a.impact);
+  rows.forEach((r, i) => { r.rank = i + 1; });
+  return rows;
+}
+
+// 标出需要重新平衡的天赋：影响在四分位距 1.5 倍之外，或方向与正面 / 负面标记相反
+function flagTalents(rows) {
+  const effective = rows.filter(r => !r.noContestEffect);
+  if (effective.length === 0) return [];
+  const { q1, q3 } = quartiles(effective.map(r => r.impact));
+  const iqr = q3 - q1;
+  const flags = [];
+  for (const r of effective) {
+    const reasons = [];
+    if (r.impact > q3 + 1.5 * iqr) reasons.push('影响远高于其他天赋');
+    if (r.impact < q1 - 1.5 * iqr) reasons.push('影响远低于其他天赋');
+    if (r.beneficial && r.impact < -2 * r.impactSe) reasons.push('正面天赋反而降分');
+    if (!r.beneficial && r.impact > 2 * r.impactSe) reasons.push('负面天赋反而加分');
+    if (reasons.length) {
+      r.flags = reasons;
+      flags.push({ talent: r.talent, impact: r.impact, reasons: reasons });
+    }
+  }
+  return flags;
+}
+
+// 标出训练题目中的异常项：难度无效，或总增幅超出题库四分位距 3 倍
+function flagTasks(pool) {
+  const totals = pool.map(t => (t.boosts || []).reduce((sum, b) => sum + (Number(b.amount) || 0), 0));
+  const { q1, q3 } = quartiles(totals);
+  const limit = q3 + 3 * (q3 - q1);
+  const flags = [];
+  pool.forEach((t, i) => {
+    const reasons = [];
+    if (!(Number(t.difficulty) >= 0)) reasons.push(`难度无效（${t.difficulty}）`);
+    if (totals[i] > limit) reasons.push(`总增幅 ${totals[i]} 超过题库上限参考值 ${round(limit, 0)}`);
+    if (reasons.length) flags.push({ task: t.name, difficulty: t.difficulty, totalBoost: totals[i], reasons: reasons });
+  });
+  return flags;
+}
+
+function buildReport(opts) {
+  const talents = measureTalents(opts);
+  return {
+    options: { runs: opts.runs, seed: opts.seed, teamSize: TEAM_SIZE, tierAbility: TIER_ABILITY },
+    talents: talents,
+    talentFlags: flagTalents(talents),
+    taskFlags: flagTasks(TASK_POOL)
+  };
+}
+
+function csvCell(v) {
+  const s = String(v === null || v === undefined ? '' : v);
+  return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+// 写出 <前缀>.json 与 <前缀>.csv（每个天赋一行），返回写出的文件路径
+function writeReport(report, prefix) {
+  const files = { json: prefix + '.json', csv: prefix + '.csv' };
+  fs.writeFileSync(files.json, JSON.stringify(report, null, 2));
+  const tiers = contestTiers().map(c => c.name);
+  const header = ['rank', 'talent', 'beneficial', 'impactPct', 'impactSe'].concat(tiers.map(t => t + 'Delta'), ['flags']);
+  const rows = report.talents.map(r => [r.rank, r.talent, r.beneficial ? 1 : 0, r.impact, r.impactSe]
+    .concat(tiers.map(t => r.tiers[t].delta), [r.noContestEffect ? '比赛中无影响' : (r.flags || []).join(' ')]));
+  fs.writeFileSync(files.csv, [header].concat(rows).map(row => row.map(csvCell).join(',')).join('\n') + '\n');
+  return files;
+}
+
+function parseArgs(argv) {
+  const opts = { runs: 20, seed: 1, out: 'talent-report' };
+  const positional = [];
+  for (const arg of argv) {
+    const m = /^--([\w-]+)=(.*)$/.exec(arg);
+    if (!m) { positional.push(arg); continue; }
+    if (m[1] === 'out') opts.out = m[2];
+    else throw new Error('未知选项：--' + m[1]);
+  }
+  if (positional[0]) opts.runs = Math.max(2, parseInt(positional[0], 10) || 2);
+  if (positional[1]) opts.seed = parseInt(positional[1], 10) || 0;
+  return opts;
+}
+
+// 如果在 Node.js 环境中运行
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { install, measureTalents, flagTalents, flagTasks, buildReport };
+}
+
+// 如果直接运行此脚本
+if (typeof require !== 'undefined' && require.main === module) {
+  const opts = parseArgs(process.argv.slice(2));
+  const started = Date.now();
+  const report = buildReport(opts);
+  const files = writeReport(report, path.resolve(opts.out));
+  const out = [];
+  out.push(`天赋影响排行（各级别比赛平均分差占总分的百分比，${opts.runs} 个种子）：`);
+  for (const r of report.talents.filter(x => !x.noContestEffect)) {
+    out.push(`  ${String(r.rank).padStart(2)}. ${r.talent}${r.beneficial ? '' : '（负面）'}  ${r.impact >= 0 ? '+' : ''}${r.impact}% ±${r.impactSe}${r.flags ? '  ⚠ ' + r.flags.join('、') : ''}`);
+  }
+  const idle = report.talents.filter(x => x.noContestEffect).map(x => x.talent);
+  if (idle.length) out.push(`比赛中无影响：${idle.join('、')}`);
+  out.push('异常训练题目：' + (report.taskFlags.length ? '' : '无'));
+  for (const t of report.taskFlags) out.push(`  ${t.task}：${t.reasons.join('；')}`);
+  out.push(`用时 ${((Date.now() - started) / 1000).toFixed(1)} 秒，结果已保存：\n  ${Object.values(files).join('\n  ')}`);
+  process.stdout.write(out.join('\n') + '\n');
+}
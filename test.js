@@ -144,7 +144,7 @@ function testCompetitionWeekEventChoice() {
           else throw new Error('no recordExpense');
         }catch(e){
           // fallback to direct deduction
-          const costMult = (typeof COST_MULTIPLIER !== 'undefined' ? COST_MULTIPLIER : 1.0);
+          const costMult = (typeof getRuleMultiplier === 'function' ? getRuleMultiplier('cost') : 1.0);
           charged = Math.max(0, Math.round(5000 * costMult));
           game.budget = Math.max(0, game.budget - charged);
         }
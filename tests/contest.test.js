@@ -0,0 +1,108 @@
+/* contest.test.js - 部分分生成、晋级线与晋级资格 */
+'use strict';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const shim = require('./shim');
+
+shim.load();
+
+const { generateSubtasks, buildContestConfig } = CompetitionEngine;
+
+beforeEach(() => {
+  shim.seed(42);
+});
+
+test('generateSubtasks：强制单档时只有满分档', () => {
+  const subtasks = generateSubtasks(100, 50, 60, 40, { forceSingle: true });
+  assert.equal(subtasks.length, 1);
+  assert.equal(subtasks[0].score, 100);
+  assert.equal(subtasks[0].difficulty, 50);
+});
+
+test('generateSubtasks：默认 3-5 档，分数与难度递增，最后一档为满分', () => {
+  for(let i = 0; i < 20; i++){
+    const subtasks = generateSubtasks(100, 80);
+    assert.ok(subtasks.length >= 3 && subtasks.length <= 5);
+    const last = subtasks[subtasks.length - 1];
+    assert.equal(last.score, 100);
+    assert.equal(last.difficulty, 80);
+    for(let j = 1; j < subtasks.length; j++){
+      assert.ok(subtasks[j].score > subtasks[j - 1].score);
+      assert.ok(subtasks[j].difficulty >= subtasks[j - 1].difficulty);
+    }
+    for(const st of subtasks){
+      assert.ok(st.thinkingDifficulty >= 1 && st.codingDifficulty >= 1);
+    }
+  }
+});
+
+test('generateSubtasks：可指定档数，同一种子结果一致', () => {
+  assert.equal(generateSubtasks(100, 60, null, null, { numSubtasks: 15 }).length, 15);
+  shim.seed(3);
+  const a = generateSubtasks(100, 60);
+  shim.seed(3);
+  const b = generateSubtasks(100, 60);
+  assert.deepEqual(a, b);
+});
+
+test('buildContestConfig：题目标签为大类，子知识点属于对应大类', () => {
+  const config = buildContestConfig({ name: 'NOIP', difficulty: 200, maxScore: 400, numProblems: 4 });
+  assert.equal(config.problems.length, 4);
+  for(const p of config.problems){
+    assert.ok(p.tags.length >= 1);
+    assert.equal(p.subtopics.length, p.tags.length);
+    p.tags.forEach((tag, i) => {
+      assert.ok(listKnowledgeTopics().includes(tag));
+      if(p.subtopics[i]) assert.equal(getTopicParent(p.subtopics[i]), tag);
+    });
+  }
+  const fixed = buildContestConfig({ name: 'X', difficulty: 100, maxScore: 100, numProblems: 1, tags: [['网络流', 'DP']] });
+  assert.deepEqual(fixed.problems[0].tags, ['图论', '动态规划']);
+  assert.deepEqual(fixed.problems[0].subtopics, ['网络流', null]);
+});
+
+test('calculatePassLine：NOI 分数线固定为总分的 80%', () => {
+  shim.newGame({ province_type: '弱省' });
+  assert.equal(calculatePassLine([], 0, 600, 'NOI'), Math.floor(600 * COMPETITION_BASE_CUTOFF.NOI['弱省'] * getRuleMultiplier('passLine')));
+});
+
+test('calculatePassLine：其他比赛按省份强弱浮动 ±5%', () => {
+  for(const type of ['强省', '普通省', '弱省']){
+    shim.newGame({ province_type: type });
+    const base = COMPETITION_BASE_CUTOFF.NOIP[type];
+    for(let i = 0; i < 20; i++){
+      const line = calculatePassLine([], 0, 400, 'NOIP');
+      assert.ok(line >= Math.floor(400 * base * (1 - CUTOFF_FLUCTUATION)) - 1, `${type} ${line}`);
+      assert.ok(line <= Math.floor(400 * base * (1 + CUTOFF_FLUCTUATION)), `${type} ${line}`);
+    }
+  }
+});
+
+test('calculatePassLine：总分为 0 时返回 0', () => {
+  shim.newGame({ province_type: '普通省' });
+  assert.equal(calculatePassLine([], 0, 0, 'NOIP'), 0);
+});
+
+test('updateQualifications：只记录参赛且晋级的学生，按赛季区分', () => {
+  const game = shim.newGame({ week: 3 });
+  const a = new Student('甲', 50, 50, 50), b = new Student('乙', 50, 50, 50), c = new Student('丙', 50, 50, 50);
+  updateQualifications([
+    { student: a, passed: true },
+    { student: b, passed: false },
+    { student: c, passed: true, notParticipated: true }
+  ], 'CSP-S1');
+  assert.deepEqual(Array.from(game.qualification[0]['CSP-S1']), ['甲']);
+
+  game.week = WEEKS_PER_HALF + 1;
+  updateQualifications([{ student: b, passed: true }], 'CSP-S1');
+  assert.deepEqual(Array.from(game.qualification[1]['CSP-S1']), ['乙']);
+  assert.deepEqual(Array.from(game.qualification[0]['CSP-S1']), ['甲']);
+});
+
+test('updateQualifications：未知比赛不记录', () => {
+  const game = shim.newGame({ week: 3 });
+  updateQualifications([{ student: new Student('甲', 50, 50, 50), passed: true }], '友谊赛');
+  assert.equal(game.qualification[0]['友谊赛'], undefined);
+  for(const set of Object.values(game.qualification[0])) assert.equal(set.size, 0);
+});
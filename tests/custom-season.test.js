@@ -0,0 +1,91 @@
+/* custom-season.test.js - 自定义赛季：校验、启用与恢复官方赛季、随存档保存 */
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const shim = require('./shim');
+
+shim.load(shim.DEFAULT_SCRIPTS.concat(['lib/save.js', 'lib/season.js']));
+
+const USACO = {
+  name: 'USACO',
+  contests: [
+    { name: 'Bronze', week: 2, difficulty: 80, numProblems: 3, cutoff: { '强省': 0.7, '普通省': 0.7, '弱省': 0.7 } },
+    { name: 'Silver', week: 6, difficulty: 150, numProblems: 3, difficultyFactors: [0.8, 1, 1.3, 2] },
+    { name: 'Camp', week: 14, difficulty: 300, numProblems: 4, duration: 300, medals: true }
+  ]
+};
+
+function snapshot(){
+  return JSON.parse(JSON.stringify({
+    order: COMPETITION_ORDER, schedule: COMPETITION_SCHEDULE, competitions: competitions,
+    factors: COMPETITION_DIFFICULTY_FACTORS, cutoffs: COMPETITION_BASE_CUTOFF
+  }));
+}
+
+const official = snapshot();
+
+afterEach(() => { SeasonManager.apply(null); });
+
+test('validate 规整缺省字段，并列出全部问题', () => {
+  const season = SeasonManager.validate(USACO);
+  assert.equal(season.format, SeasonManager.FORMAT);
+  assert.equal(season.contests[0].maxScore, 300);
+  assert.deepEqual(season.contests[1].difficultyFactors, [0.8, 1, 1.3]);
+  const bad = {
+    name: '坏赛季',
+    contests: [
+      { name: 'A', week: 5, difficulty: 100, numProblems: 3 },
+      { name: 'A', week: 5, difficulty: 0, numProblems: 3 },
+      { name: 'IOI', week: WEEKS_PER_HALF + 1, difficulty: 100, numProblems: 11, cutoff: { '强省': 2 } }
+    ]
+  };
+  let message = '';
+  try{ SeasonManager.validate(bad); }catch(e){ message = e.message; }
+  assert.match(message, /^赛季校验失败/);
+  for(const part of ['比赛 A 重复', 'A 的周数须晚于', 'A 的难度无效', '与国家集训队或插件比赛重名', `IOI 的周数应在 1-${WEEKS_PER_HALF}`, 'IOI 的题数', 'IOI 的强省晋级线']){
+    assert.ok(message.includes(part), part);
+  }
+});
+
+test('apply 改写晋级链、两年日历、难度系数与晋级线', () => {
+  SeasonManager.apply(USACO);
+  assert.deepEqual(COMPETITION_ORDER, ['Bronze', 'Silver', 'Camp']);
+  assert.deepEqual(competitions.map(c => [c.name, c.week]), [
+    ['Bronze', 2], ['Silver', 6], ['Camp', 14],
+    ['Bronze', 2 + WEEKS_PER_HALF], ['Silver', 6 + WEEKS_PER_HALF], ['Camp', 14 + WEEKS_PER_HALF]
+  ]);
+  assert.equal(COMPETITION_SCHEDULE.some(c => c.name === 'NOIP'), false);
+  assert.ok(COMPETITION_SCHEDULE.some(c => c.name === 'IOI'));
+  assert.equal(COMPETITION_DIFFICULTY_FACTORS.NOI, undefined);
+  assert.deepEqual(COMPETITION_BASE_CUTOFF.Bronze, { '强省': 0.7, '普通省': 0.7, '弱省': 0.7 });
+  assert.equal(isMedalContest('Camp'), true);
+  assert.equal(isMedalContest('NOI'), false);
+  assert.equal(SeasonManager.getActive().name, 'USACO');
+});
+
+test('apply(null) 完整恢复官方赛季', () => {
+  SeasonManager.apply(USACO);
+  SeasonManager.apply(null);
+  assert.deepEqual(snapshot(), official);
+  assert.equal(isMedalContest('NOI'), true);
+  assert.equal(SeasonManager.getActive(), null);
+});
+
+test('自定义赛季随存档保存，解码存档不改动当前赛季', () => {
+  SeasonManager.apply(USACO);
+  const g = shim.newGame({ season: SeasonManager.getActive() });
+  assert.deepEqual(Object.keys(g.qualification[0]), ['Bronze', 'Silver', 'Camp']);
+  const data = SaveManager.serialize(g);
+  SeasonManager.apply(null);
+  const loaded = SaveManager.deserialize(data);
+  assert.deepEqual(snapshot(), official);
+  assert.deepEqual(Object.keys(loaded.qualification[1]), ['Bronze', 'Silver', 'Camp']);
+  assert.equal(loaded.season.name, 'USACO');
+  assert.deepEqual(SeasonManager.getOrder(loaded.season), ['Bronze', 'Silver', 'Camp']);
+  const plainData = SaveManager.serialize(shim.newGame());
+  SeasonManager.apply(USACO);
+  const plain = SaveManager.deserialize(plainData);
+  assert.deepEqual(COMPETITION_ORDER, ['Bronze', 'Silver', 'Camp']);
+  assert.deepEqual(Object.keys(plain.qualification[0]), official.order);
+});
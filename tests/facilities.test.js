@@ -0,0 +1,43 @@
+/* facilities.test.js - Facilities 升级费用与等级 */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const shim = require('./shim');
+
+shim.load();
+
+test('1 级设施的升级费用为基础费用', () => {
+  const f = new Facilities();
+  for(const fac of Object.keys(FACILITY_UPGRADE_COSTS)){
+    assert.equal(f.getUpgradeCost(fac), FACILITY_UPGRADE_COSTS[fac].base);
+  }
+});
+
+test('升级费用按等级几何增长', () => {
+  const f = new Facilities();
+  f.upgrade('computer');
+  f.upgrade('computer');
+  const it = FACILITY_UPGRADE_COSTS.computer;
+  assert.equal(f.getCurrentLevel('computer'), 3);
+  assert.equal(f.getUpgradeCost('computer'), Math.floor(it.base * it.grow * it.grow));
+  assert.ok(f.getUpgradeCost('computer') > it.base);
+  // 其他设施不受影响
+  assert.equal(f.getUpgradeCost('dorm'), FACILITY_UPGRADE_COSTS.dorm.base);
+});
+
+test('未知设施的升级费用为 0', () => {
+  const f = new Facilities();
+  assert.equal(f.getUpgradeCost('pool'), 0);
+  assert.equal(f.getCurrentLevel('pool'), 0);
+});
+
+test('最高等级与维护费用', () => {
+  const f = new Facilities();
+  assert.equal(f.getMaxLevel('computer'), MAX_COMPUTER_LEVEL);
+  assert.equal(f.getMaxLevel('library'), MAX_COMPUTER_LEVEL);
+  assert.equal(f.getMaxLevel('canteen'), MAX_OTHER_FACILITY_LEVEL);
+  const base = f.getMaintenanceCost();
+  f.upgrade('ac');
+  assert.ok(f.getMaintenanceCost() > base);
+});
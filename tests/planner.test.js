@@ -0,0 +1,24 @@
+/* planner.test.js - 训练计划：自动执行前的暂停检查 */
+'use strict';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installHeadless } = require('../simulate-season');
+
+installHeadless();
+
+beforeEach(() => {
+  setRandomSeed(5);
+  initGame(2, 1, 3);
+  game.budget = 100000;
+  for(const s of game.students) s.pressure = 0;
+});
+
+test('计算机等级不足 3 时不执行打游戏', () => {
+  const week = currWeek();
+  TrainingPlanner.setAction(week, { type: 'entertainment', id: 5 });
+  game.facilities.computer = 2;
+  assert.match(TrainingPlanner.checkPause() || '', /计算机等级/);
+  game.facilities.computer = 3;
+  assert.equal(TrainingPlanner.checkPause(), null);
+});
@@ -0,0 +1,45 @@
+/* ruleset.test.js - 规则预设：乘数读取、经费结算与存档保存 */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const shim = require('./shim');
+
+shim.load(shim.DEFAULT_SCRIPTS.concat(['lib/save.js']));
+
+test('未知或缺省的规则 id 按经典规则处理，规则不可被改写', () => {
+  assert.equal(getRuleset('hardcore').id, 'hardcore');
+  assert.equal(getRuleset('不存在').id, DEFAULT_RULESET);
+  assert.equal(getRuleset(undefined).id, DEFAULT_RULESET);
+  for(const id of Object.keys(RULESETS)){
+    assert.equal(RULESETS[id].id, id);
+    assert.ok(RULESETS[id].name);
+  }
+  assert.throws(() => { 'use strict'; RULESETS.classic.multipliers.cost = 0; }, TypeError);
+});
+
+test('getRuleMultiplier 读取当前对局的规则', () => {
+  window.game = undefined;
+  assert.equal(getRuleMultiplier('cost'), 1);
+  shim.newGame({ ruleset: 'sandbox' });
+  assert.equal(getRuleMultiplier('cost'), RULESETS.sandbox.multipliers.cost);
+  assert.equal(getRuleMultiplier('不存在'), 1);
+  shim.newGame();
+  assert.equal(game.ruleset, DEFAULT_RULESET);
+  assert.equal(getRuleMultiplier('pressureIncrease'), 1);
+});
+
+test('recordExpense 按规则的经费倍率扣费', () => {
+  const g = shim.newGame({ ruleset: 'hardcore', budget: 10000 });
+  const spent = g.recordExpense(1000, '测试');
+  assert.equal(spent, 1000 * RULESETS.hardcore.multipliers.cost);
+  assert.equal(g.budget, 10000 - spent);
+});
+
+test('规则随存档保存，旧存档读取为经典规则', () => {
+  const g = shim.newGame({ ruleset: 'hardcore' });
+  assert.equal(SaveManager.deserialize(JSON.stringify(SaveManager.serialize(g))).ruleset, 'hardcore');
+  const old = SaveManager.serialize(shim.newGame());
+  delete old.ruleset;
+  assert.equal(SaveManager.deserialize(old).ruleset, DEFAULT_RULESET);
+});
@@ -0,0 +1,27 @@
+/* run.js - 运行 tests/ 下的全部测试（无需浏览器）
+   用法：node tests/run.js [文件名关键字...]
+   例如：node tests/run.js            运行全部 *.test.js
+         node tests/run.js talent     只运行文件名包含 talent 的测试
+   测试基于 Node 自带的 node:test 与 node:assert，每个测试文件在独立进程中运行（各自加载 lib/ 模块），
+   设置 TEST_VERBOSE=1 可查看各模块的调试日志。
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const filters = process.argv.slice(2);
+const files = fs.readdirSync(__dirname)
+  .filter(f => f.endsWith('.test.js'))
+  .filter(f => filters.length === 0 || filters.some(k => f.includes(k)))
+  .sort()
+  .map(f => path.join(__dirname, f));
+
+if(files.length === 0){
+  console.error('没有匹配的测试文件');
+  process.exit(1);
+}
+
+const result = spawnSync(process.execPath, ['--test', '--test-reporter=spec', ...files], { stdio: 'inherit' });
+process.exit(result.status === null ? 1 : result.status);
@@ -0,0 +1,29 @@
+/* save.test.js - SaveManager：存档版本迁移 */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const shim = require('./shim');
+
+shim.load(shim.DEFAULT_SCRIPTS.concat(['lib/save.js']));
+
+test('知识遗忘加入前的存档读取后不开启遗忘', () => {
+  for(const version of [undefined, 1, 2]){
+    const old = SaveManager.serialize(shim.newGame());
+    delete old.knowledgeDecay;
+    if(version === undefined) delete old.schemaVersion;
+    else old.schemaVersion = version;
+    const loaded = SaveManager.deserialize(old);
+    assert.equal(loaded.knowledgeDecay, false, `v${version}`);
+    assert.equal(loaded.getKnowledgeDecayRate(), 0);
+  }
+});
+
+test('当前版本的存档保留知识遗忘设置', () => {
+  for(const decay of [true, false]){
+    const g = shim.newGame({ knowledgeDecay: decay });
+    const data = SaveManager.serialize(g);
+    assert.equal(data.schemaVersion, SaveManager.SCHEMA_VERSION);
+    assert.equal(SaveManager.deserialize(data).knowledgeDecay, decay);
+  }
+});
@@ -0,0 +1,51 @@
+/* season.test.js - 整季模拟：可复现性、结局与汇总统计 */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installHeadless, simulateSeason, summarizeGroup } = require('../simulate-season');
+
+installHeadless();
+
+const WEAK = Number(Object.keys(PROVINCES).find(id => PROVINCES[id].type === '弱省'));
+
+test('同一种子的整季结果完全一致', () => {
+  const a = simulateSeason({ seed: 7, difficulty: 2, provinceId: WEAK, students: 4 });
+  const b = simulateSeason({ seed: 7, difficulty: 2, provinceId: WEAK, students: 4 });
+  assert.deepEqual(a, b);
+});
+
+test('整季模拟以游戏结局结束，奖牌只来自 NOI', () => {
+  const r = simulateSeason({ seed: 3, difficulty: 1, provinceId: 1, students: 5 });
+  assert.ok(['赛季结束', '晋级链断裂', '经费不足', '无学生'].includes(r.endingReason), r.endingReason);
+  assert.equal(r.provinceType, PROVINCES[1].type);
+  assert.equal(r.studentResults.length, 5);
+  assert.equal(r.gold, r.noiByYear[0].gold + r.noiByYear[1].gold);
+  const medals = game.careerCompetitions.filter(c => c.name === 'NOI').reduce((n, c) => n + c.entries.filter(e => e.medal).length, 0);
+  assert.equal(r.gold + r.silver + r.bronze, medals);
+  assert.ok(r.quitRate >= 0 && r.quitRate <= 1);
+});
+
+test('summarizeGroup：金牌局占比、分布与天赋影响', () => {
+  const student = (talents, medal, quit) => ({ talents, medal, quit, retired: false, stage: medal ? 4 : 1 });
+  const run = (gold, budget, students) => ({
+    gold, silver: 0, bronze: 0, noiByYear: [{ gold: 0 }, { gold }], finalBudget: budget, reputation: 50,
+    quitRate: students.filter(s => s.quit).length / students.length, retiredRate: 0,
+    endingReason: '赛季结束', studentResults: students
+  });
+  const g = summarizeGroup([
+    run(1, 100, [student(['冷静'], 'gold', false), student([], null, true)]),
+    run(0, 300, [student(['冷静'], null, false), student([], null, false)])
+  ]);
+  assert.equal(g.runs, 2);
+  assert.equal(g.noiGoldRunRate, 0.5);
+  assert.equal(g.secondYearNoiGoldRunRate, 0.5);
+  assert.equal(g.finalBudget.mean, 200);
+  assert.equal(g.quitRate.mean, 0.25);
+  assert.deepEqual(g.endings, { '赛季结束': 2 });
+  const calm = g.talentImpact.talents.find(t => t.talent === '冷静');
+  assert.equal(calm.students, 2);
+  assert.equal(calm.noiMedalRate, 0.5);
+  assert.equal(calm.medalRateDelta, 0.25);
+  assert.equal(calm.quitRateDelta, -0.25);
+});
@@ -0,0 +1,108 @@
+/* shim.js - 在 Node 中加载 lib/ 模块的浏览器环境垫片
+   lib/ 下的脚本按浏览器 <script> 方式编写（依赖全局作用域与 window），这里提供最小的
+   window / document / localStorage 替身，并用 vm.runInThisContext 依次加载，使顶层 const / class
+   与浏览器中一样成为全局绑定。
+
+   用法：
+     const shim = require('./shim');
+     shim.load();              // 加载默认模块（重复调用只加载一次）
+     shim.seed(42);            // 固定随机种子
+     shim.newGame({ province_type: '强省' });  // 创建 GameState 并设为 window.game
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// 与 game.html 中的加载顺序一致（去掉依赖 DOM 的 UI 脚本）
+const DEFAULT_SCRIPTS = [
+  'lib/constants.js',
+  'lib/utils.js',
+  'lib/models.js',
+  'lib/talent.js',
+  'lib/task.js',
+  'lib/competitions.js',
+  'lib/contest-integration.js'
+];
+
+const loaded = new Set();
+
+function createElementStub(){
+  return {
+    className: '', innerHTML: '', innerText: '', textContent: '', value: '', style: {}, dataset: {},
+    classList: { add(){}, remove(){}, toggle(){}, contains(){ return false; } },
+    appendChild(){}, prepend(){}, remove(){}, setAttribute(){}, addEventListener(){},
+    querySelector(){ return null; }, querySelectorAll(){ return []; }
+  };
+}
+
+function createStorage(){
+  const data = new Map();
+  return {
+    getItem: k => (data.has(String(k)) ? data.get(String(k)) : null),
+    setItem: (k, v) => { data.set(String(k), String(v)); },
+    removeItem: k => { data.delete(String(k)); },
+    clear: () => data.clear(),
+    key: i => Array.from(data.keys())[i] || null,
+    get length(){ return data.size; }
+  };
+}
+
+function installGlobals(){
+  if(global.window === global) return;
+  global.window = global;
+  global.document = {
+    body: createElementStub(),
+    getElementById(){ return null; },
+    createElement(){ return createElementStub(); },
+    querySelector(){ return null; },
+    querySelectorAll(){ return []; },
+    addEventListener(){}
+  };
+  global.localStorage = createStorage();
+  global.sessionStorage = createStorage();
+  global.addEventListener = function(){};
+  global.removeEventListener = function(){};
+  if(typeof global.navigator === 'undefined') global.navigator = { userAgent: 'node' };
+  global.alert = function(){};
+  global.confirm = function(){ return true; };
+  // 测试时静默各模块的调试日志；TEST_VERBOSE=1 时保留
+  if(!process.env.TEST_VERBOSE){
+    console.log = function(){};
+    console.debug = function(){};
+    console.warn = function(){};
+  }
+}
+
+// 按顺序加载脚本（路径相对仓库根目录）
+function load(scripts){
+  installGlobals();
+  for(const file of (scripts || DEFAULT_SCRIPTS)){
+    if(loaded.has(file)) continue;
+    const full = path.join(ROOT, file);
+    vm.runInThisContext(fs.readFileSync(full, 'utf8'), { filename: full });
+    loaded.add(file);
+  }
+}
+
+function seed(n){
+  setRandomSeed(n);
+}
+
+// 创建一局新游戏并设为当前游戏（与 game.js 中的 window.game 一致）
+function newGame(props){
+  const game = Object.assign(new GameState(), props || {});
+  window.game = game;
+  return game;
+}
+
+// 注册内置天赋（与 game.js 启动时的调用一致，只注册一次）
+function registerTalents(){
+  if(TalentManager.getRegistered().length > 0) return;
+  TalentManager.registerDefaultTalents(window.game, { uniform, uniformInt, normal, clamp });
+}
+
+module.exports = { ROOT, DEFAULT_SCRIPTS, load, seed, newGame, registerTalents };
@@ -0,0 +1,142 @@
+/* student.test.js - Student 方法：知识点、子知识点、遗忘、能力增幅、比赛表现 */
+'use strict';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const shim = require('./shim');
+
+shim.load();
+
+function makeStudent(){
+  return new Student('测试', 60, 60, 60);
+}
+
+beforeEach(() => {
+  shim.seed(42);
+  shim.newGame({ week: 5 });
+});
+
+test('构造时知识点为初始值，天赋与记录为空', () => {
+  const s = makeStudent();
+  for(const field of listKnowledgeFields()) assert.equal(s[field], KNOWLEDGE_ABLILTY_START);
+  assert.equal(s.talents.size, 0);
+  assert.deepEqual(s.subKnowledge, {});
+  assert.deepEqual(s.talentLevels, {});
+});
+
+test('getKnowledgeByType 支持大类、别名与未知类型', () => {
+  const s = makeStudent();
+  s.knowledge_dp = 40;
+  s.knowledge_graph = 30;
+  assert.equal(s.getKnowledgeByType('动态规划'), 40);
+  assert.equal(s.getKnowledgeByType('DP'), 40);
+  assert.equal(s.getKnowledgeByType('图论'), 30);
+  assert.equal(s.getKnowledgeByType('不存在'), 0);
+});
+
+test('addKnowledge 限制单次增幅在 [0, 100] 并记录增长周数', () => {
+  const s = makeStudent();
+  s.addKnowledge('数学', 250);
+  assert.equal(s.knowledge_math, KNOWLEDGE_ABLILTY_START + 100);
+  s.addKnowledge('数学', -30);
+  assert.equal(s.knowledge_math, KNOWLEDGE_ABLILTY_START + 100);
+  assert.equal(s.knowledgeLastGain['数学'], 5);
+  s.addKnowledge('不存在', 10);
+  assert.equal(s.getKnowledgeTotal(), (KNOWLEDGE_ABLILTY_START * 4 + KNOWLEDGE_ABLILTY_START + 100) / 5);
+});
+
+test('子知识点增幅计入大类；只练大类时子知识点修正为 1', () => {
+  const s = makeStudent();
+  s.addKnowledge('数据结构', 50);
+  for(const sub of listSubtopics('数据结构')) assert.equal(s.getSubtopicFactor(sub), 1);
+  s.addKnowledge('线段树', 50);
+  assert.equal(s.knowledge_ds, KNOWLEDGE_ABLILTY_START + 100);
+  assert.equal(s.getSubtopicFactor('线段树'), SUBTOPIC_FACTOR_MAX);
+  assert.equal(s.getSubtopicFactor('并查集'), SUBTOPIC_FACTOR_MIN);
+  assert.equal(s.getKnowledgeByType('线段树'), s.knowledge_ds * SUBTOPIC_FACTOR_MAX);
+});
+
+test('旧存档没有子知识点记录时修正为 1', () => {
+  const s = Object.assign(new Student(), { name: '旧档', knowledge_string: 30 });
+  delete s.subKnowledge;
+  assert.equal(s.getSubtopicFactor('SAM'), 1);
+  assert.equal(s.getKnowledgeByType('SAM'), 30);
+  s.addKnowledge('SAM', 10);
+  assert.equal(s.knowledge_string, 40);
+  assert.equal(s.subKnowledge['SAM'], 10);
+});
+
+test('decayKnowledge 只衰减超过宽限期的知识点，且不低于历史最高值的下限', () => {
+  const s = makeStudent();
+  s.knowledge_graph = 100;
+  s.knowledgeLastGain = { '图论': 0, '数据结构': 9 };
+  const lost = s.decayKnowledge(10, 0.5);
+  assert.equal(s.knowledge_graph, 100 * KNOWLEDGE_DECAY_FLOOR);
+  assert.equal(s.knowledge_ds, KNOWLEDGE_ABLILTY_START);
+  assert.ok(lost >= 100 * (1 - KNOWLEDGE_DECAY_FLOOR));
+  assert.equal(s.knowledgePeak['图论'], 100);
+  assert.equal(s.decayKnowledge(10, 0), 0);
+});
+
+test('复习遗忘过的知识点有额外增幅（不超过遗忘掉的量），恢复到最高值后取消', () => {
+  const s = makeStudent();
+  s.knowledge_graph = 80;
+  s.knowledgePeak = { '图论': 100 };
+  s.addKnowledge('图论', 10);
+  assert.equal(s.knowledge_graph, 80 + 10 + 10 * KNOWLEDGE_RELEARN_BONUS);
+  s.addKnowledge('图论', 10);
+  assert.equal(s.knowledge_graph, 95 + 10 + 5);
+  assert.equal(s.knowledgePeak['图论'], undefined);
+  s.addKnowledge('图论', 10);
+  assert.equal(s.knowledge_graph, 120);
+});
+
+test('addThinking / addCoding 超过阈值后增幅衰减', () => {
+  const s = makeStudent();
+  s.addThinking(10);
+  assert.equal(s.thinking, 70);
+  s.coding = ABILITY_DECAY_THRESHOLD * 2;
+  s.addCoding(10);
+  assert.equal(s.coding, ABILITY_DECAY_THRESHOLD * 2 + 5);
+  s.addThinking('5');
+  assert.equal(s.thinking, 70);
+});
+
+test('calculateKnowledgeGain 随思维与压力变化', () => {
+  const s = makeStudent();
+  s.pressure = 0;
+  const relaxed = s.calculateKnowledgeGain(20, 1, 1);
+  s.pressure = FATIGUE_FROM_PRESSURE / 2;
+  const tired = s.calculateKnowledgeGain(20, 1, 1);
+  assert.equal(relaxed, Math.floor(20 * (0.6 * 0.6 + 0.4)));
+  assert.ok(tired < relaxed);
+  assert.equal(s.calculateKnowledgeGain(20, 1, 0), 0);
+});
+
+test('getPerformanceScore 在 [0, maxScore] 内，同一种子结果一致', () => {
+  const s = makeStudent();
+  s.comfort = 50;
+  s.pressure = 20;
+  const scores = [];
+  for(let i = 0; i < 2; i++){
+    shim.seed(7);
+    scores.push(s.getPerformanceScore(60, 100, 40));
+  }
+  assert.equal(scores[0], scores[1]);
+  assert.ok(scores[0] >= 0 && scores[0] <= 100);
+  const strong = Object.assign(makeStudent(), { thinking: 200, coding: 200, mental: 100, comfort: 50, pressure: 0 });
+  shim.seed(7);
+  assert.ok(strong.getPerformanceScore(60, 100, 80) >= scores[0]);
+});
+
+test('removeTalent 同时清除天赋等级与进度', () => {
+  const s = makeStudent();
+  s.addTalent('抗压奇才');
+  s.talentLevels['抗压奇才'] = 2;
+  s.talentProgress['抗压奇才'] = 3;
+  assert.ok(s.talents.has('抗压奇才'));
+  s.removeTalent('抗压奇才');
+  assert.equal(s.talents.has('抗压奇才'), false);
+  assert.equal(s.talentLevels['抗压奇才'], undefined);
+  assert.equal(s.talentProgress['抗压奇才'], undefined);
+});
@@ -0,0 +1,40 @@
+/* talent-report.test.js - 天赋影响统计：成对比赛对比与异常项标记 */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { install, measureTalents, flagTalents, flagTasks } = require('../simulate-talents');
+
+install();
+
+test('measureTalents：只在比赛外触发的天赋分差为 0，结果可复现', () => {
+  const a = measureTalents({ runs: 2, seed: 5, talents: ['美食家', '冷静'] });
+  const b = measureTalents({ runs: 2, seed: 5, talents: ['美食家', '冷静'] });
+  assert.deepEqual(a, b);
+  const foodie = a.find(r => r.talent === '美食家');
+  assert.equal(foodie.noContestEffect, true);
+  assert.equal(foodie.impact, 0);
+  for(const name of ['CSP-S2', 'NOI', 'IOI']) assert.ok(foodie.tiers[name], name);
+  assert.equal(foodie.tiers['CSP-S1'], undefined);
+  assert.deepEqual(a.map(r => r.rank), [1, 2]);
+});
+
+test('flagTalents：远离其他天赋或方向与正负标记相反时标出', () => {
+  const row = (talent, impact, beneficial) => ({ talent, impact, impactSe: 0.5, beneficial, noContestEffect: false });
+  const rows = [row('甲', 1, true), row('乙', 2, true), row('丙', 1.5, true), row('丁', 2.5, true), row('戊', 40, true), row('己', 3, false), row('庚', -2, true)];
+  const flags = flagTalents(rows.concat([{ talent: '辛', impact: 0, impactSe: 0, beneficial: true, noContestEffect: true }]));
+  const byName = Object.fromEntries(flags.map(f => [f.talent, f.reasons]));
+  assert.deepEqual(Object.keys(byName).sort(), ['己', '庚', '戊'].sort());
+  assert.ok(byName['戊'].includes('影响远高于其他天赋'));
+  assert.ok(byName['己'].includes('负面天赋反而加分'));
+  assert.ok(byName['庚'].includes('正面天赋反而降分'));
+});
+
+test('flagTasks：标出题库中增幅异常与难度无效的题目', () => {
+  const flags = flagTasks(TASK_POOL);
+  const names = flags.map(f => f.task);
+  assert.ok(names.includes('阮·梅'));
+  assert.ok(flags.length < TASK_POOL.length / 20);
+  const pool = [10, 12, 11, 9, 13].map((n, i) => ({ name: 'T' + i, difficulty: 50, boosts: [{ type: '数学', amount: n }] }));
+  assert.deepEqual(flagTasks(pool), []);
+});
@@ -0,0 +1,121 @@
+/* talent.test.js - TalentManager：内置天赋处理器、声明式天赋、进阶与冲突 */
+'use strict';
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const shim = require('./shim');
+
+shim.load();
+
+function studentWith(...talents){
+  const s = new Student('测试', 60, 60, 60);
+  for(const t of talents) s.addTalent(t);
+  return s;
+}
+
+function resultOf(results, talent){
+  const r = results.find(x => x.talent === talent);
+  return r ? r.result : null;
+}
+
+before(() => {
+  shim.newGame({ week: 1 });
+  shim.registerTalents();
+});
+
+beforeEach(() => {
+  shim.seed(42);
+  shim.newGame({ week: 1 });
+});
+
+test('内置天赋全部注册', () => {
+  const names = TalentManager.getRegistered();
+  for(const n of ['冷静', '抗压奇才', '字符串魔法师', '__talent_cleanup__']) assert.ok(names.includes(n), n);
+});
+
+test('抗压奇才：压力增幅超过 10 时减半，否则不触发', () => {
+  const s = studentWith('抗压奇才');
+  assert.equal(resultOf(s.triggerTalents('pressure_change', { amount: 5 }), '抗压奇才'), null);
+  const r = resultOf(s.triggerTalents('pressure_change', { amount: 20, preview: true }), '抗压奇才');
+  assert.equal(r.action, 'halve_pressure');
+});
+
+test('抗压奇才：累计高压次数后进阶，Lv2 起按比例缩减', () => {
+  const s = studentWith('抗压奇才');
+  for(let i = 0; i < 5; i++) s.triggerTalents('pressure_change', { amount: 20 });
+  assert.equal(TalentManager.getTalentLevel(s, '抗压奇才'), 2);
+  const r = resultOf(s.triggerTalents('pressure_change', { amount: 20, preview: true }), '抗压奇才');
+  assert.equal(r.action, 'scale_pressure');
+  assert.equal(r.factor, 0.4);
+  // 训练预览不计入进阶进度
+  assert.equal(TalentManager.getTalentProgress(s, '抗压奇才').progress, 0);
+});
+
+test('冷静（声明式）：同一种子下触发结果一致，比赛结束后还原能力', () => {
+  const outcomes = [];
+  for(let i = 0; i < 2; i++){
+    shim.seed(5);
+    const s = studentWith('冷静');
+    const r = resultOf(s.triggerTalents('contest_start', {}), '冷静');
+    outcomes.push([r, s.thinking]);
+    if(r){
+      assert.equal(s.thinking, 72);
+      s.triggerTalents('contest_finish', {});
+      assert.equal(s.thinking, 60);
+    }
+  }
+  assert.deepEqual(outcomes[0], outcomes[1]);
+});
+
+test('冷静（声明式）：每场比赛只生效一次', () => {
+  const s = studentWith('冷静');
+  s.pressure = 100;   // 压力越高触发概率越高，此时必定触发
+  assert.ok(resultOf(s.triggerTalents('contest_start', {}), '冷静'));
+  assert.equal(resultOf(s.triggerTalents('contest_start', {}), '冷静'), null);
+  assert.equal(s.thinking, 72);
+  s.triggerTalents('contest_finish', {});
+  assert.equal(s.thinking, 60);
+});
+
+test('冲突的天赋互相抵消，不再触发', () => {
+  const s = studentWith('冷静', '赛场狂热');
+  s.pressure = 100;
+  assert.equal(s.hasTalent('冷静'), false);
+  assert.equal(resultOf(s.triggerTalents('contest_start', {}), '冷静'), null);
+  assert.equal(s.thinking, 60);
+});
+
+test('grantTalent 不添加已拥有或冲突的天赋', () => {
+  const s = studentWith('冷静');
+  assert.equal(TalentManager.grantTalent(s, '冷静'), false);
+  assert.equal(TalentManager.grantTalent(s, '赛场狂热'), false);
+  assert.equal(s.talents.has('赛场狂热'), false);
+  assert.equal(TalentManager.grantTalent(s, '专注'), true);
+  const plain = { name: '国际选手' };
+  assert.equal(TalentManager.grantTalent(plain, '赛场狂热'), true);
+  assert.ok(plain.talents.has('赛场狂热'));
+});
+
+test('compileTalent：条件与效果按规则生效', () => {
+  TalentManager.registerTalent(TalentManager.compileTalent({
+    name: '测试·加练',
+    rules: [{ on: 'training_finished', when: [{ stat: 'pressure', lt: 50 }], effects: [{ stat: 'coding', add: 3 }], message: '加练' }]
+  }));
+  const s = studentWith('测试·加练');
+  s.pressure = 10;
+  assert.equal(resultOf(s.triggerTalents('training_finished', {}), '测试·加练'), '加练');
+  assert.equal(s.coding, 63);
+  s.pressure = 80;
+  assert.equal(resultOf(s.triggerTalents('training_finished', {}), '测试·加练'), null);
+  assert.equal(s.coding, 63);
+  assert.equal(resultOf(s.triggerTalents('contest_start', {}), '测试·加练'), null);
+});
+
+test('getTalentLevel：未拥有为 0，默认 Lv1，不超过最高等级', () => {
+  const s = studentWith('抗压奇才');
+  assert.equal(TalentManager.getTalentLevel(s, '冷静'), 0);
+  assert.equal(TalentManager.getTalentLevel(s, '抗压奇才'), 1);
+  s.talentLevels['抗压奇才'] = 9;
+  assert.equal(TalentManager.getTalentLevel(s, '抗压奇才'), 3);
+  assert.equal(TalentManager.getTalentProgress(s, '抗压奇才').need, null);
+});
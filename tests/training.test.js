@@ -0,0 +1,53 @@
+/* training.test.js - 训练相关的压力计算：预估（含个别安排）不消耗回放记录之外的随机数，天赋压力修正 */
+'use strict';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installHeadless } = require('../simulate-season');
+
+installHeadless();
+
+const TASK = { name: '测试题', difficulty: 120, boosts: [] };
+
+beforeEach(() => {
+  setRandomSeed(11);
+  initGame(2, 1, 3);
+  for(const s of game.students) s.addTalent('摸鱼大师');
+});
+
+test('压力预估结束后恢复随机数状态', () => {
+  const before = getRandomState();
+  for(let intensity = 1; intensity <= 3; intensity++) calculateTrainingPressure(TASK, intensity);
+  assert.deepEqual(getRandomState(), before);
+});
+
+test('个别安排的预估可反复计算，结果一致且不消耗随机数', () => {
+  const [a, b, c] = game.students;
+  const plan = {
+    [a.name]: { intensity: 3 },
+    [b.name]: { task: Object.assign({}, TASK, { difficulty: 300 }), intensity: 1 },
+    [c.name]: { rest: true }
+  };
+  const before = getRandomState();
+  const first = calculateTrainingPressure(TASK, 2, plan);
+  // 模拟在各学生的下拉框之间来回切换
+  calculateTrainingPressure(TASK, 2, null);
+  calculateTrainingPressure(TASK, 2, { [a.name]: { rest: true } });
+  assert.deepEqual(calculateTrainingPressure(TASK, 2, plan), first);
+  assert.deepEqual(getRandomState(), before);
+  assert.equal(first.students.find(x => x.name === c.name).rest, true);
+});
+
+test('加训时 Lv2 抗压奇才把压力增幅降至 40%', () => {
+  const [a, b] = game.students;
+  for(const s of [a, b]){
+    s.talents = new Set();
+    Object.assign(s, { thinking: 50, coding: 50, pressure: 0, sick_weeks: 0 });
+  }
+  game.students.splice(2);
+  b.addTalent('抗压奇才');
+  b.talentLevels = { '抗压奇才': 2 };
+  executeExtraTraining(TASK);
+  assert.ok(a.pressure > 10 && a.pressure <= 100, String(a.pressure));
+  assert.ok(Math.abs(b.pressure - a.pressure * 0.4) < 1e-9, `${b.pressure} vs ${a.pressure}`);
+});